@@ -6,26 +6,61 @@ CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 CREATE EXTENSION IF NOT EXISTS "pgcrypto";
 CREATE EXTENSION IF NOT EXISTS "pg_trgm";
 
+-- License types table - Registered license types (built-in and custom)
+-- Kept in sync with the application's license type registry on monitor startup
+CREATE TABLE license_types (
+    name VARCHAR(50) PRIMARY KEY CHECK (name ~ '^[a-z0-9][a-z0-9-]*$'),
+    label VARCHAR(255) NOT NULL,
+    license_text TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO license_types (name, label, license_text) VALUES
+    ('do-not-train', 'Do-Not-Train', 'This content is protected from AI model training and machine learning purposes.'),
+    ('commercial-restrictions', 'Commercial Use Restrictions', 'Commercial use of this content requires explicit permission.'),
+    ('attribution-required', 'Attribution Required', 'Attribution to the original creator is required for any use.'),
+    ('nda-enforcement', 'NDA Enforcement', 'This content is confidential and protected under NDA terms.'),
+    ('pre-clearance', 'Pre-Clearance', 'Pre-approval is required before any model deployment using this content.'),
+    ('composite', 'Composite', 'Combination of the license types listed in the clauses column.');
+
 -- Licenses table - Core license metadata storage
 CREATE TABLE licenses (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    license_id VARCHAR(255) UNIQUE NOT NULL,
+    license_id VARCHAR(255) NOT NULL, -- shared by the original license and its amendments
     hash VARCHAR(64) UNIQUE NOT NULL,
-    type VARCHAR(50) NOT NULL CHECK (type IN (
-        'do-not-train',
-        'commercial-restrictions', 
-        'attribution-required',
-        'nda-enforcement',
-        'pre-clearance'
-    )),
+    type VARCHAR(50) NOT NULL REFERENCES license_types(name),
+    clauses VARCHAR(50)[], -- clause types of composite licenses, NULL for single-type licenses
     creator VARCHAR(255) NOT NULL,
+    parties JSONB, -- co-signing rights holders: [{"name", "keyId", "algorithm", "publicKey"}]
+    signature_threshold INTEGER, -- party signatures required before finalization
+    party_signatures JSONB, -- collected signatures: [{"keyId", "signedAt", "signature"}]
+    finalization JSONB, -- issuer seal over the party signatures; co-signed licenses are pending until set
     content_hash VARCHAR(64) NOT NULL,
+    fingerprints JSONB, -- perceptual/similarity fingerprints, e.g. {"image": {"aHash": ..., "dHash": ..., "pHash": ...}}
     restrictions JSONB DEFAULT '{}',
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    not_before TIMESTAMP WITH TIME ZONE,
     expiration_date TIMESTAMP WITH TIME ZONE,
-    version VARCHAR(10) DEFAULT '1.0.0',
-    signature VARCHAR(64) NOT NULL,
+    previous_hash VARCHAR(64) REFERENCES licenses(hash), -- terms this amendment replaces
+    amendment INTEGER NOT NULL DEFAULT 0, -- 0 for the original license
+    effective_from TIMESTAMP WITH TIME ZONE, -- when amended terms apply; originals apply from created_at
+    version VARCHAR(10) DEFAULT '2.0.0', -- 1.0.0 legacy hashing, 2.0.0 RFC 8785 canonical JSON
+    issuer_key_id VARCHAR(64) NOT NULL,
+    signature_algorithm VARCHAR(20) NOT NULL DEFAULT 'Ed25519' CHECK (signature_algorithm IN ('Ed25519', 'ES256')),
+    signature TEXT NOT NULL,
+    signed_license JSON NOT NULL, -- the license exactly as signed; JSON (not JSONB) keeps key order and date text
     status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'expired', 'revoked')),
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revocation_reason VARCHAR(50) CHECK (revocation_reason IN (
+        'unspecified',
+        'key-compromise',
+        'superseded',
+        'cessation-of-operation',
+        'terms-violated',
+        'issued-in-error',
+        'creator-request'
+    )),
     
     -- Metadata
     json_ld JSONB,
@@ -36,7 +71,16 @@ CREATE TABLE licenses (
     -- Audit fields
     created_by VARCHAR(255),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    updated_by VARCHAR(255)
+    updated_by VARCHAR(255),
+
+    -- Composite licenses list at least two clauses; single-type licenses list none
+    CHECK ((type = 'composite') = (clauses IS NOT NULL AND cardinality(clauses) > 1)),
+    CHECK ((parties IS NULL) = (signature_threshold IS NULL)),
+    CHECK (signature_threshold IS NULL OR signature_threshold BETWEEN 1 AND jsonb_array_length(parties)),
+
+    -- Amendments form a chain per license ID
+    UNIQUE(license_id, amendment),
+    CHECK ((amendment = 0) = (previous_hash IS NULL))
 );
 
 -- Violations table - License violation tracking
@@ -217,6 +261,8 @@ ORDER BY day DESC, violation_count DESC;
 CREATE INDEX idx_licenses_hash ON licenses(hash);
 CREATE INDEX idx_licenses_type_status ON licenses(type, status);
 CREATE INDEX idx_licenses_created_at ON licenses(created_at);
+CREATE INDEX idx_licenses_issuer_key_id ON licenses(issuer_key_id);
+CREATE INDEX idx_licenses_previous_hash ON licenses(previous_hash) WHERE previous_hash IS NOT NULL;
 CREATE INDEX idx_licenses_expiration_date ON licenses(expiration_date) WHERE expiration_date IS NOT NULL;
 
 CREATE INDEX idx_violations_license_hash ON violations(license_hash);
@@ -332,7 +378,7 @@ GRANT ALL PRIVILEGES ON ALL SEQUENCES IN SCHEMA public TO data_protection_admin;
 GRANT EXECUTE ON ALL FUNCTIONS IN SCHEMA public TO data_protection_admin;
 
 -- API permissions (read/write operations)
-GRANT SELECT, INSERT, UPDATE ON licenses, violations, compliance_checks, platform_monitoring, usage_analytics TO data_protection_api;
+GRANT SELECT, INSERT, UPDATE ON license_types, licenses, violations, compliance_checks, platform_monitoring, usage_analytics TO data_protection_api;
 GRANT INSERT ON audit_log TO data_protection_api;
 GRANT SELECT ON license_statistics, performance_metrics, violation_trends TO data_protection_api;
 GRANT USAGE ON ALL SEQUENCES IN SCHEMA public TO data_protection_api;
@@ -344,7 +390,7 @@ GRANT SELECT ON ALL VIEWS IN SCHEMA public TO data_protection_readonly;
 -- Sample data for testing (optional)
 INSERT INTO licenses (
     license_id, hash, type, creator, content_hash, restrictions, 
-    json_ld, platform_deployments, signature
+    json_ld, platform_deployments, issuer_key_id, signature, signed_license
 ) VALUES 
 (
     'DPL-1703000000000-abc123def',
@@ -355,7 +401,9 @@ INSERT INTO licenses (
     '{"ai_training": false, "commercial_use": false}',
     '{"@context": "https://schema.org/", "@type": "CreativeWork"}',
     ARRAY['github', 'huggingface'],
-    'signature123456789'
+    'sample0key0id000000000000000000a',
+    'signature123456789',
+    '{"id": "DPL-1703000000000-abc123def", "type": "do-not-train", "creator": "John Doe", "content": "content123hash456", "restrictions": {"ai_training": false, "commercial_use": false}, "createdAt": "2023-12-19T15:33:20.000Z", "expirationDate": null, "version": "2.0.0", "issuer": {"keyId": "sample0key0id000000000000000000a", "algorithm": "Ed25519"}, "hash": "a1b2c3d4e5f6789012345678901234567890123456789012345678901234567890", "signature": "signature123456789"}'
 ),
 (
     'DPL-1703000001000-def456ghi',
@@ -366,10 +414,13 @@ INSERT INTO licenses (
     '{"attribution_required": true}',
     '{"@context": "https://schema.org/", "@type": "CreativeWork"}',
     ARRAY['kaggle', 'aws-s3'],
-    'signature456789012'
+    'sample0key0id000000000000000000a',
+    'signature456789012',
+    '{"id": "DPL-1703000001000-def456ghi", "type": "attribution-required", "creator": "Jane Smith", "content": "content456hash789", "restrictions": {"attribution_required": true}, "createdAt": "2023-12-19T15:33:21.000Z", "expirationDate": null, "version": "2.0.0", "issuer": {"keyId": "sample0key0id000000000000000000a", "algorithm": "Ed25519"}, "hash": "b2c3d4e5f6789012345678901234567890123456789012345678901234567890ab", "signature": "signature456789012"}'
 );
 
 -- Comments for documentation
+COMMENT ON TABLE license_types IS 'Registered license types, synced from the application license type registry';
 COMMENT ON TABLE licenses IS 'Core license metadata storage with cryptographic verification';
 COMMENT ON TABLE violations IS 'Real-time license violation tracking and alerting';
 COMMENT ON TABLE compliance_checks IS 'High-performance compliance verification logs';
@@ -378,7 +429,13 @@ COMMENT ON TABLE usage_analytics IS 'License usage patterns and analytics (hourl
 COMMENT ON TABLE audit_log IS 'Comprehensive audit trail for all system operations';
 
 COMMENT ON COLUMN licenses.hash IS 'SHA-256 hash for tamper-proof license verification';
-COMMENT ON COLUMN licenses.signature IS 'Cryptographic signature for license integrity';
+COMMENT ON COLUMN licenses.signed_license IS 'Signed license document as issued; validation verifies this rather than the columns, whose timestamps lose the signed text';
+COMMENT ON COLUMN licenses.signature IS 'Base64 issuer signature (Ed25519 or ES256) for license integrity';
+COMMENT ON COLUMN licenses.revocation_reason IS 'Reason code from the signed revocation request; also published in the revocation list';
+COMMENT ON COLUMN licenses.previous_hash IS 'Hash of the license terms this amendment replaces; NULL for originals';
+COMMENT ON COLUMN licenses.not_before IS 'Start of the validity period; NULL means valid from creation';
+COMMENT ON COLUMN licenses.clauses IS 'License types combined by a composite license, in signed order';
+COMMENT ON COLUMN licenses.issuer_key_id IS 'Key ID of the issuer key that signed the license';
 COMMENT ON COLUMN violations.response_time_ms IS 'Detection response time in milliseconds (<5000ms target)';
 COMMENT ON COLUMN compliance_checks.response_time_ms IS 'Compliance check response time in milliseconds';
 
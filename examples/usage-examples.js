@@ -224,9 +224,9 @@ async function example6_ValidateExistingLicense() {
     };
 
     // Validate license integrity
-    const isValid = platform.licenseGenerator.validateLicense(existingLicense);
+    const validation = platform.licenseGenerator.validateLicense(existingLicense);
     
-    if (isValid) {
+    if (validation.valid) {
       console.log(`✅ License is VALID: ${existingLicense.id}`);
       
       // Check compliance for a hypothetical access attempt
@@ -244,14 +244,15 @@ async function example6_ValidateExistingLicense() {
       console.log(`⏱️ Response Time: ${complianceResult.responseTime}ms`);
       
       if (!complianceResult.compliant) {
-        console.log(`⚠️ Violations: ${complianceResult.violations.join(', ')}`);
+        console.log(`⚠️ Violations: ${(complianceResult.violations || [complianceResult.reason]).join(', ')}`);
       }
 
     } else {
-      console.log(`❌ License is INVALID: ${existingLicense.id}`);
+      console.log(`❌ License is INVALID (${validation.status}): ${existingLicense.id}`);
+      validation.reasons.forEach((reason) => console.log(`   - ${reason.message}`));
     }
 
-    return { license: existingLicense, valid: isValid };
+    return { license: existingLicense, valid: validation.valid, status: validation.status };
   } catch (error) {
     console.error('❌ Validation failed:', error.message);
   }
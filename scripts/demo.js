@@ -119,8 +119,8 @@ This demo showcases the complete Data Protection workflow:
     await this.sleep();
 
     // Validate license integrity
-    const isValid = this.platform.licenseGenerator.validateLicense(license);
-    this.logSuccess(`Cryptographic Validation: ${isValid ? 'PASSED' : 'FAILED'}`);
+    const validation = this.platform.licenseGenerator.validateLicense(license);
+    this.logSuccess(`Cryptographic Validation: ${validation.valid ? 'PASSED' : 'FAILED'} (${validation.status})`);
 
     // Generate JSON-LD metadata
     const jsonLD = this.platform.licenseGenerator.generateJSONLD(license);
@@ -4,9 +4,285 @@ const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const compression = require('compression');
+const multer = require('multer');
+const { Pool } = require('pg');
+const fs = require('fs');
 const LicenseGenerator = require('../core/license-generator');
+const IssuerKeyring = require('../core/issuer-keyring');
+const ImageFingerprinter = require('../core/image-fingerprinter');
+const { validateRestrictions } = require('../core/restriction-schema');
+const { RevocationList } = require('../core/revocation-list');
+const { LICENSE_CONTEXTS } = require('../core/license-context');
 const { promisify } = require('util');
 
+// Signed issuer requests older than this are rejected to limit replay
+const REQUEST_MAX_AGE_MS = 5 * 60 * 1000;
+
+// Every license would fail validation without a trusted issuer key, so refuse to start
+function assertTrustedKeys(licenseGenerator, keyring) {
+  const keyringKeys = keyring ? keyring.keys.length : 0;
+  if (licenseGenerator.trustedKeys.size === 0 && keyringKeys === 0) {
+    const error = new Error('No trusted issuer keys configured: set trustedKeys, '
+      + 'trustedJWKS (TRUSTED_JWKS_PATH) or a keyring (KEYRING_PATH)');
+    error.code = 'NO_TRUSTED_KEYS';
+    throw error;
+  }
+}
+
+// Cache failures are not fatal; they are reported through the client's error handler
+async function getFromCache(redisClient, key) {
+  try {
+    return await redisClient.get(key);
+  } catch (error) {
+    redisClient.emit('error', new Error(`Cache get error: ${error.message}`));
+    return null;
+  }
+}
+
+async function setInCache(redisClient, key, value, expiration = 3600) {
+  try {
+    await redisClient.setEx(key, expiration, value);
+    return true;
+  } catch (error) {
+    redisClient.emit('error', new Error(`Cache set error: ${error.message}`));
+    return false;
+  }
+}
+
+async function getRevocation(redisClient, licenseHash) {
+  const entry = await redisClient.hGet('revocations', licenseHash);
+  return entry ? JSON.parse(entry) : null;
+}
+
+async function getRevocationByLicenseId(redisClient, licenseId) {
+  const licenseHash = await redisClient.hGet('revocations:license-ids', licenseId);
+  return licenseHash ? getRevocation(redisClient, licenseHash) : null;
+}
+
+// Looked up per request so a revocation takes effect on every instance immediately;
+// revoking a license ID also revokes its amendments
+async function getRevocationSource(redisClient, license) {
+  let revocation = null;
+  if (license && license.hash) {
+    revocation = await getRevocation(redisClient, license.hash);
+  }
+  if (!revocation && license && license.id) {
+    revocation = await getRevocationByLicenseId(redisClient, license.id);
+  }
+  return { getRevocation: () => revocation };
+}
+
+async function findLicense(redisClient, dbPool, licenseHash) {
+  const cachedLicense = await getFromCache(redisClient, `license:${licenseHash}`);
+  if (cachedLicense) {
+    return JSON.parse(cachedLicense);
+  }
+  if (!dbPool) {
+    return null;
+  }
+
+  // Cache entries expire; the database keeps every stored license and its issuer
+  const result = await dbPool.query(
+    'SELECT license_id, hash, issuer_key_id FROM licenses WHERE hash = $1',
+    [licenseHash],
+  );
+  const row = result.rows[0];
+  return row ? { id: row.license_id, hash: row.hash, issuer: { keyId: row.issuer_key_id } } : null;
+}
+
+async function loadRevocationList(redisClient, validityHours) {
+  const [entries, number] = await Promise.all([
+    redisClient.hGetAll('revocations'),
+    redisClient.get('revocations:number'),
+  ]);
+
+  return RevocationList.fromEntries(
+    Object.values(entries).map((entry) => JSON.parse(entry)),
+    Number(number) || 0,
+    { validityHours },
+  );
+}
+
+async function recordRevocationInDB(dbPool, revocation, req) {
+  // A transaction needs a client of its own: queries from other requests would otherwise run inside it
+  const dbClient = await dbPool.connect();
+  try {
+    await dbClient.query('BEGIN');
+    // Every version of the license: the original and its amendments
+    const result = await dbClient.query(
+      'SELECT id, status FROM licenses WHERE license_id = $1 FOR UPDATE',
+      [revocation.licenseId],
+    );
+
+    await result.rows.reduce(async (previous, row) => {
+      await previous;
+      await dbClient.query(
+        `UPDATE licenses
+         SET status = 'revoked', revoked_at = $1, revocation_reason = $2, updated_at = NOW()
+         WHERE id = $3`,
+        [revocation.revokedAt, revocation.reason, row.id],
+      );
+      await dbClient.query(
+        `INSERT INTO audit_log (
+          entity_type, entity_id, action, old_values, new_values, changed_fields,
+          user_id, source, ip_address, user_agent
+        ) VALUES ('license', $1, 'revoke', $2, $3, $4, $5, 'api', $6, $7)`,
+        [
+          row.id,
+          JSON.stringify({ status: row.status }),
+          JSON.stringify({ status: 'revoked', reason: revocation.reason, revokedAt: revocation.revokedAt }),
+          ['status', 'revoked_at', 'revocation_reason'],
+          revocation.revokedBy,
+          req.ip || null,
+          req.get('User-Agent') || null,
+        ],
+      );
+    }, Promise.resolve());
+
+    await dbClient.query('COMMIT');
+  } catch (error) {
+    await dbClient.query('ROLLBACK');
+    throw error;
+  } finally {
+    dbClient.release();
+  }
+}
+
+async function storeRevocation(redisClient, dbPool, revocation, req) {
+  const number = await redisClient.incr('revocations:number');
+  const entry = new RevocationList().revoke({ ...revocation, number });
+  const stored = { ...entry, revokedBy: revocation.revokedBy };
+
+  // Redis only reports the revocation once the database has committed it
+  if (dbPool) {
+    await recordRevocationInDB(dbPool, stored, req);
+  }
+
+  await redisClient.hSet('revocations', revocation.licenseHash, JSON.stringify(stored));
+  await redisClient.hSet('revocations:license-ids', revocation.licenseId, revocation.licenseHash);
+  await redisClient.del(`validation:${revocation.licenseHash}`);
+  return stored;
+}
+
+async function getLicenseHistory(redisClient, licenseId) {
+  // Histories are kept without expiry: they are the record of which terms applied when
+  const entries = await redisClient.lRange(`history:${licenseId}`, 0, -1);
+  return entries.map((entry) => JSON.parse(entry));
+}
+
+async function appendToHistory(redisClient, licenseGenerator, license) {
+  const history = await getLicenseHistory(redisClient, license.id);
+
+  // Originals stored before histories existed are picked up from the cache
+  if (history.length === 0 && license.previousHash) {
+    const cachedPrevious = await getFromCache(redisClient, `license:${license.previousHash}`);
+    const previous = cachedPrevious ? JSON.parse(cachedPrevious) : null;
+    if (previous && !previous.previousHash && previous.id === license.id) {
+      await redisClient.rPush(`history:${license.id}`, cachedPrevious);
+      history.push(previous);
+    }
+  }
+
+  const latest = history[history.length - 1];
+
+  if (history.some((entry) => entry.hash === license.hash)) {
+    return null;
+  }
+
+  if (!license.previousHash) {
+    if (latest) {
+      return {
+        status: 409,
+        body: { error: `License ${license.id} already exists; store an amendment instead`, code: 'LICENSE_EXISTS' },
+      };
+    }
+  } else {
+    if (!latest || latest.hash !== license.previousHash) {
+      return {
+        status: 409,
+        body: {
+          error: 'Amendments must reference the latest stored terms',
+          code: 'AMENDMENT_CONFLICT',
+          latestHash: latest ? latest.hash : null,
+        },
+      };
+    }
+    if (!licenseGenerator.isIssuerOf(license.issuer.keyId, latest)) {
+      return {
+        status: 403,
+        body: { error: 'Only the issuer of a license may amend it', code: 'NOT_LICENSE_ISSUER' },
+      };
+    }
+
+    const chainCheck = licenseGenerator.verifyLicenseChain([...history, license]);
+    if (!chainCheck.valid) {
+      return {
+        status: 400,
+        body: { error: 'Invalid amendment', code: 'INVALID_AMENDMENT', reasons: chainCheck.reasons },
+      };
+    }
+  }
+
+  await redisClient.rPush(`history:${license.id}`, JSON.stringify(license));
+  return null;
+}
+
+// Returns a { code, message } warning for the response when the fingerprint could not be indexed
+async function indexImageFingerprint(redisClient, license) {
+  if (!license.fingerprints || !license.fingerprints.image) {
+    return null;
+  }
+
+  try {
+    await redisClient.sAdd('fingerprints:image', JSON.stringify({
+      licenseHash: license.hash,
+      licenseId: license.id,
+      fingerprint: license.fingerprints.image,
+    }));
+    return null;
+  } catch (error) {
+    return {
+      code: 'FINGERPRINT_INDEX_ERROR',
+      message: `License image fingerprint was not indexed for matching: ${error.message}`,
+    };
+  }
+}
+
+async function getImageFingerprintIndex(redisClient) {
+  const members = await redisClient.sMembers('fingerprints:image');
+  return members.map((member) => JSON.parse(member));
+}
+
+// A match is reported with the status a validate request would give its license, so revoked
+// licenses are marked; revocations outlive the cached license, the rest of the status does not
+async function checkMatchStatus(redisClient, licenseGenerator, match) {
+  const cachedLicense = await getFromCache(redisClient, `license:${match.licenseHash}`);
+  const license = cachedLicense ? JSON.parse(cachedLicense) : { id: match.licenseId, hash: match.licenseHash };
+  const revocationSource = await getRevocationSource(redisClient, license);
+
+  if (!cachedLicense) {
+    const revocation = revocationSource.getRevocation(license);
+    return {
+      ...match,
+      valid: false,
+      status: revocation ? 'revoked' : null,
+      revoked: Boolean(revocation),
+      reasons: [revocation
+        ? { code: 'REVOKED', message: `License revoked at ${revocation.revokedAt}: ${revocation.reason}` }
+        : { code: 'LICENSE_NOT_FOUND', message: 'License not found in cache' }],
+    };
+  }
+
+  const validation = licenseGenerator.validateLicense(license, { revocationSource });
+  return {
+    ...match,
+    valid: validation.valid,
+    status: validation.status,
+    revoked: validation.status === 'revoked',
+    reasons: validation.reasons,
+  };
+}
+
 /**
  * High-Performance License Validation API
  * Node.js microservices architecture with Redis cluster
@@ -22,8 +298,25 @@ class ValidationServer {
       db: 0
     };
     
-    this.licenseGenerator = new LicenseGenerator();
+    // A published JWKS verifies licenses without giving the server any private key
+    this.keyring = config.keyring
+      || (config.trustedJWKS ? IssuerKeyring.fromJWKS(config.trustedJWKS) : null);
+    this.signingKeyConfigured = Boolean(config.signingKey);
+    this.imageFingerprinter = new ImageFingerprinter();
+    this.upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: 10 * 1024 * 1024, files: 1 },
+    });
+    this.licenseGenerator = new LicenseGenerator({
+      signingKey: config.signingKey,
+      trustedKeys: config.trustedKeys,
+      keyring: this.keyring,
+      licenseTypes: config.licenseTypes,
+    });
     this.redisClient = null;
+    // Optional: revocations are mirrored to licenses.status and audit_log when configured
+    this.dbPool = config.database ? new Pool(config.database) : null;
+    this.revocationListValidityHours = config.revocationListValidityHours || 24;
     this.metrics = {
       requestCount: 0,
       validationCount: 0,
@@ -40,6 +333,10 @@ class ValidationServer {
    */
   async start() {
     try {
+      if (this.keyring) {
+        await this.keyring.load();
+      }
+      assertTrustedKeys(this.licenseGenerator, this.keyring);
       await this._connectRedis();
       this.server = this.app.listen(this.port, () => {
         console.log(`🚀 Data Protection Validation Server running on port ${this.port}`);
@@ -59,6 +356,9 @@ class ValidationServer {
     if (this.redisClient) {
       await this.redisClient.quit();
     }
+    if (this.dbPool) {
+      await this.dbPool.end();
+    }
     if (this.server) {
       this.server.close();
     }
@@ -140,7 +440,10 @@ class ValidationServer {
 
         res.json({
           valid: validationResult.valid,
+          status: validationResult.status,
+          reasons: validationResult.reasons,
           license: validationResult.license,
+          ...(validationResult.warnings ? { warnings: validationResult.warnings } : {}),
           verificationTimestamp: new Date().toISOString(),
           cached: validationResult.cached,
           responseTime: Date.now() - req.startTime
@@ -181,7 +484,10 @@ class ValidationServer {
               return {
                 index,
                 valid: result.valid,
+                status: result.status,
+                reasons: result.reasons,
                 license: result.license,
+                ...(result.warnings ? { warnings: result.warnings } : {}),
                 cached: result.cached
               };
             } catch (error) {
@@ -219,15 +525,46 @@ class ValidationServer {
     this.app.get('/api/v1/license/:hash', async (req, res) => {
       try {
         const { hash } = req.params;
-        const cachedLicense = await this._getFromCache(`license:${hash}`);
+        const cachedLicense = await getFromCache(this.redisClient, `license:${hash}`);
         
         if (cachedLicense) {
           this.metrics.cacheHits++;
-          res.json({
-            license: JSON.parse(cachedLicense),
+          const license = JSON.parse(cachedLicense);
+          const validation = this.licenseGenerator.validateLicense(license, {
+            revocationSource: await getRevocationSource(this.redisClient, license),
+          });
+          const response = {
+            license,
+            status: validation.status,
+            reasons: validation.reasons,
             cached: true,
             verificationTimestamp: new Date().toISOString()
-          });
+          };
+
+          // ?history=true returns the amendment chain, ?at=<date> the terms in force at that time
+          if (req.query.history === 'true' || req.query.at) {
+            const history = await getLicenseHistory(this.redisClient, license.id);
+            const chain = history.length ? history : [license];
+            const at = req.query.at ? new Date(req.query.at) : new Date();
+            if (Number.isNaN(at.getTime())) {
+              res.status(400).json({
+                error: 'at must be an ISO date',
+                code: 'INVALID_REQUEST',
+              });
+              return;
+            }
+
+            const termsInForce = LicenseGenerator.resolveTermsAt(chain, at);
+            response.current = chain[chain.length - 1];
+            response.termsInForce = termsInForce;
+            response.termsAt = at.toISOString();
+            response.chain = this.licenseGenerator.verifyLicenseChain(chain);
+            if (req.query.history === 'true') {
+              response.history = chain;
+            }
+          }
+
+          res.json(response);
         } else {
           this.metrics.cacheMisses++;
           res.status(404).json({
@@ -257,23 +594,52 @@ class ValidationServer {
           });
         }
 
-        // Validate license before storing
-        const isValid = this.licenseGenerator.validateLicense(license);
-        if (!isValid) {
+        const restrictionCheck = validateRestrictions(license.restrictions || {});
+        if (!restrictionCheck.valid) {
+          return res.status(400).json({
+            error: 'Invalid license restrictions',
+            code: 'INVALID_RESTRICTIONS',
+            details: restrictionCheck.errors,
+          });
+        }
+
+        // Validate license signature against trusted issuer keys before storing
+        const validation = this.licenseGenerator.validateLicense(license, {
+          revocationSource: await getRevocationSource(this.redisClient, license),
+        });
+        if (!validation.verified) {
           return res.status(400).json({
             error: 'Invalid license signature',
-            code: 'INVALID_SIGNATURE'
+            code: 'INVALID_SIGNATURE',
+            reasons: validation.reasons,
+          });
+        }
+
+        // Licenses that have not started yet may be stored ahead of time
+        if (validation.status === 'expired' || validation.status === 'revoked') {
+          return res.status(400).json({
+            error: `License is ${validation.status}`,
+            code: 'LICENSE_NOT_ACTIVE',
+            status: validation.status,
+            reasons: validation.reasons,
           });
         }
 
+        const historyError = await appendToHistory(this.redisClient, this.licenseGenerator, license);
+        if (historyError) {
+          return res.status(historyError.status).json(historyError.body);
+        }
+
         // Store in cache with 24 hour expiration
-        await this._setInCache(`license:${license.hash}`, JSON.stringify(license), 86400);
+        await setInCache(this.redisClient, `license:${license.hash}`, JSON.stringify(license), 86400);
+        const indexError = await indexImageFingerprint(this.redisClient, license);
         
         res.json({
           stored: true,
           hash: license.hash,
           expiresIn: 86400,
           verificationUrl: `https://data-protection.org/verify/${license.hash}`,
+          ...(indexError ? { warnings: [indexError] } : {}),
           timestamp: new Date().toISOString()
         });
 
@@ -286,6 +652,186 @@ class ValidationServer {
       }
     });
 
+    // Perceptual image lookup: which licenses protect an image like this one?
+    this.app.post('/api/v1/match/image', this.upload.single('image'), async (req, res) => {
+      try {
+        if (!req.file) {
+          return res.status(400).json({
+            error: 'Image file required in "image" field',
+            code: 'INVALID_REQUEST',
+          });
+        }
+
+        const maxDistance = req.body.maxDistance !== undefined ? Number(req.body.maxDistance) : undefined;
+        if (maxDistance !== undefined && (!Number.isInteger(maxDistance) || maxDistance < 0 || maxDistance > 64)) {
+          return res.status(400).json({
+            error: 'maxDistance must be an integer between 0 and 64',
+            code: 'INVALID_REQUEST',
+          });
+        }
+
+        const fingerprint = await this.imageFingerprinter.fingerprint(req.file.buffer);
+        const candidates = await getImageFingerprintIndex(this.redisClient);
+        const matches = await Promise.all(this.imageFingerprinter.findMatches(fingerprint, candidates, {
+          maxDistance,
+          hashType: req.body.hashType,
+        }).map((match) => checkMatchStatus(this.redisClient, this.licenseGenerator, match)));
+
+        return res.json({
+          fingerprint,
+          matches,
+          candidatesSearched: candidates.length,
+          verificationTimestamp: new Date().toISOString(),
+          responseTime: Date.now() - req.startTime,
+        });
+      } catch (error) {
+        return res.status(500).json({
+          error: 'Image matching failed',
+          message: error.message,
+          code: 'IMAGE_MATCH_ERROR',
+        });
+      }
+    });
+
+    // Revoke a license (issuer-signed request)
+    this.app.post('/api/v1/revoke', async (req, res) => {
+      try {
+        const request = req.body;
+
+        if (!request || request.action !== 'revoke' || !request.licenseHash || !request.requestedAt) {
+          return res.status(400).json({
+            error: 'Signed revocation request with action, licenseHash and requestedAt required',
+            code: 'INVALID_REQUEST',
+          });
+        }
+
+        const reason = request.reason || 'unspecified';
+        if (!RevocationList.isValidReason(reason)) {
+          return res.status(400).json({
+            error: `Unsupported revocation reason: ${reason}`,
+            code: 'INVALID_REASON',
+          });
+        }
+
+        const age = Date.now() - new Date(request.requestedAt).getTime();
+        if (!(Math.abs(age) <= REQUEST_MAX_AGE_MS) || !this.licenseGenerator.verifyDocument(request)) {
+          return res.status(401).json({
+            error: 'Revocation request signature is invalid or expired',
+            code: 'INVALID_SIGNATURE',
+          });
+        }
+
+        // The issuer must be confirmed from a stored license, never assumed
+        const license = await findLicense(this.redisClient, this.dbPool, request.licenseHash);
+        if (!license) {
+          return res.status(404).json({
+            error: 'License not found; its issuer cannot be confirmed',
+            code: 'LICENSE_NOT_FOUND',
+          });
+        }
+        if (!this.licenseGenerator.isIssuerOf(request.issuer.keyId, license)) {
+          return res.status(403).json({
+            error: 'Only the issuer of a license may revoke it',
+            code: 'NOT_LICENSE_ISSUER',
+          });
+        }
+
+        const existing = (await getRevocationSource(this.redisClient, license)).getRevocation(license);
+        if (existing) {
+          return res.status(409).json({
+            error: 'License already revoked',
+            code: 'ALREADY_REVOKED',
+            revocation: existing,
+          });
+        }
+
+        const revocation = await storeRevocation(this.redisClient, this.dbPool, {
+          licenseHash: request.licenseHash,
+          licenseId: license.id,
+          reason,
+          revokedBy: request.issuer.keyId,
+        }, req);
+
+        return res.json({
+          revoked: true,
+          revocation,
+          timestamp: new Date().toISOString(),
+        });
+      } catch (error) {
+        return res.status(500).json({
+          error: 'Revocation failed',
+          message: error.message,
+          code: 'REVOCATION_ERROR',
+        });
+      }
+    });
+
+    // Signed revocation list; ?since=<number> returns only the delta after that list number
+    this.app.get('/api/v1/revocations', async (req, res) => {
+      try {
+        // A list signed by a throwaway key could not be verified by anyone
+        if (!this.signingKeyConfigured && !(this.keyring && this.keyring.canSign())) {
+          return res.status(503).json({
+            error: 'No issuer signing key configured; revocation lists are not published',
+            code: 'ISSUER_KEY_NOT_CONFIGURED',
+          });
+        }
+
+        const revocationList = await loadRevocationList(this.redisClient, this.revocationListValidityHours);
+        let list;
+
+        if (req.query.since !== undefined) {
+          const since = Number(req.query.since);
+          if (!Number.isInteger(since) || since < 0 || since > revocationList.number) {
+            return res.status(400).json({
+              error: `since must be an integer between 0 and ${revocationList.number}`,
+              code: 'INVALID_REQUEST',
+            });
+          }
+          list = revocationList.toDeltaList(since);
+        } else {
+          list = revocationList.toFullList();
+        }
+
+        res.set('Cache-Control', 'public, max-age=60');
+        return res.json(this.licenseGenerator.signDocument(list));
+      } catch (error) {
+        return res.status(500).json({
+          error: 'Revocation list unavailable',
+          message: error.message,
+          code: 'REVOCATION_LIST_ERROR',
+        });
+      }
+    });
+
+    // Issuer public key set
+    this.app.get('/.well-known/jwks.json', (req, res) => {
+      if (!this.keyring) {
+        return res.status(404).json({
+          error: 'No issuer keyring configured',
+          code: 'JWKS_NOT_AVAILABLE',
+        });
+      }
+
+      res.set('Cache-Control', 'public, max-age=300');
+      return res.json(this.keyring.toJWKS());
+    });
+
+    // Published JSON-LD context for the license vocabulary (versions are immutable)
+    this.app.get('/contexts/license/:file', (req, res) => {
+      const match = req.params.file.match(/^v(\d+)\.jsonld$/);
+      const context = match ? LICENSE_CONTEXTS[match[1]] : null;
+      if (!context) {
+        return res.status(404).json({
+          error: 'Unknown license context version',
+          code: 'CONTEXT_NOT_FOUND',
+        });
+      }
+
+      res.set('Cache-Control', 'public, max-age=31536000, immutable');
+      return res.type('application/ld+json').send(JSON.stringify(context, null, 2));
+    });
+
     // Metrics endpoint
     this.app.get('/api/v1/metrics', (req, res) => {
       res.json({
@@ -305,9 +851,15 @@ class ValidationServer {
         endpoints: {
           'POST /api/v1/validate': 'Validate a single license',
           'POST /api/v1/validate/bulk': 'Validate multiple licenses',
-          'GET /api/v1/license/:hash': 'Lookup license by hash',
+          'GET /api/v1/license/:hash':
+            'Lookup license by hash (?history=true for the amendment chain, ?at=<date> for terms in force)',
           'POST /api/v1/store': 'Store license in cache',
+          'POST /api/v1/match/image': 'Find licenses protecting a similar image (multipart "image" field)',
+          'POST /api/v1/revoke': 'Revoke a license (issuer-signed request with reason code)',
+          'GET /api/v1/revocations': 'Signed revocation list (?since=<number> for a delta list)',
           'GET /api/v1/metrics': 'API metrics',
+          'GET /.well-known/jwks.json': 'Trusted issuer public keys (JWKS)',
+          'GET /contexts/license/v1.jsonld': 'JSON-LD context for the license protection vocabulary',
           'GET /health': 'Health check'
         },
         rateLimit: '1000 requests per minute',
@@ -354,57 +906,52 @@ class ValidationServer {
     try {
       // If only hash provided, try to get license from cache
       if (!license && hash) {
-        const cachedLicense = await this._getFromCache(`license:${hash}`);
+        const cachedLicense = await getFromCache(this.redisClient, `license:${hash}`);
         if (cachedLicense) {
           license = JSON.parse(cachedLicense);
           this.metrics.cacheHits++;
         } else {
           this.metrics.cacheMisses++;
-          return { valid: false, error: 'License not found in cache' };
+          return {
+            valid: false,
+            status: null,
+            reasons: [{ code: 'LICENSE_NOT_FOUND', message: 'License not found in cache' }],
+            error: 'License not found in cache',
+          };
         }
       }
 
-      // Validate license
-      const isValid = this.licenseGenerator.validateLicense(license);
+      // Validate license, checking revocation on every request
+      const validation = this.licenseGenerator.validateLicense(license, {
+        revocationSource: await getRevocationSource(this.redisClient, license),
+      });
       
       // Cache the validation result
-      if (isValid && license.hash) {
-        await this._setInCache(`license:${license.hash}`, JSON.stringify(license), 3600);
-        await this._setInCache(`validation:${license.hash}`, 'valid', 300); // 5 min cache
+      let indexError = null;
+      if (validation.valid && license.hash) {
+        await setInCache(this.redisClient, `license:${license.hash}`, JSON.stringify(license), 3600);
+        await setInCache(this.redisClient, `validation:${license.hash}`, 'valid', 300); // 5 min cache
+        indexError = await indexImageFingerprint(this.redisClient, license);
       }
 
       return {
-        valid: isValid,
-        license: isValid ? license : null,
+        valid: validation.valid,
+        status: validation.status,
+        reasons: validation.reasons,
+        license: validation.verified ? license : null,
+        ...(indexError ? { warnings: [indexError] } : {}),
         cached: false
       };
 
     } catch (error) {
       return {
         valid: false,
+        status: null,
+        reasons: [{ code: 'VALIDATION_ERROR', message: error.message }],
         error: error.message
       };
     }
   }
-
-  async _getFromCache(key) {
-    try {
-      return await this.redisClient.get(key);
-    } catch (error) {
-      console.error('Cache get error:', error);
-      return null;
-    }
-  }
-
-  async _setInCache(key, value, expiration = 3600) {
-    try {
-      await this.redisClient.setEx(key, expiration, value);
-      return true;
-    } catch (error) {
-      console.error('Cache set error:', error);
-      return false;
-    }
-  }
 }
 
 // Export both class and instance factory
@@ -418,7 +965,13 @@ if (require.main === module) {
       host: process.env.REDIS_HOST || 'localhost',
       port: process.env.REDIS_PORT || 6379,
       db: process.env.REDIS_DB || 0
-    }
+    },
+    keyring: process.env.KEYRING_PATH
+      ? new IssuerKeyring({ path: process.env.KEYRING_PATH, passphrase: process.env.DPL_KEYRING_PASSPHRASE })
+      : null,
+    trustedJWKS: process.env.TRUSTED_JWKS_PATH
+      ? JSON.parse(fs.readFileSync(process.env.TRUSTED_JWKS_PATH, 'utf8'))
+      : null,
   });
 
   server.start().catch(console.error);
@@ -0,0 +1,264 @@
+const { EventEmitter } = require('events');
+const request = require('supertest');
+const ValidationServer = require('./validation-server');
+const LicenseGenerator = require('../core/license-generator');
+
+// In-memory stand-ins for the node-redis v4 client and a pg pool
+function createRedis(events = []) {
+  const strings = new Map();
+  const hashes = new Map();
+  const sets = new Map();
+  const lists = new Map();
+  const hash = (key) => {
+    if (!hashes.has(key)) {
+      hashes.set(key, new Map());
+    }
+    return hashes.get(key);
+  };
+
+  return Object.assign(new EventEmitter(), {
+    get: async (key) => (strings.has(key) ? strings.get(key) : null),
+    setEx: async (key, expiration, value) => {
+      strings.set(key, String(value));
+    },
+    incr: async (key) => {
+      const value = Number(strings.get(key) || 0) + 1;
+      strings.set(key, String(value));
+      return value;
+    },
+    del: async (key) => {
+      strings.delete(key);
+    },
+    hGet: async (key, field) => (hash(key).has(field) ? hash(key).get(field) : null),
+    hSet: async (key, field, value) => {
+      events.push(`redis hSet ${key}`);
+      hash(key).set(field, value);
+    },
+    hGetAll: async (key) => Object.fromEntries(hash(key)),
+    sAdd: async (key, member) => {
+      sets.set(key, (sets.get(key) || new Set()).add(member));
+    },
+    sMembers: async (key) => Array.from(sets.get(key) || []),
+    lRange: async (key) => lists.get(key) || [],
+    rPush: async (key, value) => {
+      lists.set(key, (lists.get(key) || []).concat(value));
+    },
+  });
+}
+
+function createPool(events = [], options = {}) {
+  const pool = {
+    clients: [],
+    query: async () => ({ rows: [] }),
+    end: async () => {},
+    connect: async () => {
+      const client = {
+        queries: [],
+        released: false,
+        query: async (text) => {
+          const statement = text.trim().split(/\s+/).slice(0, 2).join(' ');
+          client.queries.push(statement);
+          events.push(`db ${statement}`);
+          // Yield so concurrent requests interleave as they would against a real database
+          await new Promise((resolve) => { setImmediate(resolve); });
+          if (options.failOn && options.failOn.test(text)) {
+            throw new Error('database unavailable');
+          }
+          return { rows: /^SELECT/.test(statement) ? [{ id: 1, status: 'active' }, { id: 2, status: 'active' }] : [] };
+        },
+        release: () => {
+          client.released = true;
+        },
+      };
+      pool.clients.push(client);
+      return client;
+    },
+  };
+  return pool;
+}
+
+describe('ValidationServer', () => {
+  const issuer = new LicenseGenerator();
+  const issuerKey = issuer.getSigningKey();
+  let server;
+  let redis;
+  let pool;
+  let events;
+
+  const store = async (license) => {
+    await redis.setEx(`license:${license.hash}`, 86400, JSON.stringify(license));
+  };
+  const revoke = (signer, licenseHash, reason = 'issued-in-error') => request(server.app)
+    .post('/api/v1/revoke')
+    .send(signer.createRevocationRequest(licenseHash, reason));
+
+  beforeAll(() => {
+    // Requests are logged to the console by the server
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    events = [];
+    redis = createRedis(events);
+    pool = createPool(events);
+    server = new ValidationServer({ signingKey: issuerKey });
+    server.redisClient = redis;
+    server.dbPool = pool;
+  });
+
+  describe('POST /api/v1/revoke', () => {
+    test('commits the revocation to the database before publishing it in Redis', async () => {
+      const license = issuer.generateLicense({ type: 'do-not-train', creator: 'Ada', content: 'Protected text' });
+      await store(license);
+
+      const response = await revoke(issuer, license.hash);
+
+      expect(response.status).toBe(200);
+      expect(response.body.revocation).toMatchObject({ licenseHash: license.hash, reason: 'issued-in-error' });
+      expect(events.indexOf('db COMMIT')).toBeLessThan(events.indexOf('redis hSet revocations'));
+
+      const validation = await request(server.app).post('/api/v1/validate').send({ license });
+      expect(validation.body).toMatchObject({ valid: false, status: 'revoked' });
+    });
+
+    test('runs the transaction on a client of its own and releases it', async () => {
+      const license = issuer.generateLicense({ type: 'do-not-train', creator: 'Ada', content: 'Protected text' });
+      await store(license);
+
+      await revoke(issuer, license.hash);
+
+      expect(pool.clients).toHaveLength(1);
+      const [client] = pool.clients;
+      expect(client.queries[0]).toBe('BEGIN');
+      expect(client.queries[client.queries.length - 1]).toBe('COMMIT');
+      expect(client.released).toBe(true);
+    });
+
+    test('keeps concurrent revocations in separate transactions', async () => {
+      const licenses = ['First text', 'Second text'].map((content) => issuer.generateLicense({
+        type: 'do-not-train', creator: 'Ada', content,
+      }));
+      await Promise.all(licenses.map(store));
+
+      const responses = await Promise.all(licenses.map((license) => revoke(issuer, license.hash)));
+
+      expect(responses.map((response) => response.status)).toEqual([200, 200]);
+      expect(pool.clients).toHaveLength(2);
+      pool.clients.forEach((client) => {
+        expect(client.queries.filter((statement) => statement === 'BEGIN')).toHaveLength(1);
+        expect(client.queries.filter((statement) => statement === 'COMMIT')).toHaveLength(1);
+        expect(client.queries.filter((statement) => statement === 'UPDATE licenses')).toHaveLength(2);
+      });
+    });
+
+    test('leaves Redis untouched when the database write fails', async () => {
+      pool = createPool(events, { failOn: /INSERT INTO audit_log/ });
+      server.dbPool = pool;
+      const license = issuer.generateLicense({ type: 'do-not-train', creator: 'Ada', content: 'Protected text' });
+      await store(license);
+
+      const response = await revoke(issuer, license.hash);
+
+      expect(response.status).toBe(500);
+      expect(pool.clients[0].queries).toContain('ROLLBACK');
+      expect(pool.clients[0].released).toBe(true);
+      expect(events).not.toContain('redis hSet revocations');
+
+      const validation = await request(server.app).post('/api/v1/validate').send({ license });
+      expect(validation.body).toMatchObject({ valid: true, status: 'active' });
+    });
+
+    test('rejects a tampered revocation request', async () => {
+      const license = issuer.generateLicense({ type: 'do-not-train', creator: 'Ada', content: 'Protected text' });
+      await store(license);
+      const signed = issuer.createRevocationRequest(license.hash, 'issued-in-error');
+
+      const response = await request(server.app).post('/api/v1/revoke').send({ ...signed, reason: 'key-compromise' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('INVALID_SIGNATURE');
+      expect(pool.clients).toHaveLength(0);
+    });
+
+    test('rejects a revocation signed by a trusted key that did not issue the license', async () => {
+      const otherIssuer = new LicenseGenerator();
+      server.licenseGenerator.trustKey(otherIssuer.getIssuerPublicKey());
+      const license = issuer.generateLicense({ type: 'do-not-train', creator: 'Ada', content: 'Protected text' });
+      await store(license);
+
+      const response = await revoke(otherIssuer, license.hash);
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('NOT_LICENSE_ISSUER');
+    });
+  });
+
+  describe('POST /api/v1/match/image', () => {
+    const fingerprint = { aHash: 'ffff0000ffff0000', dHash: '0f0f0f0f0f0f0f0f', pHash: 'aaaa5555aaaa5555' };
+    const match = () => request(server.app)
+      .post('/api/v1/match/image')
+      .attach('image', Buffer.from('image bytes'), 'photo.png');
+
+    beforeEach(() => {
+      jest.spyOn(server.imageFingerprinter, 'fingerprint').mockResolvedValue(fingerprint);
+    });
+
+    test('reports the status of every matched license and marks revoked ones', async () => {
+      const licenses = ['First photo', 'Second photo'].map((content) => issuer.generateLicense({
+        type: 'do-not-train', creator: 'Ada', content, fingerprints: { image: fingerprint },
+      }));
+      await Promise.all(licenses.map((license) => request(server.app).post('/api/v1/store').send({ license })));
+      await revoke(issuer, licenses[1].hash);
+
+      const { body } = await match();
+      const byHash = Object.fromEntries(body.matches.map((entry) => [entry.licenseHash, entry]));
+
+      expect(body.matches).toHaveLength(2);
+      expect(byHash[licenses[0].hash]).toMatchObject({
+        distance: 0, valid: true, status: 'active', revoked: false,
+      });
+      expect(byHash[licenses[1].hash]).toMatchObject({
+        distance: 0, valid: false, status: 'revoked', revoked: true,
+      });
+      expect(byHash[licenses[1].hash].reasons[0].code).toBe('REVOKED');
+    });
+
+    test('still marks a revoked license once it has left the cache', async () => {
+      const license = issuer.generateLicense({
+        type: 'do-not-train', creator: 'Ada', content: 'Photo', fingerprints: { image: fingerprint },
+      });
+      await request(server.app).post('/api/v1/store').send({ license });
+      await revoke(issuer, license.hash);
+      await redis.del(`license:${license.hash}`);
+
+      const { body } = await match();
+
+      expect(body.matches[0]).toMatchObject({ valid: false, status: 'revoked', revoked: true });
+    });
+  });
+
+  describe('GET /api/v1/revocations', () => {
+    test('publishes signed full and delta lists', async () => {
+      const licenses = ['First text', 'Second text'].map((content) => issuer.generateLicense({
+        type: 'do-not-train', creator: 'Ada', content,
+      }));
+      await Promise.all(licenses.map(store));
+      await revoke(issuer, licenses[0].hash);
+      await revoke(issuer, licenses[1].hash, 'superseded');
+
+      const full = (await request(server.app).get('/api/v1/revocations')).body;
+      const delta = (await request(server.app).get('/api/v1/revocations?since=1')).body;
+
+      expect(issuer.verifyDocument(full)).toBe(true);
+      expect(full.entries.map((entry) => entry.licenseHash)).toEqual(licenses.map((license) => license.hash));
+      expect(issuer.verifyDocument(delta)).toBe(true);
+      expect(delta).toMatchObject({ type: 'delta', baseNumber: 1, number: 2 });
+      expect(delta.entries.map((entry) => entry.reason)).toEqual(['superseded']);
+      expect(issuer.verifyDocument({ ...full, entries: full.entries.slice(1) })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * AI crawler catalogue
+ * User-agent product tokens of crawlers that collect content for AI systems,
+ * by what the operator uses the content for:
+ *   ai-training  - building training datasets
+ *   ai-search    - indexing for AI search and answer engines
+ *   ai-assistant - fetching pages on behalf of a user of an AI assistant
+ * Control tokens are honoured in robots.txt but never sent as a User-Agent
+ * header (the operator crawls under its search crawler's name).
+ *
+ * To update: add or retire entries from the operators' published crawler
+ * documentation and bump AI_CRAWLER_CATALOGUE_VERSION (year.month.revision),
+ * which is written into generated robots.txt files.
+ */
+const AI_CRAWLER_CATALOGUE_VERSION = '2026.10.0';
+
+const AI_CRAWLER_PURPOSES = ['ai-training', 'ai-search', 'ai-assistant'];
+
+const AI_CRAWLERS = Object.freeze([
+  // Training data collection
+  { token: 'GPTBot', operator: 'OpenAI', purposes: ['ai-training'] },
+  { token: 'ClaudeBot', operator: 'Anthropic', purposes: ['ai-training'] },
+  { token: 'anthropic-ai', operator: 'Anthropic', purposes: ['ai-training'] },
+  { token: 'CCBot', operator: 'Common Crawl', purposes: ['ai-training'] },
+  {
+    token: 'Google-Extended', operator: 'Google', purposes: ['ai-training'], controlToken: true,
+  },
+  {
+    token: 'Applebot-Extended', operator: 'Apple', purposes: ['ai-training'], controlToken: true,
+  },
+  { token: 'Bytespider', operator: 'ByteDance', purposes: ['ai-training'] },
+  { token: 'Meta-ExternalAgent', operator: 'Meta', purposes: ['ai-training'] },
+  { token: 'FacebookBot', operator: 'Meta', purposes: ['ai-training'] },
+  { token: 'Amazonbot', operator: 'Amazon', purposes: ['ai-training'] },
+  { token: 'cohere-training-data-crawler', operator: 'Cohere', purposes: ['ai-training'] },
+  { token: 'AI2Bot', operator: 'Allen Institute for AI', purposes: ['ai-training'] },
+  { token: 'Diffbot', operator: 'Diffbot', purposes: ['ai-training'] },
+  { token: 'PanguBot', operator: 'Huawei', purposes: ['ai-training'] },
+  { token: 'Timpibot', operator: 'Timpi', purposes: ['ai-training'] },
+  { token: 'ImagesiftBot', operator: 'ImageSift', purposes: ['ai-training'] },
+  {
+    token: 'Webzio-Extended', operator: 'Webz.io', purposes: ['ai-training'], controlToken: true,
+  },
+  { token: 'img2dataset', operator: 'img2dataset', purposes: ['ai-training'] },
+
+  // AI search indexing
+  { token: 'OAI-SearchBot', operator: 'OpenAI', purposes: ['ai-search'] },
+  { token: 'Claude-SearchBot', operator: 'Anthropic', purposes: ['ai-search'] },
+  { token: 'PerplexityBot', operator: 'Perplexity', purposes: ['ai-search'] },
+  { token: 'YouBot', operator: 'You.com', purposes: ['ai-search'] },
+  { token: 'DuckAssistBot', operator: 'DuckDuckGo', purposes: ['ai-search'] },
+
+  // User-initiated fetches
+  { token: 'ChatGPT-User', operator: 'OpenAI', purposes: ['ai-assistant'] },
+  { token: 'Claude-User', operator: 'Anthropic', purposes: ['ai-assistant'] },
+  { token: 'Perplexity-User', operator: 'Perplexity', purposes: ['ai-assistant'] },
+  { token: 'Meta-ExternalFetcher', operator: 'Meta', purposes: ['ai-assistant'] },
+  { token: 'MistralAI-User', operator: 'Mistral AI', purposes: ['ai-assistant'] },
+  { token: 'cohere-ai', operator: 'Cohere', purposes: ['ai-assistant'] },
+].map((crawler) => Object.freeze({ controlToken: false, ...crawler })));
+
+/**
+ * Catalogued AI crawlers
+ * @param {Array} purposes - Only crawlers used for any of these purposes (default all)
+ * @returns {Array} Crawlers { token, operator, purposes, controlToken }
+ */
+function getAICrawlers(purposes = AI_CRAWLER_PURPOSES) {
+  const unknown = purposes.filter((purpose) => !AI_CRAWLER_PURPOSES.includes(purpose));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown AI crawler purposes: ${unknown.join(', ')}`);
+  }
+  return AI_CRAWLERS.filter((crawler) => crawler.purposes.some((purpose) => purposes.includes(purpose)));
+}
+
+/**
+ * robots.txt User-agent lines for catalogued AI crawlers
+ * @param {Array} purposes - Only crawlers used for any of these purposes (default all)
+ * @returns {Array} User-agent lines
+ */
+function getAICrawlerUserAgentLines(purposes) {
+  return getAICrawlers(purposes).map((crawler) => `User-agent: ${crawler.token}`);
+}
+
+module.exports = {
+  AI_CRAWLER_CATALOGUE_VERSION,
+  AI_CRAWLER_PURPOSES,
+  AI_CRAWLERS,
+  getAICrawlers,
+  getAICrawlerUserAgentLines,
+};
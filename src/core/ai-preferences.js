@@ -0,0 +1,106 @@
+/**
+ * AI usage preference files
+ * ai.txt (Spawning) lists file types AI dataset builders may or may not use,
+ * in robots.txt syntax with extension patterns. llms.txt (llmstxt.org) is a
+ * Markdown index for language models: an H1 title, a blockquote summary,
+ * free-form details and H2 sections of links.
+ */
+
+// Media types and the file extensions that carry them
+const AI_MEDIA_TYPES = {
+  text: {
+    label: 'Text',
+    extensions: ['txt', 'pdf', 'doc', 'docx', 'odt', 'rtf', 'md', 'tex', 'epub', 'htm', 'html'],
+  },
+  images: {
+    label: 'Images',
+    extensions: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'heic', 'bmp', 'tif', 'tiff', 'svg'],
+  },
+  audio: {
+    label: 'Audio',
+    extensions: ['mp3', 'wav', 'ogg', 'oga', 'flac', 'aac', 'm4a', 'aiff', 'opus'],
+  },
+  video: {
+    label: 'Video',
+    extensions: ['mp4', 'm4v', 'webm', 'mov', 'avi', 'mkv', 'wmv', 'flv'],
+  },
+  code: {
+    label: 'Code',
+    extensions: [
+      'py', 'js', 'ts', 'java', 'c', 'cpp', 'h', 'cs', 'go', 'rb', 'rs', 'php', 'swift', 'kt', 'sh', 'ipynb',
+    ],
+  },
+};
+
+/**
+ * Allowed and denied media types
+ * Every media type starts from the license default; explicit allowed and
+ * denied lists override it, denied winning over allowed
+ * @param {boolean} reserved - Whether the license reserves AI training and mining rights
+ * @param {Object} mediaTypes - Overrides { allowed, denied } of AI_MEDIA_TYPES keys
+ * @returns {Object} { allowed, denied }
+ */
+function resolveMediaPreferences(reserved, mediaTypes = {}) {
+  const allowed = mediaTypes.allowed || [];
+  const denied = mediaTypes.denied || [];
+  const unknown = [...allowed, ...denied].filter((type) => !AI_MEDIA_TYPES[type]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown media types: ${unknown.join(', ')} (expected ${Object.keys(AI_MEDIA_TYPES).join(', ')})`);
+  }
+
+  const isDenied = (type) => denied.includes(type) || (reserved && !allowed.includes(type));
+  const types = Object.keys(AI_MEDIA_TYPES);
+  return {
+    allowed: types.filter((type) => !isDenied(type)),
+    denied: types.filter(isDenied),
+  };
+}
+
+/**
+ * ai.txt lines for media preferences
+ * @param {Object} preferences - { allowed, denied } from resolveMediaPreferences
+ * @returns {Array} User-Agent group lines
+ */
+function formatAiTxtRules(preferences) {
+  const patterns = (types) => types.reduce((lines, type) => (
+    lines.concat(AI_MEDIA_TYPES[type].extensions.map((extension) => `*.${extension}`))
+  ), []);
+
+  if (preferences.allowed.length === 0) {
+    return ['User-Agent: *', 'Disallow: /'];
+  }
+  return [
+    'User-Agent: *',
+    ...patterns(preferences.denied).map((pattern) => `Disallow: ${pattern}`),
+    ...patterns(preferences.allowed).map((pattern) => `Allow: ${pattern}`),
+  ];
+}
+
+/**
+ * llms.txt Markdown
+ * @param {Object} document - { title, summary, details: [paragraphs],
+ *   sections: [{ title, links: [{ name, url, notes }] }] }
+ * @returns {string} llms.txt content
+ */
+function formatLlmsTxt(document) {
+  const blocks = [`# ${document.title}`];
+  if (document.summary) {
+    blocks.push(`> ${document.summary}`);
+  }
+  blocks.push(...(document.details || []));
+  (document.sections || []).forEach((section) => {
+    blocks.push([
+      `## ${section.title}`,
+      '',
+      ...section.links.map((link) => `- [${link.name}](${link.url})${link.notes ? `: ${link.notes}` : ''}`),
+    ].join('\n'));
+  });
+  return `${blocks.join('\n\n')}\n`;
+}
+
+module.exports = {
+  AI_MEDIA_TYPES,
+  formatAiTxtRules,
+  formatLlmsTxt,
+  resolveMediaPreferences,
+};
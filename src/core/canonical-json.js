@@ -0,0 +1,57 @@
+/**
+ * JSON Canonicalization Scheme (RFC 8785)
+ * Produces a byte-stable serialization for hashing and signing:
+ * object members sorted by UTF-16 code units, no insignificant whitespace,
+ * ECMAScript number formatting and JSON string escaping.
+ */
+
+/**
+ * Serialize a JSON-compatible value in canonical form
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON text
+ */
+function canonicalize(value) {
+  if (value === null) {
+    return 'null';
+  }
+
+  if (value !== undefined && typeof value.toJSON === 'function') {
+    return canonicalize(value.toJSON());
+  }
+
+  switch (typeof value) {
+    case 'boolean':
+      return value ? 'true' : 'false';
+
+    case 'number':
+      if (!Number.isFinite(value)) {
+        throw new Error(`Cannot canonicalize non-finite number: ${value}`);
+      }
+      // ECMAScript Number-to-String is the serialization RFC 8785 mandates
+      return JSON.stringify(value);
+
+    case 'string':
+      return JSON.stringify(value);
+
+    case 'object':
+      if (Array.isArray(value)) {
+        const items = value.map((item) => (
+          item === undefined || typeof item === 'function' ? 'null' : canonicalize(item)
+        ));
+        return `[${items.join(',')}]`;
+      }
+
+      return `{${Object.keys(value)
+        .filter((key) => value[key] !== undefined && typeof value[key] !== 'function')
+        .sort()
+        .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+        .join(',')}}`;
+
+    default:
+      throw new Error(`Cannot canonicalize value of type ${typeof value}`);
+  }
+}
+
+module.exports = {
+  canonicalize,
+};
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Content Hasher
+ * Incremental SHA-256 hashing for strings, streams, files and directory trees
+ * so multi-gigabyte datasets never have to be held in memory
+ */
+class ContentHasher {
+  constructor(options = {}) {
+    this.algorithm = options.algorithm || 'sha256';
+  }
+
+  /**
+   * Hash in-memory content
+   * @param {string|Buffer} content - Content to hash
+   * @returns {string} Hex digest
+   */
+  hashContent(content) {
+    return crypto.createHash(this.algorithm).update(content).digest('hex');
+  }
+
+  /**
+   * Hash a readable stream chunk by chunk
+   * @param {stream.Readable} stream - Source stream
+   * @returns {Promise<string>} Hex digest
+   */
+  hashStream(stream) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash(this.algorithm);
+      stream.on('data', (chunk) => hash.update(chunk));
+      stream.on('error', reject);
+      stream.on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  /**
+   * Hash a single file by streaming it from disk
+   * @param {string} filePath - File to hash
+   * @returns {Promise<string>} Hex digest
+   */
+  hashFile(filePath) {
+    return this.hashStream(fs.createReadStream(filePath));
+  }
+
+  /**
+   * Hash every regular file under a directory
+   * The digest covers relative paths and file hashes in sorted order,
+   * so it changes when any file is added, removed, renamed or modified
+   * @param {string} dirPath - Directory to hash
+   * @returns {Promise<Object>} Directory digest and per-file entries
+   */
+  async hashDirectory(dirPath) {
+    const relativePaths = await ContentHasher.listFiles(dirPath);
+    const files = [];
+
+    // Hash sequentially to keep memory and open file handles bounded
+    await relativePaths.reduce((previous, relativePath) => previous.then(async () => {
+      const absolutePath = path.join(dirPath, relativePath);
+      const { size } = await fs.promises.stat(absolutePath);
+      files.push({
+        path: relativePath,
+        hash: await this.hashFile(absolutePath),
+        size,
+      });
+    }), Promise.resolve());
+
+    const listing = crypto.createHash(this.algorithm);
+    files.forEach((file) => listing.update(`${file.hash}  ${file.path}\n`));
+
+    return {
+      digest: listing.digest('hex'),
+      files,
+    };
+  }
+
+  /**
+   * Hash a file or directory path
+   * @param {string} targetPath - File or directory
+   * @returns {Promise<Object>} Digest with the detected source type
+   */
+  async hashPath(targetPath) {
+    const stats = await fs.promises.stat(targetPath);
+
+    if (stats.isDirectory()) {
+      const result = await this.hashDirectory(targetPath);
+      return { type: 'directory', ...result };
+    }
+
+    if (stats.isFile()) {
+      return { type: 'file', digest: await this.hashFile(targetPath), size: stats.size };
+    }
+
+    throw new Error(`Unsupported content path: ${targetPath}`);
+  }
+
+  /**
+   * List regular files under a directory as sorted POSIX-style relative paths
+   * Symbolic links are skipped to avoid cycles and content outside the tree
+   * @param {string} dirPath - Directory to walk
+   * @returns {Promise<Array>} Relative file paths
+   */
+  static async listFiles(dirPath) {
+    const walk = async (currentDir, prefix) => {
+      const entries = await fs.promises.readdir(currentDir, { withFileTypes: true });
+      const nested = await Promise.all(entries.map((entry) => {
+        const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          return walk(path.join(currentDir, entry.name), relativePath);
+        }
+        return entry.isFile() ? [relativePath] : [];
+      }));
+      return [].concat(...nested);
+    };
+
+    return (await walk(dirPath, '')).sort();
+  }
+}
+
+module.exports = ContentHasher;
@@ -0,0 +1,186 @@
+const HASH_TYPES = ['aHash', 'dHash', 'pHash'];
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.tif', '.tiff', '.avif'];
+
+const toBits = (hex) => Array.from(hex, (digit) => parseInt(digit, 16).toString(2).padStart(4, '0')).join('');
+
+function bitsToHex(bits) {
+  const binary = bits.map((bit) => (bit ? '1' : '0')).join('');
+  return binary.match(/.{4}/g).map((nibble) => parseInt(nibble, 2).toString(16)).join('');
+}
+
+async function grayscalePixels(sharp, input, width, height) {
+  const { data, info } = await sharp(input)
+    .rotate()
+    .removeAlpha()
+    .grayscale()
+    .resize(width, height, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  // Keep one value per pixel regardless of the output channel count
+  return Array.from({ length: width * height }, (_, i) => data[i * info.channels]);
+}
+
+function averageHash(pixels) {
+  const mean = pixels.reduce((sum, value) => sum + value, 0) / pixels.length;
+  return bitsToHex(pixels.map((value) => value >= mean));
+}
+
+function differenceHash(pixels) {
+  const bits = [];
+  for (let row = 0; row < 8; row += 1) {
+    for (let col = 0; col < 8; col += 1) {
+      bits.push(pixels[row * 9 + col] > pixels[row * 9 + col + 1]);
+    }
+  }
+  return bitsToHex(bits);
+}
+
+function dctHash(pixels) {
+  const size = 32;
+  const coefficients = [];
+
+  // Low-frequency 8x8 block of the 2D DCT-II
+  for (let u = 0; u < 8; u += 1) {
+    for (let v = 0; v < 8; v += 1) {
+      let sum = 0;
+      for (let x = 0; x < size; x += 1) {
+        for (let y = 0; y < size; y += 1) {
+          sum += pixels[x * size + y]
+            * Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size))
+            * Math.cos(((2 * y + 1) * v * Math.PI) / (2 * size));
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  // The DC term dominates and carries no structure, so leave it out of the median
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+  return bitsToHex(coefficients.map((value) => value > median));
+}
+
+/**
+ * Image Fingerprinter
+ * 64-bit perceptual hashes (average, difference and DCT) that survive
+ * resizing, re-encoding and light edits, unlike exact SHA-256 matching
+ */
+class ImageFingerprinter {
+  /**
+   * @param {Object} options - Fingerprinter configuration
+   * @param {number} options.maxDistance - Default Hamming distance threshold for findMatches
+   * @param {Function} options.sharp - sharp module (loaded on first use when omitted)
+   */
+  constructor(options = {}) {
+    this.defaultMaxDistance = options.maxDistance !== undefined ? options.maxDistance : 10;
+    this.sharp = options.sharp || null;
+  }
+
+  /**
+   * The sharp module
+   * sharp is a native module, so it is only loaded once an image needs it
+   * @returns {Function} sharp
+   */
+  static loadSharp() {
+    // eslint-disable-next-line global-require
+    return require('sharp');
+  }
+
+  /**
+   * Whether a file name looks like a supported image
+   * @param {string} fileName - File name or path
+   * @returns {boolean} True for known image extensions
+   */
+  static isImagePath(fileName) {
+    const lower = fileName.toLowerCase();
+    return IMAGE_EXTENSIONS.some((extension) => lower.endsWith(extension));
+  }
+
+  /**
+   * Number of differing bits between two hex encoded hashes
+   * @param {string} a - Hex hash
+   * @param {string} b - Hex hash
+   * @returns {number} Hamming distance
+   */
+  static hammingDistance(a, b) {
+    if (a.length !== b.length) {
+      throw new Error('Hashes must have the same length');
+    }
+
+    const bitsA = toBits(a);
+    const bitsB = toBits(b);
+    return Array.from(bitsA).filter((bit, i) => bit !== bitsB[i]).length;
+  }
+
+  /**
+   * Compute perceptual hashes for an image
+   * @param {Buffer|string} input - Image buffer or file path
+   * @returns {Promise<Object>} aHash, dHash and pHash as 16-character hex strings
+   */
+  async fingerprint(input) {
+    this.sharp = this.sharp || ImageFingerprinter.loadSharp();
+    const [averagePixels, differencePixels, dctPixels] = await Promise.all([
+      grayscalePixels(this.sharp, input, 8, 8),
+      grayscalePixels(this.sharp, input, 9, 8),
+      grayscalePixels(this.sharp, input, 32, 32),
+    ]);
+
+    return {
+      algorithm: 'perceptual-v1',
+      aHash: averageHash(averagePixels),
+      dHash: differenceHash(differencePixels),
+      pHash: dctHash(dctPixels),
+    };
+  }
+
+  /**
+   * Hamming distances between two fingerprints for every hash type
+   * @param {Object} a - Fingerprint
+   * @param {Object} b - Fingerprint
+   * @returns {Object} Distance per hash type
+   */
+  static compare(a, b) {
+    return HASH_TYPES
+      .filter((hashType) => a[hashType] && b[hashType])
+      .reduce((distances, hashType) => ({
+        ...distances,
+        [hashType]: ImageFingerprinter.hammingDistance(a[hashType], b[hashType]),
+      }), {});
+  }
+
+  /**
+   * Find candidate licenses whose image fingerprint is close to a given fingerprint
+   * @param {Object} fingerprint - Fingerprint of the image being looked up
+   * @param {Array} candidates - Entries with licenseHash, licenseId and fingerprint
+   * @param {Object} options - Matching options
+   * @param {number} options.maxDistance - Maximum Hamming distance (0-64)
+   * @param {string} options.hashType - Hash used for thresholding (default pHash)
+   * @returns {Array} Matches sorted by distance, closest first
+   */
+  findMatches(fingerprint, candidates, options = {}) {
+    const maxDistance = options.maxDistance !== undefined ? options.maxDistance : this.defaultMaxDistance;
+    const hashType = options.hashType || 'pHash';
+
+    if (!HASH_TYPES.includes(hashType)) {
+      throw new Error(`Unsupported hash type: ${hashType}`);
+    }
+
+    return candidates
+      .filter((candidate) => candidate.fingerprint && candidate.fingerprint[hashType])
+      .map((candidate) => {
+        const distances = ImageFingerprinter.compare(fingerprint, candidate.fingerprint);
+        return {
+          licenseHash: candidate.licenseHash,
+          licenseId: candidate.licenseId,
+          distance: distances[hashType],
+          similarity: 1 - distances[hashType] / 64,
+          distances,
+        };
+      })
+      .filter((match) => match.distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance);
+  }
+}
+
+module.exports = ImageFingerprinter;
@@ -0,0 +1,334 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const LicenseSigner = require('./license-signer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function findKey(keys, keyId) {
+  return keys.find((key) => key.keyId === keyId) || null;
+}
+
+// Key record without its encrypted private key
+function describe(record) {
+  const { encryptedPrivateKey, ...description } = record;
+  return description;
+}
+
+function requirePassphrase(passphrase) {
+  if (!passphrase) {
+    throw new Error('Keyring passphrase required to access private keys');
+  }
+}
+
+function encrypt(passphrase, plaintext) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = crypto.scryptSync(passphrase, salt, 32);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return {
+    kdf: 'scrypt',
+    cipher: 'aes-256-gcm',
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+  };
+}
+
+function decrypt(passphrase, encrypted) {
+  try {
+    const key = crypto.scryptSync(passphrase, Buffer.from(encrypted.salt, 'base64'), 32);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(encrypted.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(encrypted.ciphertext, 'base64')),
+      decipher.final(),
+    ]).toString('utf8');
+  } catch (error) {
+    throw new Error('Unable to decrypt issuer key: wrong passphrase or corrupted keyring');
+  }
+}
+
+/**
+ * Issuer Keyring
+ * Stores issuer signing keys encrypted at rest, handles rotation with
+ * overlap windows and publishes the public key set in JWKS form
+ */
+class IssuerKeyring {
+  /**
+   * @param {Object} options - Keyring configuration
+   * @param {string} options.path - Keyring file location
+   * @param {string} options.passphrase - Passphrase protecting private keys
+   */
+  constructor(options = {}) {
+    this.path = options.path || null;
+    this.passphrase = options.passphrase || null;
+    this.signer = new LicenseSigner();
+    this.keys = [];
+    this.unlockedKeys = new Map();
+  }
+
+  /**
+   * Build a verification-only keyring from a published JWKS document
+   * @param {Object} jwks - JWKS document produced by toJWKS()
+   * @returns {IssuerKeyring} Keyring without private keys
+   */
+  static fromJWKS(jwks) {
+    const keyring = new IssuerKeyring();
+    keyring.keys = (jwks.keys || []).map((jwk) => {
+      const {
+        kid, alg, status, nbf, exp, use, ...keyData
+      } = jwk;
+      const publicKey = crypto.createPublicKey({ key: keyData, format: 'jwk' })
+        .export({ type: 'spki', format: 'pem' });
+
+      return {
+        keyId: kid,
+        algorithm: alg === 'EdDSA' ? 'Ed25519' : alg,
+        publicKey,
+        status: status || 'active',
+        validFrom: nbf ? new Date(nbf * 1000).toISOString() : null,
+        validUntil: exp ? new Date(exp * 1000).toISOString() : null,
+      };
+    });
+    return keyring;
+  }
+
+  /**
+   * Load keys from the keyring file (a missing file yields an empty keyring)
+   * @returns {IssuerKeyring} This keyring
+   */
+  async load() {
+    if (!this.path) {
+      return this;
+    }
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.path, 'utf8'));
+      this.keys = data.keys || [];
+      this.unlockedKeys.clear();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.keys = [];
+    }
+    return this;
+  }
+
+  /**
+   * Persist keys to the keyring file; private keys stay encrypted
+   */
+  async save() {
+    if (!this.path) {
+      throw new Error('Keyring path not configured');
+    }
+
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+    const data = {
+      version: 1,
+      updatedAt: new Date().toISOString(),
+      keys: this.keys,
+    };
+    await fs.writeFile(this.path, JSON.stringify(data, null, 2), { mode: 0o600 });
+  }
+
+  /**
+   * Generate a new issuer key and make it the active signing key
+   * @param {Object} options - Generation options
+   * @param {string} options.algorithm - Signature algorithm (Ed25519 or ES256)
+   * @param {number} options.overlapDays - Days the previous active key stays valid
+   * @returns {Object} Public description of the new key
+   */
+  generateKey(options = {}) {
+    const { algorithm = 'Ed25519', overlapDays = 0 } = options;
+    requirePassphrase(this.passphrase);
+
+    const now = new Date();
+    const keyPair = this.signer.generateKeyPair(algorithm);
+    const previous = this.getActiveKey();
+
+    if (previous) {
+      previous.status = 'retired';
+      previous.retiredAt = now.toISOString();
+      previous.validUntil = new Date(now.getTime() + overlapDays * DAY_MS).toISOString();
+    }
+
+    const record = {
+      keyId: keyPair.keyId,
+      algorithm,
+      publicKey: keyPair.publicKey,
+      encryptedPrivateKey: encrypt(this.passphrase, keyPair.privateKey),
+      status: 'active',
+      createdAt: now.toISOString(),
+      validFrom: now.toISOString(),
+      validUntil: null,
+    };
+
+    this.keys.push(record);
+    this.unlockedKeys.set(record.keyId, keyPair.privateKey);
+    return describe(record);
+  }
+
+  /**
+   * Rotate the active key, keeping the previous key valid for an overlap window
+   * @param {Object} options - Rotation options
+   * @param {number} options.overlapDays - Overlap window in days (default 30)
+   * @returns {Object} Rotation result with previous and new key
+   */
+  rotate(options = {}) {
+    const previous = this.getActiveKey();
+    if (!previous) {
+      throw new Error('No active key to rotate');
+    }
+
+    const overlapDays = options.overlapDays !== undefined ? options.overlapDays : 30;
+    const current = this.generateKey({ algorithm: options.algorithm || previous.algorithm, overlapDays });
+
+    return {
+      previous: describe(previous),
+      current,
+    };
+  }
+
+  /**
+   * Mark a key as compromised; licenses signed with it no longer validate
+   * @param {string} keyId - Key to mark
+   * @param {string} reason - Free-form reason
+   * @returns {Object} Public description of the key
+   */
+  markCompromised(keyId, reason = 'unspecified') {
+    const record = findKey(this.keys, keyId);
+    if (!record) {
+      throw new Error(`Key not found: ${keyId}`);
+    }
+
+    record.status = 'compromised';
+    record.compromisedAt = new Date().toISOString();
+    record.compromiseReason = reason;
+    this.unlockedKeys.delete(keyId);
+    return describe(record);
+  }
+
+  /**
+   * Current active key record
+   * @returns {Object|null} Active key
+   */
+  getActiveKey() {
+    return this.keys.find((key) => key.status === 'active') || null;
+  }
+
+  /**
+   * Whether the keyring can sign: it has an active private key and the passphrase to unlock it
+   * @returns {boolean} True when getSigningKey can succeed
+   */
+  canSign() {
+    const record = this.getActiveKey();
+    return Boolean(record && record.encryptedPrivateKey && (this.passphrase || this.unlockedKeys.has(record.keyId)));
+  }
+
+  /**
+   * Decrypted active key for signing
+   * @returns {Object} Key ID, algorithm and PEM encoded key pair
+   */
+  getSigningKey() {
+    const record = this.getActiveKey();
+    if (!record) {
+      throw new Error('Keyring has no active signing key');
+    }
+
+    if (!this.unlockedKeys.has(record.keyId)) {
+      requirePassphrase(this.passphrase);
+      this.unlockedKeys.set(record.keyId, decrypt(this.passphrase, record.encryptedPrivateKey));
+    }
+
+    return {
+      keyId: record.keyId,
+      algorithm: record.algorithm,
+      publicKey: record.publicKey,
+      privateKey: this.unlockedKeys.get(record.keyId),
+    };
+  }
+
+  /**
+   * Resolve a key for verification of a license created at a given time
+   * @param {string} keyId - Key ID from the license issuer block
+   * @param {string|Date} at - License creation time
+   * @returns {Object|null} Verification key, or null when not trusted at that time
+   */
+  getVerificationKey(keyId, at) {
+    const record = findKey(this.keys, keyId);
+    if (!record || record.status === 'compromised') {
+      return null;
+    }
+
+    const time = at ? new Date(at).getTime() : Date.now();
+    if (Number.isNaN(time)) {
+      return null;
+    }
+    if (record.validFrom && time < new Date(record.validFrom).getTime()) {
+      return null;
+    }
+    if (record.validUntil && time > new Date(record.validUntil).getTime()) {
+      return null;
+    }
+
+    return {
+      keyId: record.keyId,
+      algorithm: record.algorithm,
+      publicKey: record.publicKey,
+    };
+  }
+
+  /**
+   * Whether the keyring holds a key with this ID, in any status
+   * @param {string} keyId - Key ID
+   * @returns {boolean} True when the key is known
+   */
+  hasKey(keyId) {
+    return Boolean(findKey(this.keys, keyId));
+  }
+
+  /**
+   * List keys without private material
+   * @returns {Array} Key descriptions
+   */
+  listKeys() {
+    return this.keys.map(describe);
+  }
+
+  /**
+   * Publish non-compromised public keys as a JWKS document
+   * @returns {Object} JWKS document
+   */
+  toJWKS() {
+    return {
+      keys: this.keys
+        .filter((key) => key.status !== 'compromised')
+        .map((key) => {
+          const jwk = crypto.createPublicKey(key.publicKey).export({ format: 'jwk' });
+          const entry = {
+            ...jwk,
+            kid: key.keyId,
+            alg: key.algorithm === 'Ed25519' ? 'EdDSA' : key.algorithm,
+            use: 'sig',
+            status: key.status,
+          };
+
+          if (key.validFrom) {
+            entry.nbf = Math.floor(new Date(key.validFrom).getTime() / 1000);
+          }
+          if (key.validUntil) {
+            entry.exp = Math.floor(new Date(key.validUntil).getTime() / 1000);
+          }
+          return entry;
+        }),
+    };
+  }
+}
+
+module.exports = IssuerKeyring;
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IssuerKeyring = require('./issuer-keyring');
+const LicenseGenerator = require('./license-generator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const generate = (generator) => generator.generateLicense({
+  type: 'do-not-train', creator: 'Ada', content: 'Protected text',
+});
+
+describe('IssuerKeyring', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dpl-keyring-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('storage', () => {
+    test('keeps private keys encrypted on disk and signs again after loading', async () => {
+      const file = path.join(dir, 'keyring.json');
+      const keyring = new IssuerKeyring({ path: file, passphrase: 'secret' });
+      const { keyId } = keyring.generateKey();
+      const { privateKey } = keyring.getSigningKey();
+      await keyring.save();
+
+      const stored = fs.readFileSync(file, 'utf8');
+      expect(stored).not.toContain(privateKey.trim().split('\n')[1]);
+      expect(stored).not.toContain('PRIVATE KEY');
+
+      const loaded = await new IssuerKeyring({ path: file, passphrase: 'secret' }).load();
+      expect(loaded.getSigningKey()).toMatchObject({ keyId, privateKey });
+    });
+
+    test('refuses to unlock the signing key with the wrong passphrase', async () => {
+      const file = path.join(dir, 'keyring.json');
+      const keyring = new IssuerKeyring({ path: file, passphrase: 'secret' });
+      keyring.generateKey();
+      await keyring.save();
+
+      const loaded = await new IssuerKeyring({ path: file, passphrase: 'guess' }).load();
+      expect(() => loaded.getSigningKey()).toThrow('wrong passphrase or corrupted keyring');
+      expect((await new IssuerKeyring({ path: file }).load()).canSign()).toBe(false);
+    });
+
+    test('starts empty when the keyring file does not exist yet', async () => {
+      const keyring = await new IssuerKeyring({ path: path.join(dir, 'missing.json') }).load();
+
+      expect(keyring.listKeys()).toEqual([]);
+      expect(() => keyring.getSigningKey()).toThrow('Keyring has no active signing key');
+    });
+  });
+
+  describe('verification', () => {
+    test('licenses signed before a rotation stay valid through the overlap window', () => {
+      const keyring = new IssuerKeyring({ passphrase: 'secret' });
+      keyring.generateKey();
+      const generator = new LicenseGenerator({ keyring });
+      const before = generate(generator);
+
+      const { previous, current } = keyring.rotate({ overlapDays: 30 });
+      const after = generate(generator);
+
+      expect(previous.status).toBe('retired');
+      expect(after.issuer.keyId).toBe(current.keyId);
+      expect(generator.validateLicense(before)).toMatchObject({ valid: true });
+      expect(generator.validateLicense(after)).toMatchObject({ valid: true });
+    });
+
+    test('a retired key does not verify licenses dated after its overlap window', () => {
+      const keyring = new IssuerKeyring({ passphrase: 'secret' });
+      const { keyId } = keyring.generateKey();
+      keyring.rotate({ overlapDays: 1 });
+      const validUntil = new Date(keyring.listKeys()[0].validUntil).getTime();
+
+      expect(keyring.getVerificationKey(keyId, new Date(validUntil - DAY_MS))).toMatchObject({ keyId });
+      expect(keyring.getVerificationKey(keyId, new Date(validUntil + 1))).toBeNull();
+    });
+
+    test('licenses signed with a compromised key no longer validate', () => {
+      const keyring = new IssuerKeyring({ passphrase: 'secret' });
+      const { keyId } = keyring.generateKey();
+      const generator = new LicenseGenerator({ keyring });
+      const license = generate(generator);
+
+      keyring.markCompromised(keyId, 'key leaked');
+
+      expect(keyring.getVerificationKey(keyId, license.createdAt)).toBeNull();
+      expect(generator.validateLicense(license)).toMatchObject({
+        valid: false, reasons: [{ code: 'INVALID_SIGNATURE' }],
+      });
+      expect(() => keyring.getSigningKey()).toThrow('Keyring has no active signing key');
+    });
+
+    test('a keyring rebuilt from the published JWKS verifies licenses but leaves out compromised keys', () => {
+      const keyring = new IssuerKeyring({ passphrase: 'secret' });
+      const compromised = keyring.generateKey({ algorithm: 'ES256' });
+      keyring.rotate({ algorithm: 'Ed25519' });
+      const license = generate(new LicenseGenerator({ keyring }));
+      keyring.markCompromised(compromised.keyId);
+
+      const published = IssuerKeyring.fromJWKS(JSON.parse(JSON.stringify(keyring.toJWKS())));
+
+      expect(published.listKeys().map((key) => key.keyId)).toEqual([license.issuer.keyId]);
+      expect(published.canSign()).toBe(false);
+      expect(new LicenseGenerator({ keyring: published }).validateLicense(license)).toMatchObject({ valid: true });
+    });
+  });
+});
@@ -0,0 +1,290 @@
+const LICENSE_VOCAB = 'https://data-protection.org/ns/license#';
+const TDM_VOCAB = 'http://www.w3.org/ns/tdmrep#';
+const SCHEMA_VOCAB = 'https://schema.org/';
+const CURRENT_CONTEXT_VERSION = 1;
+
+/**
+ * Context URL for a version of the license vocabulary
+ * @param {number} version - Context version (default current)
+ * @returns {string} Context URL
+ */
+function getContextUrl(version = CURRENT_CONTEXT_VERSION) {
+  return `https://data-protection.org/contexts/license/v${version}.jsonld`;
+}
+
+const LICENSE_CONTEXT_URL = getContextUrl();
+
+/**
+ * Published context documents by version
+ * Terms are protected so a later context cannot redefine them; restrictions
+ * are carried as a JSON literal so their shape survives expansion unchanged
+ */
+const LICENSE_CONTEXTS = {
+  1: {
+    '@context': {
+      '@version': 1.1,
+      '@protected': true,
+      dpl: LICENSE_VOCAB,
+      tdm: TDM_VOCAB,
+      xsd: 'http://www.w3.org/2001/XMLSchema#',
+      DataProtection: 'dpl:DataProtection',
+      protection: 'dpl:protection',
+      method: 'dpl:method',
+      algorithm: 'dpl:algorithm',
+      hash: 'dpl:hash',
+      restrictions: { '@id': 'dpl:restrictions', '@type': '@json' },
+      clauses: { '@id': 'dpl:clause', '@container': '@set' },
+      tdmReservation: { '@id': 'tdm:reservation', '@type': 'xsd:integer' },
+      tdmPolicy: { '@id': 'tdm:policy', '@type': '@id' },
+    },
+  },
+};
+
+// Terms of the schema.org-only output that predates the published context
+const LEGACY_TERMS = {
+  protection: `${SCHEMA_VOCAB}protection`,
+  hash: `${SCHEMA_VOCAB}hash`,
+  restrictions: `${SCHEMA_VOCAB}restrictions`,
+};
+
+const IRI = {
+  license: `${SCHEMA_VOCAB}license`,
+  identifier: `${SCHEMA_VOCAB}identifier`,
+  url: `${SCHEMA_VOCAB}url`,
+  name: `${SCHEMA_VOCAB}name`,
+  creator: `${SCHEMA_VOCAB}creator`,
+  validFrom: `${SCHEMA_VOCAB}validFrom`,
+  validThrough: `${SCHEMA_VOCAB}validThrough`,
+  protection: `${LICENSE_VOCAB}protection`,
+  hash: `${LICENSE_VOCAB}hash`,
+  restrictions: `${LICENSE_VOCAB}restrictions`,
+  clauses: `${LICENSE_VOCAB}clause`,
+  tdmReservation: `${TDM_VOCAB}reservation`,
+  tdmPolicy: `${TDM_VOCAB}policy`,
+};
+
+function parseDocuments(input) {
+  if (typeof input !== 'string') {
+    return [input];
+  }
+
+  const text = input.trim();
+  if (!text.startsWith('<')) {
+    return [JSON.parse(text)];
+  }
+
+  const documents = [];
+  const scriptPattern = /<script[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let match = scriptPattern.exec(text);
+  while (match) {
+    try {
+      documents.push(JSON.parse(match[1]));
+    } catch (error) {
+      // Malformed blocks are common on real pages; skip them
+    }
+    match = scriptPattern.exec(text);
+  }
+  return documents;
+}
+
+function emptyContext() {
+  return {
+    vocab: null, terms: {}, legacy: false, version: null,
+  };
+}
+
+function expandIri(value, context) {
+  const separator = value.indexOf(':');
+  if (separator > 0) {
+    const prefix = value.slice(0, separator);
+    const prefixIri = context.terms[prefix];
+    return prefixIri && !value.startsWith(`${prefix}://`) ? prefixIri + value.slice(separator + 1) : value;
+  }
+  return context.terms[value] || value;
+}
+
+function applyContext(active, definition) {
+  return [].concat(definition).reduce((context, entry) => {
+    if (entry === null) {
+      return emptyContext();
+    }
+    if (typeof entry === 'string') {
+      const url = entry.replace(/^http:/, 'https:');
+      if (url === SCHEMA_VOCAB || url === SCHEMA_VOCAB.slice(0, -1)) {
+        return { ...context, vocab: SCHEMA_VOCAB, legacy: context.version === null };
+      }
+      const version = Object.keys(LICENSE_CONTEXTS).find((key) => getContextUrl(key) === entry);
+      if (version) {
+        const applied = applyContext(context, LICENSE_CONTEXTS[version]['@context']);
+        return { ...applied, legacy: false, version: Number(version) };
+      }
+      return context;
+    }
+
+    const next = { ...context, terms: { ...context.terms } };
+    Object.entries(entry).forEach(([term, value]) => {
+      if (term === '@vocab') {
+        next.vocab = value;
+      } else if (!term.startsWith('@')) {
+        const id = typeof value === 'string' ? value : value && value['@id'];
+        if (id) {
+          next.terms[term] = id;
+        }
+      }
+    });
+    Object.keys(next.terms).forEach((term) => {
+      next.terms[term] = expandIri(next.terms[term], next);
+    });
+    return next;
+  }, active);
+}
+
+function expandKey(key, context) {
+  if (key.startsWith('@')) {
+    return key;
+  }
+  if (key.includes(':')) {
+    return expandIri(key, context).replace(/^http:\/\/schema\.org\//, SCHEMA_VOCAB);
+  }
+  if (context.terms[key]) {
+    return context.terms[key];
+  }
+  if (context.legacy && LEGACY_TERMS[key]) {
+    return LEGACY_TERMS[key];
+  }
+  return context.vocab ? context.vocab + key : null;
+}
+
+function collectNodes(value, active) {
+  if (Array.isArray(value)) {
+    return value.reduce((nodes, item) => nodes.concat(collectNodes(item, active)), []);
+  }
+  if (!value || typeof value !== 'object') {
+    return [];
+  }
+
+  const context = value['@context'] !== undefined ? applyContext(active, value['@context']) : active;
+  const nodes = [{ node: value, context }];
+  if (value['@graph']) {
+    nodes.push(...collectNodes(value['@graph'], context));
+  }
+  return nodes;
+}
+
+function getProperty(node, context, iri) {
+  const key = Object.keys(node).find((candidate) => expandKey(candidate, context) === iri
+    || (iri === IRI.protection && expandKey(candidate, context) === LEGACY_TERMS.protection)
+    || (iri === IRI.hash && expandKey(candidate, context) === LEGACY_TERMS.hash)
+    || (iri === IRI.restrictions && expandKey(candidate, context) === LEGACY_TERMS.restrictions));
+  return key === undefined ? undefined : node[key];
+}
+
+// Value objects and node references without properties stand for their value or IRI
+function values(value) {
+  return [].concat(value === undefined ? [] : value).map((item) => {
+    const isValueObject = item && typeof item === 'object' && ('@value' in item || '@id' in item)
+      && Object.keys(item).every((key) => key.startsWith('@'));
+    if (!isValueObject) {
+      return item;
+    }
+    return item['@value'] !== undefined ? item['@value'] : item['@id'];
+  });
+}
+
+function first(value) {
+  return values(value)[0];
+}
+
+function readNode(node, context) {
+  const licenseValue = first(getProperty(node, context, IRI.license));
+  const protection = first(getProperty(node, context, IRI.protection));
+  if (licenseValue === undefined && protection === undefined) {
+    return null;
+  }
+
+  const licenseNode = licenseValue && typeof licenseValue === 'object' ? licenseValue : {};
+  const protectionNode = protection && typeof protection === 'object' ? protection : {};
+  const hash = first(getProperty(protectionNode, context, IRI.hash));
+  const licenseId = first(getProperty(licenseNode, context, IRI.identifier));
+  if (!hash && !licenseId) {
+    return null;
+  }
+
+  const creators = values(getProperty(node, context, IRI.creator))
+    .map((creator) => (creator && typeof creator === 'object'
+      ? first(getProperty(creator, context, IRI.name))
+      : creator))
+    .filter(Boolean);
+  let restrictions = first(getProperty(protectionNode, context, IRI.restrictions));
+  if (typeof restrictions === 'string') {
+    try {
+      restrictions = JSON.parse(restrictions);
+    } catch (error) {
+      restrictions = undefined;
+    }
+  }
+  const tdmReservation = first(getProperty(protectionNode, context, IRI.tdmReservation));
+  let contextName = 'expanded';
+  if (context.version) {
+    contextName = `v${context.version}`;
+  } else if (context.legacy) {
+    contextName = 'legacy';
+  }
+
+  return {
+    licenseId: licenseId || null,
+    url: first(getProperty(licenseNode, context, IRI.url)) || (typeof licenseValue === 'string' ? licenseValue : null),
+    hash: hash || null,
+    name: first(getProperty(licenseNode, context, IRI.name)) || null,
+    creators,
+    validFrom: first(getProperty(licenseNode, context, IRI.validFrom)) || null,
+    validThrough: first(getProperty(licenseNode, context, IRI.validThrough)) || null,
+    clauses: values(getProperty(protectionNode, context, IRI.clauses)),
+    restrictions: restrictions && typeof restrictions === 'object' ? restrictions : null,
+    tdmReservation: tdmReservation === undefined ? null : Number(tdmReservation),
+    tdmPolicy: first(getProperty(protectionNode, context, IRI.tdmPolicy)) || null,
+    context: contextName,
+  };
+}
+
+/**
+ * Read license references from JSON-LD found in the wild: compacted documents
+ * using this context (any published version) or the legacy schema.org-only
+ * output, expanded documents, @graph containers, arrays and HTML pages with
+ * application/ld+json script blocks
+ * @param {Object|Array|string} input - JSON-LD document, JSON text or HTML
+ * @returns {Array} License references { licenseId, url, hash, name, creators,
+ *   validFrom, validThrough, clauses, restrictions, tdmReservation, tdmPolicy, context }
+ */
+function readLicenseReferences(input) {
+  const references = [];
+  parseDocuments(input).forEach((document) => {
+    collectNodes(document, emptyContext()).forEach(({ node, context }) => {
+      const reference = readNode(node, context);
+      const seen = (existing) => existing.hash === reference.hash && existing.licenseId === reference.licenseId;
+      if (reference && !references.some(seen)) {
+        references.push(reference);
+      }
+    });
+  });
+  return references;
+}
+
+/**
+ * First license reference in a JSON-LD document
+ * @param {Object|Array|string} input - JSON-LD document, JSON text or HTML
+ * @returns {Object|null} License reference or null
+ */
+function readLicenseReference(input) {
+  return readLicenseReferences(input)[0] || null;
+}
+
+module.exports = {
+  CURRENT_CONTEXT_VERSION,
+  LICENSE_CONTEXT_URL,
+  LICENSE_CONTEXTS,
+  LICENSE_VOCAB,
+  getContextUrl,
+  readLicenseReference,
+  readLicenseReferences,
+};
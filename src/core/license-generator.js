@@ -1,91 +1,528 @@
 const crypto = require('crypto');
 const fs = require('fs');
-const path = require('path');
+const LicenseSigner = require('./license-signer');
+const { canonicalize } = require('./canonical-json');
+const ContentHasher = require('./content-hasher');
+const MerkleTree = require('./merkle-tree');
+const ImageFingerprinter = require('./image-fingerprinter');
+const TextFingerprinter = require('./text-fingerprinter');
+const {
+  defaultRegistry, describeLicense, getClauses, COMPOSITE_LICENSE_TYPE,
+} = require('./license-types');
+const { assertValidRestrictions } = require('./restriction-schema');
+const { CREDENTIALS_CONTEXT, VerifiableCredentials } = require('./verifiable-credentials');
+const { OdrlPolicy } = require('./odrl-policy');
+const SpdxDocument = require('./spdx-document');
+const { LICENSE_CONTEXT_URL, readLicenseReferences } = require('./license-context');
+
+// License format versions and the serialization each one hashes and signs
+// 1.0.0: legacy top-level-key replacer (drops nested keys), kept for validation only
+// 2.0.0: RFC 8785 canonical JSON over the full license payload
+const LEGACY_LICENSE_VERSION = '1.0.0';
+const CURRENT_LICENSE_VERSION = '2.0.0';
+
+function isLegacyFormat(data) {
+  if (data.version === LEGACY_LICENSE_VERSION) {
+    return true;
+  }
+  if (data.version !== CURRENT_LICENSE_VERSION) {
+    const error = new Error(`Unsupported license version: ${data.version}`);
+    error.code = 'UNSUPPORTED_VERSION';
+    throw error;
+  }
+  return false;
+}
+
+function generateHash(data) {
+  const serialized = isLegacyFormat(data)
+    ? JSON.stringify(data, Object.keys(data).sort())
+    : canonicalize(data);
+  return crypto.createHash('sha256').update(serialized).digest('hex');
+}
+
+// Registered clause types of a license type option (one type or an array for composites)
+function resolveClauses(licenseTypes, type) {
+  const types = Array.isArray(type) ? type : [type];
+  const clauses = types.filter((name, index) => types.indexOf(name) === index);
+
+  if (clauses.length === 0) {
+    throw new Error('At least one license type is required');
+  }
+  clauses.forEach((name) => {
+    if (!licenseTypes.has(name)) {
+      throw new Error(`Unsupported license type: ${name}`);
+    }
+  });
+  return clauses;
+}
+
+function getLicenseStatus(license, at, revocationSource, reasons, parties) {
+  const revocation = revocationSource ? revocationSource.getRevocation(license) : null;
+  if (revocation) {
+    const revokedAt = revocation.revokedAt ? ` at ${revocation.revokedAt}` : '';
+    const reason = revocation.reason || 'no reason given';
+    reasons.push({ code: 'REVOKED', message: `License revoked${revokedAt}: ${reason}` });
+    return 'revoked';
+  }
+
+  if (parties && !parties.finalized) {
+    reasons.push({
+      code: 'PENDING_SIGNATURES',
+      message: `License has ${parties.signed.length} of ${parties.threshold} required party signatures`
+        + ' and is not finalized',
+    });
+    return 'pending';
+  }
+
+  if (license.notBefore && at < new Date(license.notBefore)) {
+    reasons.push({ code: 'NOT_YET_VALID', message: `License is not valid before ${license.notBefore}` });
+    return 'not-yet-valid';
+  }
+
+  if (license.expirationDate && at >= new Date(license.expirationDate)) {
+    reasons.push({ code: 'EXPIRED', message: `License expired at ${license.expirationDate}` });
+    return 'expired';
+  }
+
+  return 'active';
+}
+
+function getSignatureInput(data, hash) {
+  if (isLegacyFormat(data)) {
+    return `${JSON.stringify(data)}:${hash}`;
+  }
+  return canonicalize(data);
+}
+
+// Licenses issued before issuer keys carry a bare SHA-256 digest in place of a signature
+function isUnsignedLegacy(data) {
+  return isLegacyFormat(data) && !data.issuer;
+}
+
+function generateLegacyDigest(data, hash) {
+  return crypto.createHash('sha256').update(getSignatureInput(data, hash)).digest('hex');
+}
+
+function normalizeKey(signer, key) {
+  const algorithm = key.algorithm || 'Ed25519';
+  const publicKey = key.publicKey || crypto.createPublicKey(key.privateKey).export({ type: 'spki', format: 'pem' });
+  return {
+    ...key,
+    algorithm,
+    publicKey,
+    keyId: key.keyId || signer.getKeyId(publicKey),
+  };
+}
+
+function resolveVerificationKey(generator, keyId, createdAt) {
+  // Keys known to the keyring are judged by their validity window and compromise status
+  if (generator.keyring && generator.keyring.hasKey(keyId)) {
+    return generator.keyring.getVerificationKey(keyId, createdAt);
+  }
+  return generator.trustedKeys.get(keyId) || null;
+}
+
+function generateSignature(signer, data, hash, signingKey) {
+  return signer.sign(getSignatureInput(data, hash), signingKey.privateKey, signingKey.algorithm);
+}
+
+function verifySignature(generator, data, hash, signature) {
+  if (!data.issuer || !signature) {
+    return false;
+  }
+
+  const trustedKey = resolveVerificationKey(generator, data.issuer.keyId, data.createdAt);
+  if (!trustedKey || trustedKey.algorithm !== data.issuer.algorithm) {
+    return false;
+  }
+
+  return generator.signer.verify(getSignatureInput(data, hash), signature, trustedKey.publicKey, trustedKey.algorithm);
+}
+
+function getEffectiveFrom(license) {
+  return license.effectiveFrom || license.createdAt;
+}
+
+function resolveParties(signer, parties, threshold = parties.length) {
+  if (!Array.isArray(parties) || parties.length === 0) {
+    throw new Error('Co-signed licenses require at least one party');
+  }
+
+  const resolved = parties.map((party) => {
+    if (!party.name || !party.publicKey) {
+      throw new Error('Every party needs a name and a publicKey');
+    }
+    const key = normalizeKey(signer, party);
+    return {
+      name: party.name, keyId: key.keyId, algorithm: key.algorithm, publicKey: key.publicKey,
+    };
+  });
+  resolved.forEach((party, index) => {
+    if (resolved.findIndex((other) => other.keyId === party.keyId || other.name === party.name) !== index) {
+      throw new Error(`Duplicate party: ${party.name}`);
+    }
+  });
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > resolved.length) {
+    throw new Error(`threshold must be an integer between 1 and ${resolved.length}`);
+  }
+
+  return { parties: resolved, threshold };
+}
+
+function findParty(license, keyId) {
+  return (license.parties || []).find((party) => party.keyId === keyId) || null;
+}
+
+function getPartySignatureInput(licenseHash, keyId, signedAt) {
+  return canonicalize({
+    action: 'co-sign', licenseHash, keyId, signedAt,
+  });
+}
+
+function verifyPartySignature(signer, license, party, partySignature) {
+  if (!party || !partySignature.signature || !partySignature.signedAt) {
+    return false;
+  }
+  const signatureInput = getPartySignatureInput(license.hash, party.keyId, partySignature.signedAt);
+  return signer.verify(signatureInput, partySignature.signature, party.publicKey, party.algorithm);
+}
+
+function checkPartySignatures(generator, license, reasons) {
+  const signed = [];
+  (license.partySignatures || []).forEach((entry) => {
+    const party = findParty(license, entry.keyId);
+    const valid = verifyPartySignature(generator.signer, license, party, entry);
+    if (valid && !signed.some((item) => item.keyId === entry.keyId)) {
+      signed.push({ name: party.name, keyId: party.keyId, signedAt: entry.signedAt });
+    } else {
+      reasons.push({
+        code: 'INVALID_PARTY_SIGNATURE',
+        message: `Party signature from ${entry.keyId} does not verify`,
+      });
+    }
+  });
+
+  const { finalization } = license;
+  let finalized = false;
+  if (finalization) {
+    const sealed = finalization.licenseHash === license.hash
+      && finalization.issuer && generator.isIssuerOf(finalization.issuer.keyId, license)
+      && generator.verifyDocument(finalization, finalization.finalizedAt);
+    const sealedSignatures = sealed
+      ? signed.filter((item) => finalization.signedBy.includes(item.keyId)).length
+      : 0;
+    finalized = sealedSignatures >= license.threshold;
+    if (!finalized) {
+      reasons.push({
+        code: 'INVALID_FINALIZATION',
+        message: 'Finalization is not sealed by the issuer over enough valid party signatures',
+      });
+    }
+  }
+
+  return {
+    threshold: license.threshold,
+    finalized,
+    finalizedAt: finalized ? finalization.finalizedAt : null,
+    signed,
+    unsigned: license.parties
+      .filter((party) => !signed.some((item) => item.keyId === party.keyId))
+      .map((party) => ({ name: party.name, keyId: party.keyId })),
+  };
+}
 
 /**
  * Data Protection License Generator
  * Generates cryptographically secure licenses with SHA-256 hashing
+ * and issuer signatures (Ed25519 or ECDSA P-256)
  */
 class LicenseGenerator {
-  constructor() {
-    this.supportedTypes = [
-      'do-not-train',
-      'commercial-restrictions',
-      'attribution-required',
-      'nda-enforcement',
-      'pre-clearance'
-    ];
+  /**
+   * @param {Object} options - Generator configuration
+   * @param {Object} options.signingKey - Issuer key pair used to sign new licenses
+   * @param {Array} options.trustedKeys - Public keys accepted when validating licenses
+   * @param {IssuerKeyring} options.keyring - Keyring providing the active signing key and trusted keys
+   * @param {Object} options.textFingerprint - Text fingerprint settings (shingleSize, numHashes)
+   * @param {LicenseTypeRegistry} options.licenseTypes - License type registry (shared default when omitted)
+   * @param {Object} options.revocationSource - Default revocation source for validateLicense
+   */
+  constructor(options = {}) {
+    this.signer = new LicenseSigner();
+    this.credentials = new VerifiableCredentials();
+    this.contentHasher = new ContentHasher();
+    this.imageFingerprinter = new ImageFingerprinter();
+    this.textFingerprinter = new TextFingerprinter(options.textFingerprint);
+    this.keyring = options.keyring || null;
+    this.licenseTypes = options.licenseTypes || defaultRegistry;
+    this.revocationSource = options.revocationSource || null;
+    this.odrl = new OdrlPolicy(this.licenseTypes);
+    this.spdx = new SpdxDocument(this.licenseTypes);
+    this.signingKey = options.signingKey ? normalizeKey(this.signer, options.signingKey) : null;
+    this.trustedKeys = new Map();
+
+    (options.trustedKeys || []).forEach((key) => this.trustKey(key));
+    if (this.signingKey) {
+      this.trustKey(this.signingKey);
+    }
+  }
+
+  /**
+   * License types currently registered
+   * @returns {Array} Type identifiers
+   */
+  get supportedTypes() {
+    return this.licenseTypes.list();
   }
 
   /**
    * Generate a cryptographically secure license
    * @param {Object} options - License configuration
-   * @param {string} options.type - License type
-   * @param {string} options.creator - Content creator name
+   * @param {string|Array} options.type - License type, or several types for a composite license
+   * @param {string} options.creator - Content creator name (defaults to the party names)
+   * @param {Array} options.parties - Rights holders who must co-sign: [{ name, publicKey, algorithm }]
+   * @param {number} options.threshold - Party signatures required before finalization (default all)
    * @param {string} options.content - Content to protect
-   * @param {Object} options.restrictions - Specific restrictions
+   * @param {string} options.contentDigest - Precomputed content digest (used instead of content)
+   * @param {Object} options.fingerprints - Similarity fingerprints (e.g. { image: {...} })
+   * @param {boolean} options.textFingerprint - Add a MinHash/SimHash fingerprint of the text content
+   * @param {Object} options.restrictions - Specific restrictions (see restriction-schema)
+   * @param {string} options.notBefore - ISO date before which the license is not yet valid
+   * @param {string} options.expirationDate - ISO date after which the license has expired
    * @returns {Object} Generated license with hash
+   * @throws {Error} INVALID_RESTRICTIONS error with field-level details
    */
   generateLicense(options) {
     const {
-      type,
-      creator,
       content,
+      contentDigest = null,
+      textFingerprint = false,
       restrictions = {},
+      notBefore = null,
       expirationDate = null
     } = options;
 
-    if (!this.supportedTypes.includes(type)) {
-      throw new Error(`Unsupported license type: ${type}`);
+    const clauses = resolveClauses(this.licenseTypes, options.type);
+    const coSigning = options.parties ? resolveParties(this.signer, options.parties, options.threshold) : null;
+    const partyNames = coSigning ? coSigning.parties.map((party) => party.name).join(', ') : undefined;
+    const creator = options.creator || partyNames;
+    assertValidRestrictions(restrictions);
+    if (notBefore && expirationDate && new Date(notBefore) >= new Date(expirationDate)) {
+      throw new Error('notBefore must be earlier than expirationDate');
     }
 
     const timestamp = new Date().toISOString();
     const licenseId = this._generateLicenseId();
+    const signingKey = this.getSigningKey();
 
+    let { fingerprints = null } = options;
+    if (textFingerprint && content !== undefined) {
+      fingerprints = { ...fingerprints, text: this.fingerprintText(content.toString()) };
+    }
+
+    // Single-type licenses keep their original shape; only composites carry clauses
     const licenseData = {
       id: licenseId,
-      type,
+      type: clauses.length > 1 ? COMPOSITE_LICENSE_TYPE : clauses[0],
+      ...(clauses.length > 1 ? { clauses } : {}),
       creator,
-      content: this._hashContent(content),
+      ...(coSigning || {}),
+      content: contentDigest || this.contentHasher.hashContent(content),
+      ...(fingerprints ? { fingerprints } : {}),
       restrictions,
       createdAt: timestamp,
+      ...(notBefore ? { notBefore } : {}),
       expirationDate,
-      version: '1.0.0'
+      version: CURRENT_LICENSE_VERSION,
+      issuer: {
+        keyId: signingKey.keyId,
+        algorithm: signingKey.algorithm,
+      },
     };
 
     // Generate SHA-256 hash for tamper-proof verification
-    const licenseHash = this._generateHash(licenseData);
+    const licenseHash = generateHash(licenseData);
     
     const completeLicense = {
       ...licenseData,
       hash: licenseHash,
-      signature: this._generateSignature(licenseData, licenseHash)
+      signature: generateSignature(this.signer, licenseData, licenseHash, signingKey),
     };
 
     return completeLicense;
   }
 
+  /**
+   * Generate a license for content on disk or in a stream
+   * Files, directories and streams are hashed incrementally; image files
+   * also get perceptual fingerprints
+   * @param {Object} options - License configuration (as generateLicense)
+   * @param {string} options.path - File or directory to protect
+   * @param {stream.Readable} options.stream - Stream to protect
+   * @returns {Promise<Object>} Generated license with hash
+   */
+  async generateLicenseFromSource(options) {
+    const { path: sourcePath, stream, ...licenseOptions } = options;
+    let contentDigest;
+    let { fingerprints = null } = licenseOptions;
+
+    if (sourcePath) {
+      const source = await this.contentHasher.hashPath(sourcePath);
+      contentDigest = source.digest;
+
+      if (source.type === 'file' && ImageFingerprinter.isImagePath(sourcePath)) {
+        fingerprints = { ...fingerprints, image: await this.fingerprintImage(sourcePath) };
+      } else if (source.type === 'file' && licenseOptions.textFingerprint) {
+        fingerprints = { ...fingerprints, text: this.fingerprintText(await fs.promises.readFile(sourcePath, 'utf8')) };
+      }
+    } else if (stream) {
+      contentDigest = await this.contentHasher.hashStream(stream);
+    } else {
+      throw new Error('Content source requires a path or stream');
+    }
+
+    return this.generateLicense({ ...licenseOptions, contentDigest, fingerprints });
+  }
+
+  /**
+   * Compute perceptual fingerprints for an image, for use in options.fingerprints.image
+   * @param {Buffer|string} input - Image buffer or file path
+   * @returns {Promise<Object>} aHash, dHash and pHash
+   */
+  fingerprintImage(input) {
+    return this.imageFingerprinter.fingerprint(input);
+  }
+
+  /**
+   * Compute a MinHash/SimHash fingerprint for text, for use in options.fingerprints.text
+   * @param {string} text - Document text
+   * @returns {Object} Text fingerprint
+   */
+  fingerprintText(text) {
+    return this.textFingerprinter.fingerprint(text);
+  }
+
+  /**
+   * Build a Merkle manifest over every file in a dataset directory
+   * @param {string} dirPath - Dataset directory
+   * @returns {Promise<Object>} Manifest with Merkle root and per-file hashes
+   */
+  async buildDatasetManifest(dirPath) {
+    const { files } = await this.contentHasher.hashDirectory(dirPath);
+    const tree = new MerkleTree(files.map((file) => MerkleTree.hashLeaf(file.path, file.hash)));
+
+    return {
+      version: 1,
+      algorithm: 'sha256',
+      tree: 'merkle-sha256',
+      root: tree.getRoot(),
+      fileCount: files.length,
+      files,
+    };
+  }
+
+  /**
+   * Generate a license whose content hash is the Merkle root of a dataset
+   * @param {Object} options - License configuration (as generateLicense)
+   * @param {string} options.path - Dataset directory
+   * @returns {Promise<Object>} License and the dataset manifest bound to it
+   */
+  async generateDatasetLicense(options) {
+    const { path: datasetPath, ...licenseOptions } = options;
+    if (!datasetPath) {
+      throw new Error('Dataset license requires a directory path');
+    }
+
+    const manifest = await this.buildDatasetManifest(datasetPath);
+    const license = this.generateLicense({ ...licenseOptions, contentDigest: manifest.root });
+
+    return {
+      license,
+      manifest: {
+        ...manifest,
+        licenseId: license.id,
+        licenseHash: license.hash,
+      },
+    };
+  }
+
+  /**
+   * Produce an inclusion proof for one file of a dataset manifest
+   * @param {Object} manifest - Manifest from buildDatasetManifest()
+   * @param {string} filePath - Relative path of the file within the dataset
+   * @returns {Object} Inclusion proof
+   */
+  static generateInclusionProof(manifest, filePath) {
+    const index = manifest.files.findIndex((file) => file.path === filePath);
+    if (index === -1) {
+      throw new Error(`File not found in manifest: ${filePath}`);
+    }
+
+    const tree = new MerkleTree(manifest.files.map((file) => MerkleTree.hashLeaf(file.path, file.hash)));
+    if (tree.getRoot() !== manifest.root) {
+      throw new Error('Manifest root does not match its file list');
+    }
+
+    return {
+      licenseId: manifest.licenseId,
+      root: manifest.root,
+      path: filePath,
+      fileHash: manifest.files[index].hash,
+      index,
+      proof: tree.getProof(index),
+    };
+  }
+
+  /**
+   * Verify that a file is covered by a dataset license
+   * @param {Object} license - Dataset license
+   * @param {Object} inclusionProof - Proof from generateInclusionProof()
+   * @param {Object} file - The file being checked
+   * @param {string|Buffer} file.content - File content
+   * @param {string} file.contentHash - Hex SHA-256 of the file (instead of content)
+   * @returns {boolean} True when the file hash leads to the license content root
+   */
+  verifyInclusionProof(license, inclusionProof, file = {}) {
+    if (inclusionProof.root !== license.content) {
+      return false;
+    }
+
+    const fileHash = file.contentHash
+      || (file.content !== undefined ? this.contentHasher.hashContent(file.content) : inclusionProof.fileHash);
+    if (fileHash !== inclusionProof.fileHash) {
+      return false;
+    }
+
+    const leaf = MerkleTree.hashLeaf(inclusionProof.path, fileHash);
+    return MerkleTree.verifyProof(leaf, inclusionProof.proof, license.content);
+  }
+
   /**
    * Generate JSON-LD metadata for machine-readable licensing
+   * schema.org describes the work; the protection block uses the published
+   * license context (LICENSE_CONTEXT_URL)
    * @param {Object} license - Generated license object
    * @returns {Object} JSON-LD formatted metadata
    */
   generateJSONLD(license) {
     return {
-      "@context": "https://schema.org/",
+      '@context': ['https://schema.org/', LICENSE_CONTEXT_URL],
       "@type": "CreativeWork",
-      "name": `Data Protection License - ${license.type}`,
-      "creator": {
-        "@type": "Person",
-        "name": license.creator
-      },
+      name: `Data Protection License - ${describeLicense(license)}`,
+      creator: license.parties
+        ? license.parties.map((party) => ({ '@type': 'Person', name: party.name, identifier: party.keyId }))
+        : {
+          '@type': 'Person',
+          name: license.creator,
+        },
       "license": {
+        ...(this.licenseTypes.isSupported(license) ? this.licenseTypes.getJSONLD(license) : {}),
         "@type": "CreativeWorkLicense",
-        "name": `Data Protection License - ${license.type.toUpperCase()}`,
+        name: `Data Protection License - ${describeLicense(license).toUpperCase()}`,
         "identifier": license.id,
         "url": `https://data-protection.org/licenses/${license.id}`,
-        "text": this._getLicenseText(license.type),
+        text: this.licenseTypes.getLicenseText(license),
         "dateCreated": license.createdAt,
+        ...(license.notBefore ? { validFrom: license.notBefore } : {}),
         "validThrough": license.expirationDate
       },
       "protection": {
@@ -93,7 +530,11 @@ class LicenseGenerator {
         "method": "cryptographic-hash",
         "algorithm": "SHA-256",
         "hash": license.hash,
-        "restrictions": license.restrictions
+        ...(license.type === COMPOSITE_LICENSE_TYPE ? { clauses: license.clauses } : {}),
+        restrictions: license.restrictions,
+        ...(this.licenseTypes.reservesTDM(license)
+          ? { tdmReservation: 1, tdmPolicy: `https://data-protection.org/licenses/${encodeURIComponent(license.id)}` }
+          : { tdmReservation: 0 }),
       },
       "copyrightNotice": `Protected by Data Protection License. Hash: ${license.hash}`,
       "usageInfo": "https://data-protection.org/usage-guidelines"
@@ -101,50 +542,597 @@ class LicenseGenerator {
   }
 
   /**
-   * Validate license integrity
+   * Read license references from JSON-LD found in the wild (this project's
+   * output in any context version, expanded JSON-LD or HTML with ld+json scripts)
+   * Look the hash up and run validateLicense to trust a reference
+   * @param {Object|Array|string} document - JSON-LD document, JSON text or HTML
+   * @returns {Array} License references { licenseId, url, hash, creators, restrictions, tdmReservation, ... }
+   */
+  static readJSONLD(document) {
+    return readLicenseReferences(document);
+  }
+
+  /**
+   * Express a license as an ODRL policy (permissions, prohibitions and duties)
+   * @param {Object} license - Generated license object
+   * @returns {Object} ODRL 2.2 policy
+   */
+  generateODRL(license) {
+    return this.odrl.serialize(license, this.generateJSONLD(license));
+  }
+
+  /**
+   * Generate a license from an ODRL policy authored elsewhere
+   * @param {Object} policy - ODRL policy
+   * @param {Object} options - License options overriding the policy (e.g. content, creator)
+   * @param {boolean} options.strict - Reject rules that do not map to license terms (default true)
+   * @returns {Object} Generated license with hash
+   */
+  parseODRL(policy, options = {}) {
+    const { strict, ...overrides } = options;
+    const { unmapped, contentDigest, ...terms } = this.odrl.parse(policy, { strict });
+
+    if (!contentDigest && overrides.content === undefined && !overrides.contentDigest) {
+      throw new Error('ODRL policy target is not a content digest: pass content or contentDigest');
+    }
+    return this.generateLicense({ ...terms, contentDigest, ...overrides });
+  }
+
+  /**
+   * Express a license as an SPDX 2.3 document with a LicenseRef per clause
+   * @param {Object} license - Generated license object
+   * @returns {Object} SPDX JSON document
+   */
+  generateSPDX(license) {
+    return this.spdx.serialize(license, this.generateJSONLD(license));
+  }
+
+  /**
+   * Validate license integrity, issuer signature, validity period and revocation
+   * The license must be signed by a trusted key, or by a keyring key that
+   * was valid and not compromised at the license creation time.
+   * A revocation source exposes getRevocation(license), returning null or
+   * { reason, revokedAt }
    * @param {Object} license - License to validate
-   * @returns {boolean} Validation result
+   * @param {Object} options - Validation options
+   * @param {Date|string} options.at - Point in time to validate at (default now)
+   * @param {Object} options.revocationSource - Revocation source (defaults to the generator's)
+   * Co-signed licenses stay pending until the issuer finalizes them with
+   * enough party signatures; parties reports who has signed
+   * Licenses that cannot be parsed or verified have status 'invalid', since
+   * none of their dates or terms can be trusted
+   * Intact legacy (1.0.0) licenses without an issuer have status 'unsigned':
+   * their digest proves integrity but not who issued them, so they are not
+   * valid until migrateLicense re-issues them
+   * @returns {Object} { valid, verified, status, reasons: [{ code, message }], parties, checkedAt }
    */
-  validateLicense(license) {
+  validateLicense(license, options = {}) {
+    const at = options.at ? new Date(options.at) : new Date();
+    const revocationSource = options.revocationSource || this.revocationSource;
+    const reasons = [];
+    let verified = false;
+    let unsigned = false;
+    let parties = null;
+
     try {
-      const { hash, signature, ...licenseData } = license;
-      const computedHash = this._generateHash(licenseData);
-      const computedSignature = this._generateSignature(licenseData, computedHash);
-      
-      return hash === computedHash && signature === computedSignature;
+      if (!license || typeof license !== 'object') {
+        throw new Error('License must be an object');
+      }
+      const {
+        hash, signature, partySignatures, finalization, ...licenseData
+      } = license;
+      const computedHash = generateHash(licenseData);
+      if (hash !== computedHash) {
+        reasons.push({ code: 'HASH_MISMATCH', message: 'License hash does not match its contents' });
+      } else if (isUnsignedLegacy(licenseData)) {
+        unsigned = signature === generateLegacyDigest(licenseData, computedHash);
+        reasons.push(unsigned
+          ? { code: 'UNSIGNED_LEGACY_LICENSE', message: 'Legacy license has no issuer signature; migrate it' }
+          : { code: 'INVALID_SIGNATURE', message: 'Legacy signature digest does not match its contents' });
+      } else if (!verifySignature(this, licenseData, computedHash, signature)) {
+        reasons.push({ code: 'INVALID_SIGNATURE', message: 'Signature is not from a trusted issuer key' });
+      } else {
+        verified = true;
+      }
+      if (verified && license.parties) {
+        parties = checkPartySignatures(this, license, reasons);
+      }
     } catch (error) {
-      return false;
+      reasons.push({ code: error.code || 'MALFORMED_LICENSE', message: error.message });
     }
+
+    let status = unsigned ? 'unsigned' : 'invalid';
+    if (verified) {
+      status = getLicenseStatus(license, at, revocationSource, reasons, parties);
+    }
+
+    return {
+      valid: verified && status === 'active',
+      verified,
+      status,
+      reasons,
+      ...(parties ? { parties } : {}),
+      checkedAt: at.toISOString(),
+    };
   }
 
-  // Private methods
-  _generateLicenseId() {
-    return `DPL-${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
+  /**
+   * Export a license as a W3C Verifiable Credential issued by the license issuer
+   * The full signed license is the credential subject, so it survives a round trip
+   * @param {Object} license - License to export
+   * @param {Object} options - Export options
+   * @param {string} options.format - 'data-integrity' (eddsa-jcs-2022 / ecdsa-jcs-2019) or 'jwt' (ES256 only)
+   * @returns {Object|string} Credential with proof, or a compact JWT
+   */
+  toVerifiableCredential(license, options = {}) {
+    const { format = 'data-integrity' } = options;
+    const signingKey = this.getSigningKey();
+
+    if (!this.validateLicense(license).verified) {
+      throw new Error(`Cannot export invalid license: ${license.id}`);
+    }
+    if (!this.isIssuerOf(signingKey.keyId, license)) {
+      throw new Error(`Only the issuer of license ${license.id} can export it as a credential`);
+    }
+
+    const credential = {
+      '@context': [CREDENTIALS_CONTEXT],
+      id: `https://data-protection.org/verify/${license.hash}`,
+      type: ['VerifiableCredential', 'DataProtectionLicenseCredential'],
+      issuer: VerifiableCredentials.toDidKey(signingKey.publicKey, signingKey.algorithm),
+      name: `Data Protection License - ${describeLicense(license)}`,
+      validFrom: license.notBefore || getEffectiveFrom(license),
+      ...(license.expirationDate ? { validUntil: license.expirationDate } : {}),
+      credentialSubject: {
+        type: 'DataProtectionLicense',
+        license,
+      },
+    };
+
+    switch (format) {
+      case 'data-integrity':
+        return this.credentials.addDataIntegrityProof(credential, signingKey);
+      case 'jwt':
+        return VerifiableCredentials.signJWT(credential, signingKey);
+      default:
+        throw new Error(`Unsupported credential format: ${format}`);
+    }
+  }
+
+  /**
+   * Import a license from a Verifiable Credential and validate it
+   * The credential proof must come from a trusted key of the license issuer
+   * @param {Object|string} secured - Credential with a Data Integrity proof, or a compact JWT
+   * @param {Object} options - Validation options (as validateLicense)
+   * @returns {Object} validateLicense result plus license, format and credentialVerified
+   */
+  fromVerifiableCredential(secured, options = {}) {
+    const format = typeof secured === 'string' ? 'jwt' : 'data-integrity';
+    const proofCheck = format === 'jwt'
+      ? this.credentials.verifyJWT(secured)
+      : this.credentials.verifyDataIntegrityProof(secured);
+    const reasons = [...proofCheck.reasons];
+
+    const subject = proofCheck.credential && proofCheck.credential.credentialSubject;
+    const license = subject && subject.license ? subject.license : null;
+    if (!license) {
+      if (proofCheck.verified) {
+        reasons.push({ code: 'MALFORMED_CREDENTIAL', message: 'Credential does not carry a data protection license' });
+      }
+      return {
+        license: null,
+        format,
+        credentialVerified: false,
+        valid: false,
+        verified: false,
+        status: null,
+        reasons,
+        checkedAt: new Date(options.at || Date.now()).toISOString(),
+      };
+    }
+
+    let credentialVerified = proofCheck.verified;
+    if (credentialVerified) {
+      const { keyId } = proofCheck.key;
+      if (!resolveVerificationKey(this, keyId, proofCheck.signedAt) || !this.isIssuerOf(keyId, license)) {
+        reasons.push({
+          code: 'UNTRUSTED_ISSUER',
+          message: 'Credential is not secured by a trusted key of the license issuer',
+        });
+        credentialVerified = false;
+      }
+    }
+
+    const validation = this.validateLicense(license, options);
+    return {
+      license,
+      format,
+      credentialVerified,
+      ...validation,
+      valid: credentialVerified && validation.valid,
+      verified: credentialVerified && validation.verified,
+      reasons: [...reasons, ...validation.reasons],
+    };
+  }
+
+  /**
+   * Re-issue a legacy (1.0.0) license under the canonical JSON format
+   * The legacy license must be verified, or intact and unsigned (issued before
+   * issuer keys); the result is signed with the current issuer key
+   * @param {Object} license - License to migrate
+   * @returns {Object} License in the current format (unchanged if already current)
+   */
+  migrateLicense(license) {
+    if (license.version === CURRENT_LICENSE_VERSION) {
+      return license;
+    }
+
+    // Expired or revoked licenses may still be migrated; only integrity matters here
+    const validation = this.validateLicense(license);
+    if (!validation.verified && validation.status !== 'unsigned') {
+      throw new Error(`Cannot migrate invalid license: ${license.id}`);
+    }
+
+    const { hash, signature, ...licenseData } = license;
+    const signingKey = this.getSigningKey();
+    const migratedData = {
+      ...licenseData,
+      version: CURRENT_LICENSE_VERSION,
+      issuer: {
+        keyId: signingKey.keyId,
+        algorithm: signingKey.algorithm,
+      },
+    };
+    const migratedHash = generateHash(migratedData);
+
+    return {
+      ...migratedData,
+      hash: migratedHash,
+      signature: generateSignature(this.signer, migratedData, migratedHash, signingKey),
+    };
+  }
+
+  /**
+   * Amend a license: the amendment keeps the license ID, links to the hash of
+   * the terms it replaces and takes effect at effectiveFrom
+   * @param {Object} previous - Latest license in the chain
+   * @param {Object} changes - New terms
+   * @param {string|Array} changes.type - License type(s)
+   * @param {Object} changes.restrictions - Restrictions
+   * @param {string} changes.notBefore - Start of the validity period
+   * @param {string} changes.expirationDate - End of the validity period
+   * @param {string} changes.effectiveFrom - ISO date the new terms apply from (default now)
+   * @returns {Object} Signed amendment
+   */
+  amendLicense(previous, changes = {}) {
+    const validation = this.validateLicense(previous);
+    if (!validation.verified) {
+      throw new Error(`Cannot amend invalid license: ${previous.id}`);
+    }
+    if (validation.status === 'revoked') {
+      throw new Error(`Cannot amend revoked license: ${previous.id}`);
+    }
+
+    const timestamp = new Date().toISOString();
+    const effectiveFrom = changes.effectiveFrom || timestamp;
+    if (new Date(effectiveFrom) < new Date(getEffectiveFrom(previous))) {
+      throw new Error('An amendment cannot take effect before the terms it replaces');
+    }
+
+    // Content, creator, parties and fingerprints carry over; only the terms change.
+    // Party signatures covered the old terms, so amended terms are co-signed again
+    const {
+      hash, signature, partySignatures, finalization, type, clauses, restrictions, notBefore, expirationDate,
+      createdAt, previousHash, amendment, effectiveFrom: previousEffectiveFrom, version, issuer, ...carried
+    } = previous;
+
+    const newClauses = changes.type !== undefined
+      ? resolveClauses(this.licenseTypes, changes.type)
+      : getClauses(previous);
+    const newRestrictions = changes.restrictions !== undefined ? changes.restrictions : restrictions;
+    const newNotBefore = changes.notBefore !== undefined ? changes.notBefore : notBefore;
+    const newExpirationDate = changes.expirationDate !== undefined ? changes.expirationDate : expirationDate;
+
+    assertValidRestrictions(newRestrictions);
+    if (newNotBefore && newExpirationDate && new Date(newNotBefore) >= new Date(newExpirationDate)) {
+      throw new Error('notBefore must be earlier than expirationDate');
+    }
+
+    const signingKey = this.getSigningKey();
+    const licenseData = {
+      ...carried,
+      type: newClauses.length > 1 ? COMPOSITE_LICENSE_TYPE : newClauses[0],
+      ...(newClauses.length > 1 ? { clauses: newClauses } : {}),
+      restrictions: newRestrictions,
+      createdAt: timestamp,
+      ...(newNotBefore ? { notBefore: newNotBefore } : {}),
+      expirationDate: newExpirationDate || null,
+      previousHash: hash,
+      amendment: (amendment || 0) + 1,
+      effectiveFrom,
+      version: CURRENT_LICENSE_VERSION,
+      issuer: {
+        keyId: signingKey.keyId,
+        algorithm: signingKey.algorithm,
+      },
+    };
+    const amendmentHash = generateHash(licenseData);
+
+    return {
+      ...licenseData,
+      hash: amendmentHash,
+      signature: generateSignature(this.signer, licenseData, amendmentHash, signingKey),
+    };
+  }
+
+  /**
+   * Verify a license history chain, oldest first
+   * Every link must validate, share the license ID, number its amendments
+   * consecutively, reference the previous hash and take effect in order
+   * @param {Array} chain - Original license followed by its amendments
+   * @returns {Object} { valid, reasons: [{ code, index, message }] }
+   */
+  verifyLicenseChain(chain) {
+    const reasons = [];
+
+    if (!Array.isArray(chain) || chain.length === 0) {
+      return { valid: false, reasons: [{ code: 'EMPTY_CHAIN', index: null, message: 'License history is empty' }] };
+    }
+
+    chain.forEach((license, index) => {
+      if (!this.validateLicense(license).verified) {
+        reasons.push({ code: 'INVALID_LINK', index, message: `License ${license.hash} fails integrity checks` });
+      }
+
+      if (index === 0) {
+        if (license.previousHash) {
+          reasons.push({ code: 'INCOMPLETE_CHAIN', index, message: 'History does not start at the original license' });
+        }
+        return;
+      }
+
+      const previous = chain[index - 1];
+      if (license.previousHash !== previous.hash) {
+        reasons.push({ code: 'BROKEN_LINK', index, message: `Amendment ${index} does not reference ${previous.hash}` });
+      }
+      if (license.id !== previous.id) {
+        reasons.push({ code: 'ID_MISMATCH', index, message: `Amendment ${index} belongs to license ${license.id}` });
+      }
+      if (license.amendment !== (previous.amendment || 0) + 1) {
+        reasons.push({ code: 'SEQUENCE_GAP', index, message: `Expected amendment ${(previous.amendment || 0) + 1}` });
+      }
+      if (new Date(getEffectiveFrom(license)) < new Date(getEffectiveFrom(previous))) {
+        reasons.push({
+          code: 'OUT_OF_ORDER',
+          index,
+          message: `Amendment ${index} takes effect before the terms it replaces`,
+        });
+      }
+    });
+
+    return { valid: reasons.length === 0, reasons };
   }
 
-  _hashContent(content) {
-    return crypto.createHash('sha256').update(content).digest('hex');
+  /**
+   * Terms in force at a point in time
+   * @param {Array} chain - Verified license history, oldest first
+   * @param {Date|string} at - Point in time (default now)
+   * @returns {Object|null} License whose terms applied, or null before the original took effect
+   */
+  static resolveTermsAt(chain, at = new Date()) {
+    const time = new Date(at);
+    return chain.reduce(
+      (inForce, license) => (new Date(getEffectiveFrom(license)) <= time ? license : inForce),
+      null,
+    );
   }
 
-  _generateHash(data) {
-    const sortedData = JSON.stringify(data, Object.keys(data).sort());
-    return crypto.createHash('sha256').update(sortedData).digest('hex');
+  /**
+   * Sign a co-signed license as one of its parties
+   * Parties sign the license hash, so signatures can be collected in any order
+   * @param {Object} license - Co-signed license
+   * @param {Object} partyKey - Party key with privateKey and algorithm
+   * @returns {Object} Party signature { keyId, signedAt, signature }
+   */
+  signAsParty(license, partyKey) {
+    const key = normalizeKey(this.signer, partyKey);
+    const {
+      hash, signature, partySignatures, finalization, ...licenseData
+    } = license;
+
+    if (!license.parties || !license.parties.some((party) => party.keyId === key.keyId)) {
+      throw new Error(`Key ${key.keyId} is not a party to license ${license.id}`);
+    }
+    if (generateHash(licenseData) !== hash) {
+      throw new Error(`License hash does not match its contents: ${license.id}`);
+    }
+
+    const signedAt = new Date().toISOString();
+    return {
+      keyId: key.keyId,
+      signedAt,
+      signature: this.signer.sign(getPartySignatureInput(hash, key.keyId, signedAt), key.privateKey, key.algorithm),
+    };
   }
 
-  _generateSignature(data, hash) {
-    const signatureInput = `${JSON.stringify(data)}:${hash}`;
-    return crypto.createHash('sha256').update(signatureInput).digest('hex');
+  /**
+   * Collect a party signature on a pending co-signed license
+   * @param {Object} license - Co-signed license
+   * @param {Object} partySignature - Signature from signAsParty()
+   * @returns {Object} License with the signature added
+   */
+  addPartySignature(license, partySignature) {
+    if (license.finalization) {
+      throw new Error(`License ${license.id} is already finalized`);
+    }
+    const party = (license.parties || []).find((candidate) => candidate.keyId === partySignature.keyId);
+    if (!party) {
+      throw new Error(`Key ${partySignature.keyId} is not a party to license ${license.id}`);
+    }
+    if ((license.partySignatures || []).some((entry) => entry.keyId === party.keyId)) {
+      throw new Error(`${party.name} has already signed license ${license.id}`);
+    }
+    if (!verifyPartySignature(this.signer, license, party, partySignature)) {
+      throw new Error(`Invalid signature from ${party.name} on license ${license.id}`);
+    }
+
+    return {
+      ...license,
+      partySignatures: [...(license.partySignatures || []), partySignature],
+    };
   }
 
-  _getLicenseText(type) {
-    const licenseTexts = {
-      'do-not-train': 'This content is protected from AI model training and machine learning purposes.',
-      'commercial-restrictions': 'Commercial use of this content requires explicit permission.',
-      'attribution-required': 'Attribution to the original creator is required for any use.',
-      'nda-enforcement': 'This content is confidential and protected under NDA terms.',
-      'pre-clearance': 'Pre-approval is required before any model deployment using this content.'
+  /**
+   * Finalize a co-signed license once enough parties have signed
+   * The issuer seals the collected signatures; the license is pending until then
+   * @param {Object} license - Co-signed license with party signatures
+   * @returns {Object} Finalized license
+   */
+  finalizeLicense(license) {
+    if (!license.parties) {
+      throw new Error(`License ${license.id} does not require co-signing`);
+    }
+    if (license.finalization) {
+      throw new Error(`License ${license.id} is already finalized`);
+    }
+    if (!this.validateLicense(license).verified) {
+      throw new Error(`Cannot finalize invalid license: ${license.id}`);
+    }
+    if (!this.isIssuerOf(this.getSigningKey().keyId, license)) {
+      throw new Error(`Only the issuer of license ${license.id} can finalize it`);
+    }
+
+    const signedBy = (license.partySignatures || [])
+      .filter((entry) => verifyPartySignature(this.signer, license, findParty(license, entry.keyId), entry))
+      .map((entry) => entry.keyId);
+    if (signedBy.length < license.threshold) {
+      throw new Error(`License ${license.id} has ${signedBy.length} of ${license.threshold} required party signatures`);
+    }
+
+    return {
+      ...license,
+      finalization: this.signDocument({
+        licenseHash: license.hash,
+        signedBy,
+        finalizedAt: new Date().toISOString(),
+      }),
     };
-    return licenseTexts[type] || 'Custom data protection license applied.';
+  }
+
+  /**
+   * Issuer key used to sign new licenses and documents
+   * Without a configured key, an ephemeral key trusted by this instance only is generated
+   * @returns {Object} Key pair with keyId and algorithm
+   */
+  getSigningKey() {
+    if (this.keyring) {
+      return this.keyring.getSigningKey();
+    }
+    if (!this.signingKey) {
+      this.signingKey = this.signer.generateKeyPair();
+      this.trustKey(this.signingKey);
+    }
+    return this.signingKey;
+  }
+
+  /**
+   * Add a public key to the trusted key set
+   * @param {Object} key - Key with publicKey and algorithm (keyId is derived when omitted)
+   * @returns {string} Key ID of the trusted key
+   */
+  trustKey(key) {
+    const normalized = normalizeKey(this.signer, key);
+    this.trustedKeys.set(normalized.keyId, {
+      keyId: normalized.keyId,
+      algorithm: normalized.algorithm,
+      publicKey: normalized.publicKey,
+    });
+    return normalized.keyId;
+  }
+
+  /**
+   * Public half of the key this generator signs with
+   * @returns {Object} Key ID, algorithm and PEM encoded public key
+   */
+  getIssuerPublicKey() {
+    const { keyId, algorithm, publicKey } = this.getSigningKey();
+    return { keyId, algorithm, publicKey };
+  }
+
+  /**
+   * Sign a JSON document (revocation lists, issuer requests) with the issuer key
+   * The signature covers the RFC 8785 canonical form of the document and its issuer
+   * @param {Object} document - Document without issuer or signature
+   * @returns {Object} Document with issuer and signature
+   */
+  signDocument(document) {
+    const signingKey = this.getSigningKey();
+    const signed = {
+      ...document,
+      issuer: {
+        keyId: signingKey.keyId,
+        algorithm: signingKey.algorithm,
+      },
+    };
+
+    return {
+      ...signed,
+      signature: this.signer.sign(canonicalize(signed), signingKey.privateKey, signingKey.algorithm),
+    };
+  }
+
+  /**
+   * Verify a document produced by signDocument against trusted issuer keys
+   * @param {Object} document - Signed document
+   * @param {Date|string} at - Time the signing key must have been valid at (default now)
+   * @returns {boolean} True when the signature is from a trusted key
+   */
+  verifyDocument(document, at = new Date()) {
+    const { signature, ...signed } = document || {};
+    if (!signed.issuer || !signature) {
+      return false;
+    }
+
+    const trustedKey = resolveVerificationKey(this, signed.issuer.keyId, new Date(at).toISOString());
+    if (!trustedKey || trustedKey.algorithm !== signed.issuer.algorithm) {
+      return false;
+    }
+    return this.signer.verify(canonicalize(signed), signature, trustedKey.publicKey, trustedKey.algorithm);
+  }
+
+  /**
+   * Whether a key belongs to the issuer of a license: the key that signed it,
+   * or any key of the same issuer keyring (e.g. after rotation)
+   * @param {string} keyId - Key ID to check
+   * @param {Object} license - License object
+   * @returns {boolean} True when the key speaks for the license issuer
+   */
+  isIssuerOf(keyId, license) {
+    const licenseKeyId = license.issuer && license.issuer.keyId;
+    if (keyId === licenseKeyId) {
+      return true;
+    }
+    return Boolean(this.keyring && this.keyring.hasKey(keyId) && this.keyring.hasKey(licenseKeyId));
+  }
+
+  /**
+   * Create a signed request asking a validation server to revoke a license
+   * @param {string} licenseHash - Hash of the license to revoke (its amendments are revoked with it)
+   * @param {string} reason - Revocation reason code
+   * @returns {Object} Signed revocation request
+   */
+  createRevocationRequest(licenseHash, reason = 'unspecified') {
+    return this.signDocument({
+      action: 'revoke',
+      licenseHash,
+      reason,
+      requestedAt: new Date().toISOString(),
+    });
+  }
+
+  // Private methods
+  _generateLicenseId() {
+    return `DPL-${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
   }
 }
 
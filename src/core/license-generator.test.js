@@ -0,0 +1,243 @@
+const LicenseGenerator = require('./license-generator');
+const { RevocationList } = require('./revocation-list');
+// Issued by the generator before issuer keys, signed with a bare SHA-256 digest
+const legacy = require('./__fixtures__/legacy-license.json');
+
+const generate = (generator, options = {}) => generator.generateLicense({
+  type: 'do-not-train', creator: 'Ada', content: 'Protected text', ...options,
+});
+
+describe('LicenseGenerator', () => {
+  describe('issuer signatures', () => {
+    const issuer = new LicenseGenerator();
+
+    test.each(['Ed25519', 'ES256'])('validates a license signed with %s against the issuer public key', (algorithm) => {
+      const generator = new LicenseGenerator({ signingKey: issuer.signer.generateKeyPair(algorithm) });
+      const license = generate(generator);
+      const verifier = new LicenseGenerator({ trustedKeys: [generator.getIssuerPublicKey()] });
+
+      expect(license.issuer).toEqual({ keyId: generator.getIssuerPublicKey().keyId, algorithm });
+      expect(verifier.validateLicense(license)).toMatchObject({ valid: true, status: 'active' });
+    });
+
+    test('rejects a license whose terms were changed after signing', () => {
+      const license = generate(issuer);
+
+      expect(issuer.validateLicense({ ...license, type: 'attribution-required' })).toMatchObject({
+        valid: false, reasons: [{ code: 'HASH_MISMATCH' }],
+      });
+    });
+
+    test('rejects a tampered signature', () => {
+      const license = generate(issuer);
+      const signature = Buffer.from(license.signature, 'base64');
+      signature[0] = (signature[0] + 1) % 256;
+
+      expect(issuer.validateLicense({ ...license, signature: signature.toString('base64') })).toMatchObject({
+        valid: false, reasons: [{ code: 'INVALID_SIGNATURE' }],
+      });
+    });
+
+    test('rejects a license re-hashed and signed with a key that is not trusted', () => {
+      const forger = new LicenseGenerator();
+      const forged = generate(forger);
+
+      expect(issuer.validateLicense(forged)).toMatchObject({ valid: false, reasons: [{ code: 'INVALID_SIGNATURE' }] });
+    });
+
+    test('rejects a license that names a trusted key but was signed by another', () => {
+      const { keyId } = issuer.getIssuerPublicKey();
+      const forger = new LicenseGenerator({ signingKey: { ...issuer.signer.generateKeyPair(), keyId } });
+      const forged = generate(forger);
+
+      expect(forged.issuer.keyId).toBe(keyId);
+      expect(issuer.validateLicense(forged)).toMatchObject({ valid: false, reasons: [{ code: 'INVALID_SIGNATURE' }] });
+    });
+  });
+
+  describe('legacy 1.0.0 licenses', () => {
+    const issuer = new LicenseGenerator();
+
+    test('reports an intact license without an issuer as unsigned', () => {
+      expect(issuer.validateLicense(legacy)).toMatchObject({
+        valid: false, verified: false, status: 'unsigned', reasons: [{ code: 'UNSIGNED_LEGACY_LICENSE' }],
+      });
+    });
+
+    test('rejects a license whose nested terms were changed after signing', () => {
+      // The legacy hash skips nested keys, the digest covers them
+      const tampered = { ...legacy, restrictions: { commercialUse: true } };
+
+      expect(issuer.validateLicense(tampered)).toMatchObject({
+        status: 'invalid', reasons: [{ code: 'INVALID_SIGNATURE' }],
+      });
+    });
+
+    test('rejects a license whose terms were changed after signing', () => {
+      expect(issuer.validateLicense({ ...legacy, creator: 'Eve' })).toMatchObject({
+        status: 'invalid', reasons: [{ code: 'HASH_MISMATCH' }],
+      });
+    });
+
+    test('re-issues an intact license under the current issuer key', () => {
+      const migrated = issuer.migrateLicense(legacy);
+
+      expect(migrated).toMatchObject({
+        id: legacy.id,
+        restrictions: legacy.restrictions,
+        createdAt: legacy.createdAt,
+        version: '2.0.0',
+        issuer: { keyId: issuer.getIssuerPublicKey().keyId },
+      });
+      expect(issuer.validateLicense(migrated)).toMatchObject({ valid: true, status: 'active' });
+    });
+
+    test('refuses to migrate a tampered license', () => {
+      const tampered = { ...legacy, signature: legacy.signature.replace(/^./, '0') };
+
+      expect(() => issuer.migrateLicense(tampered)).toThrow(`Cannot migrate invalid license: ${legacy.id}`);
+    });
+  });
+
+  describe('amendments', () => {
+    const issuer = new LicenseGenerator();
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const inDays = (days) => new Date(Date.now() + (days * DAY_MS)).toISOString();
+    let chain;
+
+    beforeEach(() => {
+      const original = generate(issuer, { restrictions: { commercial_use: false } });
+      const first = issuer.amendLicense(original, { restrictions: { commercial_use: true }, effectiveFrom: inDays(1) });
+      const second = issuer.amendLicense(first, { type: 'attribution-required', effectiveFrom: inDays(2) });
+      chain = [original, first, second];
+    });
+
+    test('verifies the history and resolves the terms in force at a time', () => {
+      expect(chain.map((license) => license.amendment)).toEqual([undefined, 1, 2]);
+      expect(chain.every((license) => license.id === chain[0].id)).toBe(true);
+      expect(issuer.verifyLicenseChain(chain)).toEqual({ valid: true, reasons: [] });
+      expect(LicenseGenerator.resolveTermsAt(chain, inDays(1.5))).toBe(chain[1]);
+      expect(LicenseGenerator.resolveTermsAt(chain, inDays(3))).toMatchObject({
+        type: 'attribution-required', restrictions: { commercial_use: true },
+      });
+    });
+
+    test('rejects a history with an amendment left out', () => {
+      const { reasons } = issuer.verifyLicenseChain([chain[0], chain[2]]);
+
+      expect(reasons.map((reason) => reason.code)).toEqual(['BROKEN_LINK', 'SEQUENCE_GAP']);
+    });
+
+    test('rejects a history whose amendment was changed after signing', () => {
+      const tampered = { ...chain[1], restrictions: { commercial_use: false } };
+
+      expect(issuer.verifyLicenseChain([chain[0], tampered, chain[2]]).reasons).toEqual([
+        expect.objectContaining({ code: 'INVALID_LINK', index: 1 }),
+      ]);
+    });
+
+    test('rejects an amendment of another license spliced into the history', () => {
+      const other = issuer.amendLicense(generate(issuer), { effectiveFrom: inDays(1) });
+
+      expect(issuer.verifyLicenseChain([chain[0], other]).reasons.map((reason) => reason.code))
+        .toEqual(['BROKEN_LINK', 'ID_MISMATCH']);
+    });
+
+    test('rejects an amendment signed by a key that is not trusted', () => {
+      const forger = new LicenseGenerator({ trustedKeys: [issuer.getIssuerPublicKey()] });
+      const forged = forger.amendLicense(chain[2], { restrictions: {}, effectiveFrom: inDays(3) });
+
+      expect(issuer.verifyLicenseChain([...chain, forged]).reasons).toEqual([
+        expect.objectContaining({ code: 'INVALID_LINK', index: 3 }),
+      ]);
+    });
+
+    test('revoking the original license revokes its amendments', () => {
+      const list = new RevocationList();
+      list.revoke({ licenseHash: chain[0].hash, licenseId: chain[0].id });
+
+      expect(issuer.validateLicense(chain[2], { revocationSource: list })).toMatchObject({ status: 'revoked' });
+    });
+
+    test('refuses to amend a revoked license or backdate an amendment', () => {
+      const revocationSource = { getRevocation: () => ({ reason: 'terms-violated' }) };
+      const revoking = new LicenseGenerator({ signingKey: issuer.getSigningKey(), revocationSource });
+
+      expect(() => revoking.amendLicense(chain[2], {})).toThrow(`Cannot amend revoked license: ${chain[0].id}`);
+      expect(() => issuer.amendLicense(chain[2], { effectiveFrom: inDays(1) }))
+        .toThrow('An amendment cannot take effect before the terms it replaces');
+    });
+  });
+
+  describe('co-signing', () => {
+    const issuer = new LicenseGenerator();
+    const keys = ['Ed25519', 'ES256', 'Ed25519'].map((algorithm) => issuer.signer.generateKeyPair(algorithm));
+    const parties = ['Ada', 'Grace', 'Edsger'].map((name, index) => {
+      const { publicKey, algorithm } = keys[index];
+      return { name, publicKey, algorithm };
+    });
+    let license;
+
+    const sign = (pending, index) => issuer.addPartySignature(pending, issuer.signAsParty(pending, keys[index]));
+
+    beforeEach(() => {
+      license = generate(issuer, { parties, threshold: 2 });
+    });
+
+    test('stays pending until the threshold is met and the issuer finalizes it', () => {
+      const once = sign(license, 0);
+      const twice = sign(once, 2);
+
+      expect(issuer.validateLicense(once)).toMatchObject({
+        valid: false, status: 'pending', reasons: [{ code: 'PENDING_SIGNATURES' }],
+      });
+      expect(() => issuer.finalizeLicense(once)).toThrow(`License ${license.id} has 1 of 2 required party signatures`);
+      expect(issuer.validateLicense(twice)).toMatchObject({ status: 'pending' });
+
+      const finalized = issuer.finalizeLicense(twice);
+      expect(issuer.validateLicense(finalized)).toMatchObject({
+        valid: true,
+        status: 'active',
+        parties: { finalized: true, signed: [{ name: 'Ada' }, { name: 'Edsger' }], unsigned: [{ name: 'Grace' }] },
+      });
+    });
+
+    test('rejects a tampered party signature', () => {
+      const partySignature = issuer.signAsParty(license, keys[1]);
+      const tampered = { ...partySignature, signedAt: new Date(0).toISOString() };
+
+      expect(() => issuer.addPartySignature(license, tampered))
+        .toThrow(`Invalid signature from Grace on license ${license.id}`);
+      expect(issuer.validateLicense({ ...license, partySignatures: [tampered] }).reasons).toEqual(
+        expect.arrayContaining([expect.objectContaining({ code: 'INVALID_PARTY_SIGNATURE' })]),
+      );
+    });
+
+    test('refuses signatures from keys that are not a party', () => {
+      const outsider = issuer.signer.generateKeyPair();
+
+      expect(() => issuer.signAsParty(license, outsider)).toThrow(`Key ${outsider.keyId} is not a party`);
+    });
+
+    test('rejects a finalization that was not sealed by the issuer', () => {
+      const forger = new LicenseGenerator({ trustedKeys: [issuer.getIssuerPublicKey()] });
+      const signed = sign(sign(license, 0), 1);
+      const finalization = forger.signDocument({
+        licenseHash: signed.hash, signedBy: [keys[0].keyId, keys[1].keyId], finalizedAt: new Date().toISOString(),
+      });
+      const forged = { ...signed, finalization };
+
+      expect(() => forger.finalizeLicense(signed)).toThrow(`Only the issuer of license ${license.id} can finalize it`);
+      expect(issuer.validateLicense(forged)).toMatchObject({
+        valid: false, reasons: expect.arrayContaining([expect.objectContaining({ code: 'INVALID_FINALIZATION' })]),
+      });
+    });
+
+    test('a finalization over too few signatures does not finalize the license', () => {
+      const finalized = issuer.finalizeLicense(sign(sign(license, 0), 1));
+      const stripped = { ...finalized, partySignatures: finalized.partySignatures.slice(0, 1) };
+
+      expect(issuer.validateLicense(stripped)).toMatchObject({ valid: false, parties: { finalized: false } });
+    });
+  });
+});
@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const LicenseSigner = require('./license-signer');
+const { canonicalize } = require('./canonical-json');
+const { PURPOSES, MODEL_TYPES } = require('./restriction-vocabulary');
+
+const GRANT_TYPE = 'license-grant';
+
+// Sub-grants may only reach this far from the issuer
+const MAX_CHAIN_LENGTH = 5;
+
+const grantTermsSchema = Joi.object({
+  grantee: Joi.string().min(1).required(),
+  granteeKey: Joi.object({
+    publicKey: Joi.string().required(),
+    algorithm: Joi.string().valid('Ed25519', 'ES256').required(),
+    keyId: Joi.string(),
+  }),
+  purposes: Joi.array().items(Joi.string().valid(...PURPOSES)).min(1).unique()
+    .required(),
+  scope: Joi.object({
+    clauses: Joi.array().items(Joi.string()).min(1).unique(),
+    model_types: Joi.array().items(Joi.string().valid(...MODEL_TYPES)).min(1).unique(),
+    territories: Joi.array().items(Joi.string().pattern(/^[A-Z]{2}$/)).min(1).unique(),
+  }),
+  expiresAt: Joi.string().isoDate().required(),
+  delegable: Joi.boolean(),
+});
+
+function normalizeTerms(signer, terms) {
+  const { error } = grantTermsSchema.validate(terms, { abortEarly: false, convert: false });
+  if (error) {
+    throw new Error(`Invalid grant: ${error.details.map((detail) => detail.message).join('; ')}`);
+  }
+  if (terms.delegable && !terms.granteeKey) {
+    throw new Error('Invalid grant: delegable grants need a granteeKey');
+  }
+
+  return {
+    ...terms,
+    granteeKey: terms.granteeKey
+      ? {
+        keyId: signer.getKeyId(terms.granteeKey.publicKey),
+        algorithm: terms.granteeKey.algorithm,
+        publicKey: terms.granteeKey.publicKey,
+      }
+      : null,
+  };
+}
+
+function signGrant(licenseGenerator, signer, link, terms) {
+  const normalized = normalizeTerms(signer, terms);
+
+  return licenseGenerator.signDocument({
+    type: GRANT_TYPE,
+    id: `DPG-${Date.now()}-${crypto.randomBytes(8).toString('hex')}`,
+    ...link,
+    grantee: normalized.grantee,
+    granteeKey: normalized.granteeKey || null,
+    purposes: normalized.purposes,
+    scope: normalized.scope || {},
+    delegable: Boolean(normalized.delegable),
+    issuedAt: new Date().toISOString(),
+    expiresAt: normalized.expiresAt,
+  });
+}
+
+function verifyGranteeSignature(signer, grant, granteeKey) {
+  const { signature, ...signed } = grant;
+  if (!signature || !signed.issuer || signed.issuer.keyId !== granteeKey.keyId
+    || signed.issuer.algorithm !== granteeKey.algorithm) {
+    return false;
+  }
+  return signer.verify(canonicalize(signed), signature, granteeKey.publicKey, granteeKey.algorithm);
+}
+
+function checkNarrowing(parent, child) {
+  const reasons = [];
+  const parentScope = parent.scope || {};
+  const childScope = child.scope || {};
+  const within = (values, allowed) => !allowed || (values && values.every((value) => allowed.includes(value)));
+
+  if (!child.purposes.every((purpose) => parent.purposes.includes(purpose))) {
+    reasons.push({ code: 'SCOPE_WIDENED', message: 'Sub-grant adds purposes its parent lacks' });
+  }
+  ['clauses', 'model_types', 'territories'].forEach((key) => {
+    if (!within(childScope[key], parentScope[key])) {
+      reasons.push({ code: 'SCOPE_WIDENED', message: `Sub-grant widens scope.${key}` });
+    }
+  });
+  if (new Date(child.expiresAt) > new Date(parent.expiresAt)) {
+    reasons.push({ code: 'EXPIRY_EXTENDED', message: 'Sub-grant outlives its parent' });
+  }
+  return reasons;
+}
+
+/**
+ * License Grants
+ * Issuer-signed permissions for a named grantee (e.g. a lab allowed to train
+ * on do-not-train content). A grantee holding a delegable grant can sublicense
+ * with its own key, within the purposes, scope and expiry it was given.
+ * Grant chains are presented root first
+ */
+class LicenseGrants {
+  /**
+   * @param {LicenseGenerator} licenseGenerator - Generator holding the signing key and trusted issuer keys
+   */
+  constructor(licenseGenerator) {
+    this.licenseGenerator = licenseGenerator;
+    this.signer = new LicenseSigner();
+  }
+
+  /**
+   * Reference used by sub-grants to point at their parent
+   * @param {Object} grant - Signed grant
+   * @returns {string} SHA-256 over the canonical signed grant
+   */
+  static hashGrant(grant) {
+    return crypto.createHash('sha256').update(canonicalize(grant)).digest('hex');
+  }
+
+  /**
+   * Issue a grant on a license; the generator's key must belong to the license issuer
+   * @param {Object} license - Base license
+   * @param {Object} terms - Grant terms
+   * @param {string} terms.grantee - Grantee identifier (matched against accessDetails.user)
+   * @param {Object} terms.granteeKey - Grantee public key, required to sublicense
+   * @param {Array} terms.purposes - Permitted purposes
+   * @param {Object} terms.scope - Optional limits: clauses, model_types, territories
+   * @param {string} terms.expiresAt - ISO expiry
+   * @param {boolean} terms.delegable - Whether the grantee may sublicense
+   * @returns {Object} Signed grant
+   */
+  issueGrant(license, terms) {
+    const { keyId } = this.licenseGenerator.getIssuerPublicKey();
+    if (!this.licenseGenerator.isIssuerOf(keyId, license)) {
+      throw new Error(`Only the issuer of license ${license.id} can grant on it`);
+    }
+
+    return signGrant(this.licenseGenerator, this.signer, {
+      licenseId: license.id,
+      licenseHash: license.hash,
+      parentHash: null,
+    }, terms);
+  }
+
+  /**
+   * Sublicense a delegable grant; the generator's key must be the parent's grantee key
+   * @param {Object} parent - Grant held by this grantee
+   * @param {Object} terms - Grant terms, no broader than the parent's
+   * @returns {Object} Signed sub-grant
+   */
+  delegateGrant(parent, terms) {
+    const { keyId } = this.licenseGenerator.getIssuerPublicKey();
+    if (!parent.delegable || !parent.granteeKey) {
+      throw new Error(`Grant ${parent.id} may not be sublicensed`);
+    }
+    if (parent.granteeKey.keyId !== keyId) {
+      throw new Error(`Only the grantee of ${parent.id} can sublicense it`);
+    }
+
+    const reasons = checkNarrowing(parent, normalizeTerms(this.signer, terms));
+    if (reasons.length > 0) {
+      throw new Error(`Sub-grant exceeds its parent: ${reasons.map((reason) => reason.message).join('; ')}`);
+    }
+
+    return signGrant(this.licenseGenerator, this.signer, {
+      licenseId: parent.licenseId,
+      licenseHash: parent.licenseHash,
+      parentHash: LicenseGrants.hashGrant(parent),
+    }, terms);
+  }
+
+  /**
+   * Verify a grant chain against its base license
+   * @param {Object} license - Base license (already validated)
+   * @param {Array} chain - Grants, root first
+   * @param {Date|string} at - Time of access (default now)
+   * @returns {Object} { valid, grant (the last link), reasons: [{ code, index, message }] }
+   */
+  verifyGrantChain(license, chain, at = new Date()) {
+    const time = new Date(at);
+    const reasons = [];
+
+    if (!Array.isArray(chain) || chain.length === 0) {
+      return {
+        valid: false,
+        grant: null,
+        reasons: [{ code: 'EMPTY_CHAIN', index: null, message: 'No grants presented' }],
+      };
+    }
+    if (chain.length > MAX_CHAIN_LENGTH) {
+      reasons.push({
+        code: 'CHAIN_TOO_LONG',
+        index: null,
+        message: `Grant chains are limited to ${MAX_CHAIN_LENGTH} links`,
+      });
+    }
+
+    chain.forEach((grant, index) => {
+      const fail = (code, message) => reasons.push({ code, index, message });
+
+      if (grant.type !== GRANT_TYPE) {
+        fail('NOT_A_GRANT', `Link ${index} is not a license grant`);
+        return;
+      }
+      if (grant.licenseHash !== license.hash || grant.licenseId !== license.id) {
+        fail('LICENSE_MISMATCH', `Grant ${grant.id} is for a different license`);
+      }
+      if (new Date(grant.issuedAt) > time) {
+        fail('NOT_YET_ISSUED', `Grant ${grant.id} was issued after ${time.toISOString()}`);
+      }
+      if (new Date(grant.expiresAt) <= time) {
+        fail('GRANT_EXPIRED', `Grant ${grant.id} expired at ${grant.expiresAt}`);
+      }
+
+      if (index === 0) {
+        if (grant.parentHash !== null) {
+          fail('INCOMPLETE_CHAIN', 'Grant chain does not start at an issuer grant');
+        } else if (!this.licenseGenerator.isIssuerOf(grant.issuer.keyId, license)
+          || !this.licenseGenerator.verifyDocument(grant, grant.issuedAt)) {
+          fail('INVALID_SIGNATURE', `Grant ${grant.id} is not signed by the license issuer`);
+        }
+        return;
+      }
+
+      const parent = chain[index - 1];
+      if (grant.parentHash !== LicenseGrants.hashGrant(parent)) {
+        fail('BROKEN_LINK', `Grant ${grant.id} does not reference grant ${parent.id}`);
+      }
+      if (!parent.delegable || !parent.granteeKey) {
+        fail('NOT_DELEGABLE', `Grant ${parent.id} may not be sublicensed`);
+      } else if (!verifyGranteeSignature(this.signer, grant, parent.granteeKey)) {
+        fail('INVALID_SIGNATURE', `Grant ${grant.id} is not signed by the grantee of ${parent.id}`);
+      }
+      checkNarrowing(parent, grant).forEach((reason) => fail(reason.code, reason.message));
+    });
+
+    return {
+      valid: reasons.length === 0,
+      grant: reasons.length === 0 ? chain[chain.length - 1] : null,
+      reasons,
+    };
+  }
+
+  /**
+   * Whether a verified grant covers an access attempt
+   * @param {Object} grant - Last link of a verified chain
+   * @param {Object} accessDetails - Access attempt (user, purpose, model_type, territory)
+   * @returns {Object} { covered, reasons: [{ code, message }] }
+   */
+  static covers(grant, accessDetails) {
+    const reasons = [];
+    const scope = grant.scope || {};
+
+    if (grant.grantee !== accessDetails.user) {
+      reasons.push({
+        code: 'GRANTEE_MISMATCH',
+        message: `Grant is for ${grant.grantee}, not ${accessDetails.user || 'anonymous'}`,
+      });
+    }
+    if (!grant.purposes.includes(accessDetails.purpose)) {
+      reasons.push({ code: 'PURPOSE_NOT_GRANTED', message: `Grant does not cover purpose: ${accessDetails.purpose}` });
+    }
+    if (scope.model_types && !scope.model_types.includes(accessDetails.model_type)) {
+      reasons.push({
+        code: 'MODEL_TYPE_NOT_GRANTED',
+        message: `Grant does not cover model type: ${accessDetails.model_type}`,
+      });
+    }
+    if (scope.territories && !scope.territories.includes(accessDetails.territory)) {
+      reasons.push({
+        code: 'TERRITORY_NOT_GRANTED',
+        message: `Grant does not cover territory: ${accessDetails.territory}`,
+      });
+    }
+
+    return { covered: reasons.length === 0, reasons };
+  }
+
+  /**
+   * Whether a grant lifts a license clause
+   * @param {Object} grant - Covering grant (or null)
+   * @param {string} clause - License type of the clause
+   * @returns {boolean} True when the grant applies to the clause
+   */
+  static grantsClause(grant, clause) {
+    return Boolean(grant) && (!grant.scope || !grant.scope.clauses || grant.scope.clauses.includes(clause));
+  }
+}
+
+module.exports = LicenseGrants;
@@ -0,0 +1,98 @@
+const LicenseGenerator = require('./license-generator');
+const LicenseGrants = require('./license-grants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const inDays = (days) => new Date(Date.now() + (days * DAY_MS)).toISOString();
+
+describe('LicenseGrants', () => {
+  const issuer = new LicenseGenerator();
+  const lab = new LicenseGenerator({ trustedKeys: [issuer.getIssuerPublicKey()] });
+  const grants = new LicenseGrants(issuer);
+  const labGrants = new LicenseGrants(lab);
+  const license = issuer.generateLicense({ type: 'do-not-train', creator: 'Ada', content: 'Protected text' });
+
+  const issueToLab = (terms = {}) => grants.issueGrant(license, {
+    grantee: 'lab',
+    granteeKey: lab.getIssuerPublicKey(),
+    purposes: ['ai-training', 'fine-tuning'],
+    scope: { model_types: ['llm', 'embedding'] },
+    expiresAt: inDays(30),
+    delegable: true,
+    ...terms,
+  });
+  const delegate = (parent, terms = {}) => labGrants.delegateGrant(parent, {
+    grantee: 'partner',
+    purposes: ['fine-tuning'],
+    scope: { model_types: ['llm'] },
+    expiresAt: inDays(10),
+    ...terms,
+  });
+  const codes = (result) => result.reasons.map((reason) => reason.code);
+
+  test('verifies an issuer grant and a sub-grant signed by its grantee', () => {
+    const root = issueToLab();
+    const sub = delegate(root);
+
+    const result = grants.verifyGrantChain(license, [root, sub]);
+
+    expect(result).toEqual({ valid: true, grant: sub, reasons: [] });
+    expect(LicenseGrants.covers(result.grant, { user: 'partner', purpose: 'fine-tuning', model_type: 'llm' }))
+      .toEqual({ covered: true, reasons: [] });
+    expect(codes(LicenseGrants.covers(result.grant, { user: 'partner', purpose: 'ai-training', model_type: 'llm' })))
+      .toEqual(['PURPOSE_NOT_GRANTED']);
+  });
+
+  test('rejects a grant whose terms were changed after signing', () => {
+    const root = issueToLab();
+
+    expect(codes(grants.verifyGrantChain(license, [{ ...root, purposes: [...root.purposes, 'commercial'] }])))
+      .toEqual(['INVALID_SIGNATURE']);
+  });
+
+  test('rejects a grant on the license signed by someone other than its issuer', () => {
+    const forged = new LicenseGrants(lab);
+    // Same ID and hash, but naming the forger as issuer to get past issueGrant
+    const forgedLicense = { ...license, issuer: lab.getIssuerPublicKey() };
+
+    expect(() => forged.issueGrant(license, { grantee: 'lab', purposes: ['ai-training'], expiresAt: inDays(1) }))
+      .toThrow(`Only the issuer of license ${license.id} can grant on it`);
+    const root = forged.issueGrant(forgedLicense, { grantee: 'lab', purposes: ['ai-training'], expiresAt: inDays(1) });
+
+    expect(codes(grants.verifyGrantChain(license, [root]))).toEqual(['INVALID_SIGNATURE']);
+  });
+
+  test('rejects a sub-grant that was not signed by the grantee of its parent', () => {
+    const root = issueToLab();
+    const outsider = new LicenseGenerator();
+    const sub = new LicenseGrants(outsider).delegateGrant({ ...root, granteeKey: outsider.getIssuerPublicKey() }, {
+      grantee: 'partner', purposes: ['fine-tuning'], scope: { model_types: ['llm'] }, expiresAt: inDays(10),
+    });
+
+    expect(codes(grants.verifyGrantChain(license, [root, sub]))).toEqual(['BROKEN_LINK', 'INVALID_SIGNATURE']);
+  });
+
+  test('rejects a sub-grant that widens its parent or a chain with a link left out', () => {
+    const root = issueToLab();
+    const sub = delegate(root);
+    const widened = { ...delegate(root), purposes: ['commercial'] };
+    const subSub = new LicenseGrants(lab).delegateGrant({ ...sub, delegable: true, granteeKey: root.granteeKey }, {
+      grantee: 'vendor', purposes: ['fine-tuning'], scope: { model_types: ['llm'] }, expiresAt: inDays(5),
+    });
+
+    expect(codes(grants.verifyGrantChain(license, [root, widened]))).toEqual(['INVALID_SIGNATURE', 'SCOPE_WIDENED']);
+    expect(codes(grants.verifyGrantChain(license, [root, subSub]))).toEqual(['BROKEN_LINK']);
+    expect(() => delegate(root, { expiresAt: inDays(60) })).toThrow('Sub-grant outlives its parent');
+  });
+
+  test('refuses to sublicense a grant that is not delegable', () => {
+    const root = issueToLab({ delegable: false });
+
+    expect(() => delegate(root)).toThrow(`Grant ${root.id} may not be sublicensed`);
+  });
+
+  test('rejects an expired grant at the time of access', () => {
+    const root = issueToLab();
+
+    expect(codes(grants.verifyGrantChain(license, [root], inDays(31)))).toEqual(['GRANT_EXPIRED']);
+  });
+});
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+/**
+ * Supported public-key signature algorithms
+ * Ed25519 is the default; ES256 (ECDSA P-256) is offered for tooling that lacks EdDSA
+ */
+const SIGNATURE_ALGORITHMS = {
+  Ed25519: {
+    keyType: 'ed25519',
+    keyOptions: {},
+    digest: null,
+    signOptions: {},
+  },
+  ES256: {
+    keyType: 'ec',
+    keyOptions: { namedCurve: 'prime256v1' },
+    digest: 'sha256',
+    signOptions: { dsaEncoding: 'ieee-p1363' },
+  },
+};
+
+/**
+ * License Signer
+ * Creates and verifies issuer signatures over license payloads
+ */
+class LicenseSigner {
+  constructor() {
+    this.algorithms = SIGNATURE_ALGORITHMS;
+    this.supportedAlgorithms = Object.keys(SIGNATURE_ALGORITHMS);
+    this.keyIdLength = 32;
+  }
+
+  /**
+   * Generate a new issuer key pair
+   * @param {string} algorithm - Signature algorithm (Ed25519 or ES256)
+   * @returns {Object} Key pair with PEM encoded keys and key ID
+   */
+  generateKeyPair(algorithm = 'Ed25519') {
+    const spec = this.getAlgorithm(algorithm);
+    const { publicKey, privateKey } = crypto.generateKeyPairSync(spec.keyType, spec.keyOptions);
+    const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' });
+
+    return {
+      keyId: this.getKeyId(publicKeyPem),
+      algorithm,
+      publicKey: publicKeyPem,
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    };
+  }
+
+  /**
+   * Derive a stable key ID from a public key
+   * @param {string|crypto.KeyObject} publicKey - PEM encoded public key
+   * @returns {string} Key ID (truncated SHA-256 of the SPKI encoding)
+   */
+  getKeyId(publicKey) {
+    const der = crypto.createPublicKey(publicKey).export({ type: 'spki', format: 'der' });
+    return crypto.createHash('sha256').update(der).digest('hex').slice(0, this.keyIdLength);
+  }
+
+  /**
+   * Sign a payload with an issuer private key
+   * @param {string} payload - Serialized payload to sign
+   * @param {string} privateKey - PEM encoded private key
+   * @param {string} algorithm - Signature algorithm
+   * @returns {string} Base64 encoded signature
+   */
+  sign(payload, privateKey, algorithm = 'Ed25519') {
+    const spec = this.getAlgorithm(algorithm);
+    const key = { key: privateKey, ...spec.signOptions };
+    return crypto.sign(spec.digest, Buffer.from(payload), key).toString('base64');
+  }
+
+  /**
+   * Verify a payload signature against an issuer public key
+   * @param {string} payload - Serialized payload that was signed
+   * @param {string} signature - Base64 encoded signature
+   * @param {string} publicKey - PEM encoded public key
+   * @param {string} algorithm - Signature algorithm
+   * @returns {boolean} Verification result
+   */
+  verify(payload, signature, publicKey, algorithm = 'Ed25519') {
+    try {
+      const spec = this.getAlgorithm(algorithm);
+      const key = { key: publicKey, ...spec.signOptions };
+      return crypto.verify(spec.digest, Buffer.from(payload), key, Buffer.from(signature, 'base64'));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Look up the key and signing parameters of an algorithm
+   * @param {string} algorithm - Signature algorithm
+   * @returns {Object} Algorithm parameters
+   */
+  getAlgorithm(algorithm) {
+    const spec = this.algorithms[algorithm];
+    if (!spec) {
+      throw new Error(`Unsupported signature algorithm: ${algorithm}`);
+    }
+    return spec;
+  }
+}
+
+module.exports = LicenseSigner;
@@ -0,0 +1,53 @@
+const LicenseSigner = require('./license-signer');
+
+describe('LicenseSigner', () => {
+  const signer = new LicenseSigner();
+  const payload = '{"id":"DPL-1","type":"do-not-train"}';
+
+  describe.each(['Ed25519', 'ES256'])('%s', (algorithm) => {
+    const key = signer.generateKeyPair(algorithm);
+
+    test('verifies its own signature', () => {
+      const signature = signer.sign(payload, key.privateKey, algorithm);
+
+      expect(signer.verify(payload, signature, key.publicKey, algorithm)).toBe(true);
+    });
+
+    test('rejects a tampered payload', () => {
+      const signature = signer.sign(payload, key.privateKey, algorithm);
+      const tampered = payload.replace('do-not-train', 'attribution-required');
+
+      expect(signer.verify(tampered, signature, key.publicKey, algorithm)).toBe(false);
+    });
+
+    test('rejects a tampered signature', () => {
+      const signature = Buffer.from(signer.sign(payload, key.privateKey, algorithm), 'base64');
+      signature[0] = (signature[0] + 1) % 256;
+
+      expect(signer.verify(payload, signature.toString('base64'), key.publicKey, algorithm)).toBe(false);
+    });
+
+    test('rejects a signature made with another key', () => {
+      const other = signer.generateKeyPair(algorithm);
+      const signature = signer.sign(payload, other.privateKey, algorithm);
+
+      expect(signer.verify(payload, signature, key.publicKey, algorithm)).toBe(false);
+    });
+
+    test('derives the key ID from the public key', () => {
+      expect(signer.getKeyId(key.publicKey)).toBe(key.keyId);
+      expect(key.keyId).toHaveLength(32);
+    });
+  });
+
+  test('does not verify under another algorithm', () => {
+    const key = signer.generateKeyPair('ES256');
+    const signature = signer.sign(payload, key.privateKey, 'ES256');
+
+    expect(signer.verify(payload, signature, key.publicKey, 'Ed25519')).toBe(false);
+  });
+
+  test('rejects unsupported algorithms', () => {
+    expect(() => signer.generateKeyPair('RS256')).toThrow('Unsupported signature algorithm: RS256');
+  });
+});
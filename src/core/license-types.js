@@ -0,0 +1,392 @@
+const LicenseGrants = require('./license-grants');
+const { getAICrawlers, getAICrawlerUserAgentLines } = require('./ai-crawlers');
+const {
+  compactRobotsGroups, formatRobotsGroups, getRobotsGroups, parseRobotsTxt,
+} = require('./robots-txt');
+
+// Purposes that count as text and data mining for a TDM reservation
+const TDM_PURPOSES = ['ai-training', 'machine-learning', 'data-mining'];
+
+const TYPE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+
+// Type of licenses that combine several clauses; reserved, never registered
+const COMPOSITE_LICENSE_TYPE = 'composite';
+
+/**
+ * Clause types of a license: every clause of a composite license,
+ * or the single type of any other license
+ * @param {Object} license - License object
+ * @returns {Array} Type identifiers
+ */
+function getClauses(license) {
+  return license.type === COMPOSITE_LICENSE_TYPE ? license.clauses || [] : [license.type];
+}
+
+/**
+ * Short label for a license: its clause types joined with " + "
+ * @param {Object} license - License object
+ * @returns {string} Label, e.g. "do-not-train + attribution-required"
+ */
+function describeLicense(license) {
+  return getClauses(license).join(' + ') || license.type;
+}
+
+/**
+ * Built-in license types
+ * robots(license) returns robots.txt lines (User-agent lines first, then rules; crawlers
+ * come from the AI crawler catalogue), evaluate(license, accessDetails) returns violation messages.
+ * accessDetails.grant is an issuer grant already verified to cover the access
+ */
+const BUILT_IN_LICENSE_TYPES = [
+  {
+    name: 'do-not-train',
+    label: 'Do-Not-Train',
+    text: 'This content is protected from AI model training and machine learning purposes.',
+    robots: () => [
+      ...getAICrawlerUserAgentLines(['ai-training']),
+      'Disallow: /',
+    ],
+    jsonLD: {
+      usageInfo: 'https://data-protection.org/licenses/types/do-not-train',
+    },
+    odrl: { prohibitions: ['tdm:mine'] },
+    tdmReservation: true,
+    evaluate: (license, accessDetails) => {
+      const training = accessDetails.purpose === 'ai-training' || accessDetails.purpose === 'machine-learning';
+      if (training && !LicenseGrants.grantsClause(accessDetails.grant, 'do-not-train')) {
+        return ['AI training not permitted'];
+      }
+      return [];
+    },
+  },
+  {
+    name: 'commercial-restrictions',
+    label: 'Commercial Use Restrictions',
+    text: 'Commercial use of this content requires explicit permission.',
+    robots: () => ['# Commercial use requires explicit permission'],
+    jsonLD: {
+      usageInfo: 'https://data-protection.org/licenses/types/commercial-restrictions',
+    },
+    odrl: { prohibitions: ['commercialize'] },
+    evaluate: (license, accessDetails) => {
+      const granted = LicenseGrants.grantsClause(accessDetails.grant, 'commercial-restrictions')
+        && accessDetails.grant.purposes.includes('commercial');
+      return accessDetails.commercial === true && !granted ? ['Commercial use not permitted'] : [];
+    },
+  },
+  {
+    name: 'attribution-required',
+    label: 'Attribution Required',
+    text: 'Attribution to the original creator is required for any use.',
+    robots: () => ['# Attribution required for any use'],
+    jsonLD: {
+      usageInfo: 'https://data-protection.org/licenses/types/attribution-required',
+    },
+    odrl: { duties: ['attribute'] },
+    evaluate: (license, accessDetails) => (
+      !accessDetails.attribution ? ['Attribution required'] : []
+    ),
+  },
+  {
+    name: 'nda-enforcement',
+    label: 'NDA Enforcement',
+    text: 'This content is confidential and protected under NDA terms.',
+    robots: () => [
+      'User-agent: *',
+      'Disallow: /',
+    ],
+    jsonLD: {
+      usageInfo: 'https://data-protection.org/licenses/types/nda-enforcement',
+    },
+    odrl: { prohibitions: ['distribute'], duties: ['dpl:signNDA'] },
+    tdmReservation: true,
+    evaluate: (license, accessDetails) => (
+      !LicenseGrants.grantsClause(accessDetails.grant, 'nda-enforcement')
+        ? ['NDA signature required: present an issuer grant']
+        : []
+    ),
+  },
+  {
+    name: 'pre-clearance',
+    label: 'Pre-Clearance',
+    text: 'Pre-approval is required before any model deployment using this content.',
+    robots: () => [
+      '# Pre-approval required before AI use',
+      ...getAICrawlerUserAgentLines(),
+      'Disallow: /',
+    ],
+    jsonLD: {
+      usageInfo: 'https://data-protection.org/licenses/types/pre-clearance',
+    },
+    odrl: { duties: ['obtainConsent'] },
+    evaluate: (license, accessDetails) => (
+      !LicenseGrants.grantsClause(accessDetails.grant, 'pre-clearance')
+        ? ['Pre-clearance required: present an issuer grant']
+        : []
+    ),
+  },
+];
+
+/**
+ * License Type Registry
+ * Single place where a license type defines its legal text, robots.txt rules,
+ * JSON-LD mapping and compliance evaluator. The generator, injector and
+ * compliance monitor all read license types from a registry.
+ */
+class LicenseTypeRegistry {
+  /**
+   * @param {Array} definitions - Initial license type definitions
+   */
+  constructor(definitions = BUILT_IN_LICENSE_TYPES) {
+    this.types = new Map();
+    definitions.forEach((definition) => this.register(definition));
+  }
+
+  /**
+   * Register a license type
+   * @param {Object} definition - License type definition
+   * @param {string} definition.name - Type identifier (lowercase, hyphenated)
+   * @param {string} definition.label - Human-readable name
+   * @param {string} definition.text - Legal text shown to users
+   * @param {Function} definition.robots - (license) => robots.txt lines
+   * @param {Object} definition.jsonLD - Extra properties for the JSON-LD license node
+   * @param {Object} definition.odrl - ODRL actions the type prohibits and duties it imposes
+   *   ({ prohibitions, duties }); used to export and recognise ODRL policies
+   * @param {boolean} definition.tdmReservation - Whether the type reserves text and data mining rights
+   * @param {Function} definition.evaluate - (license, accessDetails) => violation messages
+   * @param {Object} options - Registration options
+   * @param {boolean} options.replace - Allow replacing an existing type
+   * @returns {Object} Registered definition
+   */
+  register(definition, options = {}) {
+    const { name } = definition;
+
+    if (!name || !TYPE_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid license type name: ${name}`);
+    }
+    if (name === COMPOSITE_LICENSE_TYPE) {
+      throw new Error(`License type name is reserved: ${name}`);
+    }
+    if (this.types.has(name) && !options.replace) {
+      throw new Error(`License type already registered: ${name}`);
+    }
+    if (typeof definition.text !== 'string' || !definition.text) {
+      throw new Error(`License type ${name} requires text`);
+    }
+    if (typeof definition.evaluate !== 'function') {
+      throw new Error(`License type ${name} requires an evaluate function`);
+    }
+    if (definition.robots !== undefined && typeof definition.robots !== 'function') {
+      throw new Error(`License type ${name} robots rules must be a function`);
+    }
+
+    const isActionList = (actions) => actions === undefined || Array.isArray(actions);
+    if (definition.odrl !== undefined && (typeof definition.odrl !== 'object'
+      || ![definition.odrl.prohibitions, definition.odrl.duties].every(isActionList))) {
+      throw new Error(`License type ${name} ODRL mapping must list prohibitions and duties as arrays`);
+    }
+
+    const registered = Object.freeze({
+      label: name,
+      robots: () => [],
+      jsonLD: {},
+      odrl: {},
+      ...definition,
+    });
+    this.types.set(name, registered);
+    return registered;
+  }
+
+  /**
+   * Remove a license type
+   * @param {string} name - Type identifier
+   * @returns {boolean} True when a type was removed
+   */
+  unregister(name) {
+    return this.types.delete(name);
+  }
+
+  /**
+   * @param {string} name - Type identifier
+   * @returns {boolean} True when the type is registered
+   */
+  has(name) {
+    return this.types.has(name);
+  }
+
+  /**
+   * @param {string} name - Type identifier
+   * @returns {Object} License type definition
+   */
+  get(name) {
+    const definition = this.types.get(name);
+    if (!definition) {
+      throw new Error(`Unsupported license type: ${name}`);
+    }
+    return definition;
+  }
+
+  /**
+   * @returns {Array} Registered type identifiers
+   */
+  list() {
+    return Array.from(this.types.keys());
+  }
+
+  /**
+   * Whether every clause of a license is registered
+   * @param {Object} license - License object
+   * @returns {boolean} True when all clause types are known
+   */
+  isSupported(license) {
+    const clauses = getClauses(license);
+    return clauses.length > 0 && clauses.every((name) => this.has(name));
+  }
+
+  /**
+   * Legal text for a type
+   * @param {string} name - Type identifier
+   * @returns {string} License text
+   */
+  getText(name) {
+    return this.get(name).text;
+  }
+
+  /**
+   * Legal text for a license, one sentence block per clause
+   * Licenses with unregistered clauses get a generic notice
+   * @param {Object} license - License object
+   * @returns {string} License text
+   */
+  getLicenseText(license) {
+    if (!this.isSupported(license)) {
+      return 'Custom data protection license applied.';
+    }
+    return getClauses(license).map((name) => this.getText(name)).join(' ');
+  }
+
+  /**
+   * robots.txt policy for a license
+   * Clause rules are combined per user agent (rules a clause writes before any
+   * User-agent line apply to "*"). Licenses reserving TDM rights through their
+   * restrictions also disallow the catalogued AI training crawlers
+   * @param {Object} license - License object
+   * @returns {Object} { comments, groups: [{ userAgents, rules: [{ directive, value }] }] }
+   */
+  getRobotsPolicy(license) {
+    const comments = [];
+    const groups = [];
+
+    getClauses(license).forEach((name) => {
+      if (!this.has(name)) {
+        comments.push('# Custom restrictions apply');
+        return;
+      }
+      const document = parseRobotsTxt(this.get(name).robots(license).join('\n'));
+      comments.push(...document.lines.filter((line) => line.type === 'comment').map((line) => line.raw.trim()));
+      groups.push(...getRobotsGroups(document));
+    });
+
+    if (this.reservesTDM(license)) {
+      groups.push({
+        userAgents: getAICrawlers(['ai-training']).map((crawler) => crawler.token),
+        rules: [{ directive: 'disallow', value: '/' }],
+      });
+    }
+
+    return {
+      comments: comments.filter((comment, index) => comments.indexOf(comment) === index),
+      groups: compactRobotsGroups(groups),
+    };
+  }
+
+  /**
+   * robots.txt lines for a license: comments, then one group per set of
+   * user agents sharing the same rules
+   * @param {Object} license - License object
+   * @returns {Array} robots.txt lines
+   */
+  getRobotsRules(license) {
+    const { comments, groups } = this.getRobotsPolicy(license);
+    return [...comments, ...formatRobotsGroups(groups)];
+  }
+
+  /**
+   * Extra JSON-LD properties for a license
+   * Properties set by several clauses are combined into an array
+   * @param {Object} license - License object
+   * @returns {Object} JSON-LD properties
+   */
+  getJSONLD(license) {
+    return getClauses(license).reduce((merged, name) => {
+      const { jsonLD } = this.get(name);
+      const properties = typeof jsonLD === 'function' ? jsonLD(license) : jsonLD;
+
+      return Object.entries(properties).reduce((combined, [key, value]) => {
+        if (!(key in combined)) {
+          return { ...combined, [key]: value };
+        }
+        const values = [].concat(combined[key], value);
+        return { ...combined, [key]: values.filter((item, index) => values.indexOf(item) === index) };
+      }, merged);
+    }, {});
+  }
+
+  /**
+   * Whether a license reserves text and data mining rights (TDM reservation),
+   * through one of its clauses or restrictions that forbid mining purposes
+   * @param {Object} license - License object
+   * @returns {boolean} True when TDM rights are reserved
+   */
+  reservesTDM(license) {
+    const restrictions = license.restrictions || {};
+    const purposes = restrictions.purposes || {};
+
+    if (getClauses(license).some((name) => this.has(name) && this.get(name).tdmReservation === true)) {
+      return true;
+    }
+    if (['ai_training', 'machine_learning', 'data_mining'].some((flag) => restrictions[flag] === false)) {
+      return true;
+    }
+    return TDM_PURPOSES.some((purpose) => (
+      (purposes.denied && purposes.denied.includes(purpose))
+      || (purposes.allowed && !purposes.allowed.includes(purpose))
+    ));
+  }
+
+  /**
+   * Run the compliance evaluator of every clause
+   * @param {Object} license - License object
+   * @param {Object} accessDetails - Access attempt details
+   * @returns {Array} Per-clause results with type, compliant and violations
+   */
+  evaluateClauses(license, accessDetails) {
+    return getClauses(license).map((name) => {
+      const violations = this.get(name).evaluate(license, accessDetails) || [];
+      return { type: name, compliant: violations.length === 0, violations };
+    });
+  }
+
+  /**
+   * Run the compliance evaluator of every clause
+   * @param {Object} license - License object
+   * @param {Object} accessDetails - Access attempt details
+   * @returns {Array} Violation messages
+   */
+  evaluate(license, accessDetails) {
+    return this.evaluateClauses(license, accessDetails)
+      .reduce((violations, clause) => violations.concat(clause.violations), []);
+  }
+}
+
+// Shared registry: types registered here are seen by every subsystem using the default
+const defaultRegistry = new LicenseTypeRegistry();
+
+module.exports = {
+  COMPOSITE_LICENSE_TYPE,
+  getClauses,
+  describeLicense,
+  LicenseTypeRegistry,
+  defaultRegistry,
+  BUILT_IN_LICENSE_TYPES,
+};
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+
+// Domain separation prefixes keep leaf hashes from colliding with interior nodes
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+function hashNode(left, right) {
+  return crypto.createHash('sha256')
+    .update(NODE_PREFIX)
+    .update(Buffer.from(left, 'hex'))
+    .update(Buffer.from(right, 'hex'))
+    .digest('hex');
+}
+
+function buildLevels(leaves) {
+  const levels = [leaves];
+
+  while (levels[levels.length - 1].length > 1) {
+    const current = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < current.length; i += 2) {
+      next.push(i + 1 < current.length ? hashNode(current[i], current[i + 1]) : current[i]);
+    }
+    levels.push(next);
+  }
+
+  return levels;
+}
+
+/**
+ * Merkle Tree
+ * Binary SHA-256 tree over dataset files; an unpaired node is promoted
+ * to the next level unchanged
+ */
+class MerkleTree {
+  /**
+   * @param {Array} leaves - Hex encoded leaf hashes (see MerkleTree.hashLeaf)
+   */
+  constructor(leaves = []) {
+    this.leaves = leaves.slice();
+    this.levels = buildLevels(this.leaves);
+  }
+
+  /**
+   * Hash a dataset file into a leaf, binding its relative path to its content hash
+   * @param {string} filePath - POSIX-style relative path within the dataset
+   * @param {string} contentHash - Hex SHA-256 of the file content
+   * @returns {string} Hex leaf hash
+   */
+  static hashLeaf(filePath, contentHash) {
+    return crypto.createHash('sha256')
+      .update(LEAF_PREFIX)
+      .update(Buffer.from(filePath, 'utf8'))
+      .update(LEAF_PREFIX)
+      .update(Buffer.from(contentHash, 'hex'))
+      .digest('hex');
+  }
+
+  /**
+   * Hash two child nodes into their parent
+   * @param {string} left - Hex left child
+   * @param {string} right - Hex right child
+   * @returns {string} Hex parent hash
+   */
+  static hashNode(left, right) {
+    return hashNode(left, right);
+  }
+
+  /**
+   * Check an inclusion proof against a root
+   * @param {string} leaf - Hex leaf hash
+   * @param {Array} proof - Sibling hashes from getProof()
+   * @param {string} root - Expected hex root
+   * @returns {boolean} True when the proof leads from leaf to root
+   */
+  static verifyProof(leaf, proof, root) {
+    try {
+      const computed = proof.reduce((current, step) => (
+        step.position === 'left'
+          ? MerkleTree.hashNode(step.hash, current)
+          : MerkleTree.hashNode(current, step.hash)
+      ), leaf);
+      return computed === root;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Root hash of the tree
+   * @returns {string} Hex root (SHA-256 of the empty string for an empty tree)
+   */
+  getRoot() {
+    if (this.leaves.length === 0) {
+      return crypto.createHash('sha256').update('').digest('hex');
+    }
+    return this.levels[this.levels.length - 1][0];
+  }
+
+  /**
+   * Sibling path from a leaf to the root
+   * @param {number} index - Leaf index
+   * @returns {Array} Proof steps with sibling position and hash
+   */
+  getProof(index) {
+    if (index < 0 || index >= this.leaves.length) {
+      throw new Error(`Leaf index out of range: ${index}`);
+    }
+
+    const proof = [];
+    let position = index;
+
+    for (let level = 0; level < this.levels.length - 1; level += 1) {
+      const nodes = this.levels[level];
+      const siblingIndex = position % 2 === 0 ? position + 1 : position - 1;
+
+      // Unpaired nodes are promoted without a sibling
+      if (siblingIndex < nodes.length) {
+        proof.push({
+          position: siblingIndex < position ? 'left' : 'right',
+          hash: nodes[siblingIndex],
+        });
+      }
+      position = Math.floor(position / 2);
+    }
+
+    return proof;
+  }
+}
+
+module.exports = MerkleTree;
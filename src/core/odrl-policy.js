@@ -0,0 +1,504 @@
+const { defaultRegistry, getClauses } = require('./license-types');
+
+const ODRL_CONTEXT = 'http://www.w3.org/ns/odrl.jsonld';
+const ODRL_NAMESPACE = 'http://www.w3.org/ns/odrl/2/';
+const DPL_NAMESPACE = 'https://data-protection.org/odrl/';
+const TDM_NAMESPACE = 'http://www.w3.org/ns/tdmrep#';
+const DPL_PROFILE = 'https://data-protection.org/odrl/profile/v1';
+const CONTENT_TARGET_PREFIX = 'urn:dpl:content:';
+const CREATOR_PARTY_PREFIX = 'urn:dpl:party:';
+
+// Purpose flags are prohibited one purpose at a time (operator eq); denied purposes use isAnyOf
+const PURPOSE_FLAGS = {
+  ai_training: 'ai-training',
+  machine_learning: 'machine-learning',
+  data_mining: 'data-mining',
+};
+
+// Boolean restrictions mapped to an ODRL action: false prohibits it, true permits it
+const ACTION_FLAGS = {
+  commercial_use: 'commercialize',
+  monetization: 'sell',
+  derivative_works: 'derive',
+  modification_allowed: 'modify',
+};
+
+// Boolean restrictions that add a duty to the use permission when true
+const DUTY_FLAGS = {
+  share_alike: 'nextPolicy',
+  access_logging: 'dpl:logAccess',
+  nda_required: 'dpl:signNDA',
+  pre_approval_required: 'obtainConsent',
+  use_case_review: 'dpl:reviewUseCase',
+  bias_testing_required: 'dpl:biasTesting',
+  deployment_approval: 'dpl:approveDeployment',
+};
+const APPROVAL_DUTIES = ['obtainConsent', 'dpl:reviewUseCase', 'dpl:biasTesting', 'dpl:approveDeployment'];
+
+// Allow/deny lists and the constraint left operand they map to
+const LIST_OPERANDS = {
+  purposes: 'purpose',
+  users: 'recipient',
+  territories: 'spatial',
+  model_types: 'dpl:modelType',
+};
+
+// Restrictions carried as policy metadata
+const POLICY_PROPERTIES = {
+  schema_version: 'dpl:restrictionSchemaVersion',
+  confidentiality_level: 'dpl:confidentialityLevel',
+  approval_authority: 'dpl:approvalAuthority',
+  external_system_id: 'dpl:externalSystemId',
+  webhook_url: 'dpl:webhookUrl',
+};
+
+const RATE_UNITS = {
+  second: 'dpl:perSecond',
+  minute: 'dpl:perMinute',
+  hour: 'dpl:perHour',
+  day: 'dpl:perDay',
+};
+
+function asArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function getId(value) {
+  return value && typeof value === 'object' ? value['@id'] || value.uid : value;
+}
+
+function getPartyName(party) {
+  if (!party) {
+    return undefined;
+  }
+  if (typeof party === 'object') {
+    return party['dct:title'] || party['vcard:fn'] || getPartyName(party.uid || party['@id']);
+  }
+  return party.startsWith(CREATOR_PARTY_PREFIX)
+    ? decodeURIComponent(party.slice(CREATOR_PARTY_PREFIX.length))
+    : party;
+}
+
+function normalizeTerm(term) {
+  const id = getId(term && term['rdf:value'] ? term['rdf:value'] : term) || '';
+  if (id.startsWith(ODRL_NAMESPACE)) {
+    return id.slice(ODRL_NAMESPACE.length);
+  }
+  if (id.startsWith(DPL_NAMESPACE)) {
+    return `dpl:${id.slice(DPL_NAMESPACE.length)}`;
+  }
+  if (id.startsWith(TDM_NAMESPACE)) {
+    return `tdm:${id.slice(TDM_NAMESPACE.length)}`;
+  }
+  return id.startsWith('odrl:') ? id.slice('odrl:'.length) : id;
+}
+
+function normalizeConstraint(constraint) {
+  const value = (operand) => (operand && typeof operand === 'object' && !Array.isArray(operand)
+    ? operand['@value'] || operand['@id']
+    : operand);
+  const rightOperand = Array.isArray(constraint.rightOperand)
+    ? constraint.rightOperand.map(value)
+    : value(constraint.rightOperand);
+
+  return {
+    ...constraint,
+    leftOperand: normalizeTerm(constraint.leftOperand),
+    operator: normalizeTerm(constraint.operator),
+    rightOperand,
+  };
+}
+
+function normalizeRule(rule) {
+  const {
+    action, constraint, refinement, duty, ...properties
+  } = typeof rule === 'string' ? { action: rule } : rule;
+  return {
+    action: normalizeTerm(Array.isArray(action) ? action[0] : action),
+    constraints: asArray(constraint).map(normalizeConstraint),
+    duties: asArray(duty).map(normalizeRule),
+    properties,
+  };
+}
+
+function buildRule(action, constraints = [], duties = []) {
+  return {
+    action,
+    ...(constraints.length > 0 ? { constraint: constraints } : {}),
+    ...(duties.length > 0 ? { duty: duties } : {}),
+  };
+}
+
+// Prohibitions and duties declared by the clauses' registry mappings, without repeats
+function getTypeRules(licenseTypes, clauses) {
+  const mappings = clauses.map((name) => (licenseTypes.has(name) ? licenseTypes.get(name).odrl || {} : {}));
+  const collect = (field) => mappings
+    .reduce((all, odrl) => all.concat(odrl[field] || []), [])
+    .filter((action, index, all) => all.indexOf(action) === index);
+  return { prohibitions: collect('prohibitions'), duties: collect('duties') };
+}
+
+function buildUseConstraints(restrictions) {
+  const constraints = [];
+
+  Object.entries(LIST_OPERANDS).forEach(([key, leftOperand]) => {
+    if (restrictions[key] && restrictions[key].allowed) {
+      constraints.push({ leftOperand, operator: 'isAnyOf', rightOperand: restrictions[key].allowed });
+    }
+  });
+  if (restrictions.authorized_users) {
+    constraints.push({
+      leftOperand: 'dpl:authorizedUser', operator: 'isAnyOf', rightOperand: restrictions.authorized_users,
+    });
+  }
+  if (restrictions.data_residency) {
+    constraints.push({ leftOperand: 'spatial', operator: 'eq', rightOperand: restrictions.data_residency });
+  }
+  if (restrictions.rate_limit) {
+    const [limit, unit] = restrictions.rate_limit.split('/');
+    constraints.push({
+      leftOperand: 'count', operator: 'lteq', rightOperand: Number(limit), unit: RATE_UNITS[unit],
+    });
+  }
+  return constraints;
+}
+
+function buildDuties(restrictions, typeDuties) {
+  const duties = typeDuties.map((action) => ({ action }));
+  const addDuty = (action, properties = {}) => {
+    const existing = duties.find((duty) => duty.action === action);
+    if (existing) {
+      Object.assign(existing, properties);
+    } else {
+      duties.push({ action, ...properties });
+    }
+  };
+
+  const attribution = restrictions.attribution || {};
+  const format = attribution.format || restrictions.citation_format;
+  const attributionRequired = attribution.required === true || restrictions.attribution_required === true;
+  if (attributionRequired || duties.some((duty) => duty.action === 'attribute')) {
+    addDuty('attribute', {
+      ...(format ? { 'dpl:citationFormat': format } : {}),
+      ...(attribution.url ? { 'dpl:attributionUrl': attribution.url } : {}),
+    });
+  }
+  Object.entries(DUTY_FLAGS).forEach(([flag, action]) => {
+    if (restrictions[flag] === true) {
+      addDuty(action);
+    }
+  });
+
+  if (!restrictions.approval_authority) {
+    return duties;
+  }
+  return duties.map((duty) => (APPROVAL_DUTIES.includes(duty.action)
+    ? { ...duty, consentingParty: restrictions.approval_authority }
+    : duty));
+}
+
+function buildProhibitions(restrictions, typeProhibitions) {
+  const prohibitions = typeProhibitions.map((action) => buildRule(action));
+
+  Object.entries(PURPOSE_FLAGS).forEach(([flag, purpose]) => {
+    if (restrictions[flag] === false) {
+      prohibitions.push(buildRule('use', [{ leftOperand: 'purpose', operator: 'eq', rightOperand: purpose }]));
+    }
+  });
+  Object.entries(LIST_OPERANDS).forEach(([key, leftOperand]) => {
+    if (restrictions[key] && restrictions[key].denied) {
+      const constraint = { leftOperand, operator: 'isAnyOf', rightOperand: restrictions[key].denied };
+      prohibitions.push(buildRule('use', [constraint]));
+    }
+  });
+  Object.entries(ACTION_FLAGS).forEach(([flag, action]) => {
+    if (restrictions[flag] === false && !typeProhibitions.includes(action)) {
+      prohibitions.push(buildRule(action));
+    }
+  });
+  return prohibitions;
+}
+
+function resolvePolicyClauses(licenseTypes, policy, prohibitions, duties) {
+  if (policy['dpl:clauses']) {
+    return asArray(policy['dpl:clauses']);
+  }
+
+  const prohibited = prohibitions.filter((rule) => rule.constraints.length === 0).map((rule) => rule.action);
+  const required = duties.map((duty) => duty.action);
+  const clauses = licenseTypes.list().filter((name) => {
+    const odrl = licenseTypes.get(name).odrl || {};
+    const actions = [...(odrl.prohibitions || []), ...(odrl.duties || [])];
+    return actions.length > 0
+      && (odrl.prohibitions || []).every((action) => prohibited.includes(action))
+      && (odrl.duties || []).every((action) => required.includes(action));
+  });
+
+  if (clauses.length === 0) {
+    throw new Error('ODRL policy does not match any registered license type');
+  }
+  return clauses;
+}
+
+// The parse helpers below return the restrictions with their rules applied
+function parseUseConstraint(constraint, restrictions, unmapped) {
+  const { leftOperand, operator, rightOperand } = constraint;
+  const listKey = Object.keys(LIST_OPERANDS).find((key) => LIST_OPERANDS[key] === leftOperand);
+
+  if (leftOperand === 'spatial' && operator === 'eq') {
+    return { ...restrictions, data_residency: rightOperand };
+  }
+  if (listKey && (operator === 'isAnyOf' || operator === 'eq')) {
+    return { ...restrictions, [listKey]: { ...restrictions[listKey], allowed: [].concat(rightOperand) } };
+  }
+  if (leftOperand === 'dpl:authorizedUser' && operator === 'isAnyOf') {
+    return { ...restrictions, authorized_users: [].concat(rightOperand) };
+  }
+  if (leftOperand === 'count' && operator === 'lteq') {
+    const unit = Object.keys(RATE_UNITS).find((key) => RATE_UNITS[key] === constraint.unit) || 'day';
+    return { ...restrictions, rate_limit: `${rightOperand}/${unit}` };
+  }
+  unmapped.push(`use constraint ${leftOperand} ${operator}`);
+  return restrictions;
+}
+
+function parseUseConstraints(usePermissions, restrictions, unmapped) {
+  const windows = [];
+  let parsed = restrictions;
+
+  usePermissions.forEach((rule, index) => {
+    const window = {};
+    rule.constraints.forEach((constraint) => {
+      const { leftOperand, operator, rightOperand } = constraint;
+      if (leftOperand === 'dateTime' && (operator === 'gteq' || operator === 'gt')) {
+        window.start = rightOperand;
+      } else if (leftOperand === 'dateTime' && (operator === 'lteq' || operator === 'lt')) {
+        window.end = rightOperand;
+      } else if (index === 0) {
+        // Every use permission carries the same constraints apart from its time window
+        parsed = parseUseConstraint(constraint, parsed, unmapped);
+      }
+    });
+
+    if (window.start && window.end) {
+      windows.push(window);
+    } else if (window.start || window.end) {
+      unmapped.push('use permission with an open-ended dateTime constraint');
+    }
+  });
+
+  return windows.length > 0 ? { ...parsed, time_windows: windows } : parsed;
+}
+
+function parseDuties(duties, restrictions, unmapped) {
+  return duties.reduce((parsed, duty) => {
+    const flag = Object.keys(DUTY_FLAGS).find((key) => DUTY_FLAGS[key] === duty.action);
+    let applied;
+    if (duty.action === 'attribute') {
+      applied = {
+        ...parsed,
+        attribution: {
+          required: true,
+          ...(duty.properties['dpl:citationFormat'] ? { format: duty.properties['dpl:citationFormat'] } : {}),
+          ...(duty.properties['dpl:attributionUrl'] ? { url: duty.properties['dpl:attributionUrl'] } : {}),
+        },
+      };
+    } else if (flag) {
+      applied = { ...parsed, [flag]: true };
+    } else {
+      unmapped.push(`duty ${duty.action}`);
+      return parsed;
+    }
+
+    if (duty.properties.consentingParty && !applied.approval_authority) {
+      applied.approval_authority = getPartyName(duty.properties.consentingParty);
+    }
+    return applied;
+  }, restrictions);
+}
+
+function parseProhibitions(prohibitions, restrictions, unmapped) {
+  return prohibitions.reduce((parsed, rule) => {
+    const [constraint, ...others] = rule.constraints;
+    const actionFlag = Object.keys(ACTION_FLAGS).find((key) => ACTION_FLAGS[key] === rule.action);
+
+    if (!constraint && actionFlag) {
+      return { ...parsed, [actionFlag]: false };
+    }
+    if (rule.action !== 'use' || !constraint || others.length > 0) {
+      unmapped.push(`prohibition ${rule.action}`);
+      return parsed;
+    }
+
+    const purposeFlag = Object.keys(PURPOSE_FLAGS).find((key) => PURPOSE_FLAGS[key] === constraint.rightOperand);
+    const listKey = Object.keys(LIST_OPERANDS).find((key) => LIST_OPERANDS[key] === constraint.leftOperand);
+    if (constraint.leftOperand === 'purpose' && constraint.operator === 'eq' && purposeFlag) {
+      return { ...parsed, [purposeFlag]: false };
+    }
+    if (listKey && (constraint.operator === 'isAnyOf' || constraint.operator === 'eq')) {
+      const denied = ((parsed[listKey] || {}).denied || []).concat(constraint.rightOperand);
+      return { ...parsed, [listKey]: { ...parsed[listKey], denied } };
+    }
+    unmapped.push(`prohibition use ${constraint.leftOperand} ${constraint.operator}`);
+    return parsed;
+  }, restrictions);
+}
+
+/**
+ * ODRL Policy
+ * Maps licenses to ODRL 2.2 policies and back. License types contribute the
+ * prohibitions and duties declared in their registry `odrl` mapping; restrictions
+ * become constraints on the use permission, prohibitions and duties.
+ * Policies list their clauses in dpl:clauses; for policies authored elsewhere
+ * the clauses are detected from the registry mappings
+ */
+class OdrlPolicy {
+  /**
+   * @param {LicenseTypeRegistry} licenseTypes - License type registry (shared default when omitted)
+   */
+  constructor(licenseTypes = defaultRegistry) {
+    this.licenseTypes = licenseTypes;
+  }
+
+  /**
+   * Serialize a license as an ODRL offer
+   * @param {Object} license - License object
+   * @param {Object} jsonLD - JSON-LD metadata from generateJSONLD (name, url and text)
+   * @returns {Object} ODRL policy
+   */
+  serialize(license, jsonLD) {
+    const restrictions = license.restrictions || {};
+    const clauses = getClauses(license);
+    const typeRules = getTypeRules(this.licenseTypes, clauses);
+
+    const duties = buildDuties(restrictions, typeRules.duties);
+    const constraints = buildUseConstraints(restrictions);
+    const windows = restrictions.time_windows || [null];
+    const usePermissions = windows.map((window) => buildRule('use', [
+      ...constraints,
+      ...(window ? [
+        { leftOperand: 'dateTime', operator: 'gteq', rightOperand: window.start },
+        { leftOperand: 'dateTime', operator: 'lteq', rightOperand: window.end },
+      ] : []),
+    ], duties));
+
+    const permittedActions = Object.entries(ACTION_FLAGS)
+      .filter(([flag]) => restrictions[flag] === true)
+      .map(([, action]) => buildRule(action));
+
+    const metadata = {};
+    Object.entries(POLICY_PROPERTIES).forEach(([key, property]) => {
+      if (restrictions[key] !== undefined) {
+        metadata[property] = restrictions[key];
+      }
+    });
+
+    return {
+      '@context': [ODRL_CONTEXT, { dpl: DPL_NAMESPACE, tdm: TDM_NAMESPACE, dct: 'http://purl.org/dc/terms/' }],
+      '@type': 'Offer',
+      uid: jsonLD.license.url,
+      profile: DPL_PROFILE,
+      'dct:title': jsonLD.license.name,
+      'dct:description': jsonLD.license.text,
+      'dct:issued': license.createdAt,
+      'dpl:licenseId': license.id,
+      'dpl:licenseHash': license.hash,
+      'dpl:clauses': clauses,
+      ...(license.notBefore ? { 'dpl:validFrom': license.notBefore } : {}),
+      ...(license.expirationDate ? { 'dpl:validThrough': license.expirationDate } : {}),
+      ...metadata,
+      assigner: {
+        '@type': 'Party',
+        uid: `${CREATOR_PARTY_PREFIX}${encodeURIComponent(license.creator || '')}`,
+        'dct:title': license.creator,
+      },
+      target: `${CONTENT_TARGET_PREFIX}${license.content}`,
+      permission: [...usePermissions, ...permittedActions],
+      prohibition: buildProhibitions(restrictions, typeRules.prohibitions),
+    };
+  }
+
+  /**
+   * Parse an ODRL policy into license options for generateLicense
+   * @param {Object} policy - ODRL policy (Set, Offer or Agreement)
+   * @param {Object} options - Parse options
+   * @param {boolean} options.strict - Reject rules that do not map to license terms (default true)
+   * @returns {Object} { type, creator, contentDigest, restrictions, notBefore, expirationDate, unmapped }
+   */
+  parse(policy, options = {}) {
+    const { strict = true } = options;
+    if (!policy || typeof policy !== 'object' || (!policy.permission && !policy.prohibition && !policy.obligation)) {
+      throw new Error('Not an ODRL policy: expected permission, prohibition or obligation rules');
+    }
+
+    const unmapped = [];
+    const permissions = asArray(policy.permission).map(normalizeRule);
+    const prohibitions = asArray(policy.prohibition).map(normalizeRule);
+    const obligations = asArray(policy.obligation).map(normalizeRule);
+    const usePermissions = permissions.filter((rule) => rule.action === 'use');
+    const duties = [
+      ...usePermissions.reduce((all, rule) => all.concat(rule.duties), []),
+      ...obligations,
+    ];
+
+    // Clauses are consumed first; the remaining rules become restrictions
+    const clauses = resolvePolicyClauses(this.licenseTypes, policy, prohibitions, duties);
+    const typeRules = getTypeRules(this.licenseTypes, clauses);
+    const remainingProhibitions = prohibitions.filter((rule) => (
+      rule.constraints.length > 0 || !typeRules.prohibitions.includes(rule.action)
+    ));
+    // Attribution details stay restrictions even when a clause requires the attribution itself
+    const remainingDuties = duties.filter((duty) => !typeRules.duties.includes(duty.action)
+      || duty.properties['dpl:citationFormat'] || duty.properties['dpl:attributionUrl']);
+
+    const restrictions = parseProhibitions(
+      remainingProhibitions,
+      parseDuties(remainingDuties, parseUseConstraints(usePermissions, {}, unmapped), unmapped),
+      unmapped,
+    );
+
+    permissions.filter((rule) => rule.action !== 'use').forEach((rule) => {
+      const flag = Object.keys(ACTION_FLAGS).find((key) => ACTION_FLAGS[key] === rule.action);
+      if (flag && rule.constraints.length === 0) {
+        restrictions[flag] = true;
+      } else {
+        unmapped.push(`permission ${rule.action}`);
+      }
+    });
+
+    Object.entries(POLICY_PROPERTIES).forEach(([key, property]) => {
+      if (policy[property] !== undefined) {
+        restrictions[key] = policy[property];
+      }
+    });
+
+    if (strict && unmapped.length > 0) {
+      const error = new Error(`ODRL policy has rules that do not map to license terms: ${unmapped.join('; ')}`);
+      error.code = 'UNMAPPED_ODRL_RULES';
+      error.details = unmapped;
+      throw error;
+    }
+
+    const target = getId(Array.isArray(policy.target) ? policy.target[0] : policy.target);
+    return {
+      type: clauses,
+      creator: getPartyName(policy.assigner),
+      contentDigest: target && target.startsWith(CONTENT_TARGET_PREFIX)
+        ? target.slice(CONTENT_TARGET_PREFIX.length)
+        : null,
+      restrictions,
+      notBefore: policy['dpl:validFrom'] || null,
+      expirationDate: policy['dpl:validThrough'] || null,
+      unmapped,
+    };
+  }
+}
+
+module.exports = {
+  ODRL_CONTEXT,
+  DPL_PROFILE,
+  OdrlPolicy,
+};
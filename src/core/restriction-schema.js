@@ -0,0 +1,292 @@
+const Joi = require('joi');
+const LicenseGrants = require('./license-grants');
+const { PURPOSES, MODEL_TYPES } = require('./restriction-vocabulary');
+
+const CURRENT_RESTRICTION_SCHEMA_VERSION = 1;
+
+// Flags that forbid a purpose when set to false
+const PURPOSE_FLAGS = {
+  ai_training: 'ai-training',
+  machine_learning: 'machine-learning',
+  data_mining: 'data-mining',
+};
+
+// License type (clause) a grant must cover to lift a purpose restriction;
+// other purposes are only lifted by grants not scoped to clauses
+const PURPOSE_CLAUSES = {
+  'ai-training': 'do-not-train',
+  'machine-learning': 'do-not-train',
+  'fine-tuning': 'do-not-train',
+  'data-mining': 'do-not-train',
+  commercial: 'commercial-restrictions',
+  deployment: 'pre-clearance',
+};
+
+const allowDenyList = (item) => Joi.object({
+  allowed: Joi.array().items(item).unique(),
+  denied: Joi.array().items(item).unique(),
+});
+
+const territory = Joi.string().pattern(/^[A-Z]{2}$/).message('{{#label}} must be an ISO 3166-1 alpha-2 code');
+
+/**
+ * Restriction schema, version 1
+ * Unknown keys are rejected so typos surface at generation time
+ */
+const restrictionSchemaV1 = Joi.object({
+  schema_version: Joi.number().valid(1),
+
+  // Purposes
+  purposes: allowDenyList(Joi.string().valid(...PURPOSES)),
+  ai_training: Joi.boolean(),
+  machine_learning: Joi.boolean(),
+  data_mining: Joi.boolean(),
+
+  // Commercial use and derivatives
+  commercial_use: Joi.boolean(),
+  monetization: Joi.boolean(),
+  derivative_works: Joi.boolean(),
+  modification_allowed: Joi.boolean(),
+  share_alike: Joi.boolean(),
+
+  // Users
+  users: allowDenyList(Joi.string().min(1)),
+  authorized_users: Joi.array().items(Joi.string().min(1)).unique(),
+
+  // Territories
+  territories: allowDenyList(territory),
+  data_residency: territory,
+
+  // Time windows (access is permitted inside any of them)
+  time_windows: Joi.array().items(Joi.object({
+    start: Joi.string().isoDate().required(),
+    end: Joi.string().isoDate().required(),
+  }).custom((window, helpers) => (
+    new Date(window.end) > new Date(window.start) ? window : helpers.error('any.invalid')
+  )).messages({ 'any.invalid': '{{#label}} must end after it starts' })).min(1),
+
+  // Model types
+  model_types: allowDenyList(Joi.string().valid(...MODEL_TYPES)),
+
+  // Attribution
+  attribution: Joi.object({
+    required: Joi.boolean().required(),
+    format: Joi.string().min(1),
+    url: Joi.string().uri(),
+  }),
+  attribution_required: Joi.boolean(),
+  citation_format: Joi.string().min(1),
+
+  // Confidentiality and approvals
+  nda_required: Joi.boolean(),
+  confidentiality_level: Joi.string().valid('low', 'medium', 'high'),
+  access_logging: Joi.boolean(),
+  pre_approval_required: Joi.boolean(),
+  approval_authority: Joi.string().min(1), // contact for approvals, which are issued as grants
+  use_case_review: Joi.boolean(),
+  bias_testing_required: Joi.boolean(),
+  deployment_approval: Joi.boolean(),
+
+  // Usage limits
+  rate_limit: Joi.string().pattern(/^\d+\/(second|minute|hour|day)$/).message('{{#label}} must look like "1000/hour"'),
+
+  // Integration metadata, carried for external systems and not evaluated
+  external_system_id: Joi.string().min(1),
+  webhook_url: Joi.string().uri({ scheme: ['https'] }),
+});
+
+const RESTRICTION_SCHEMAS = {
+  1: restrictionSchemaV1,
+};
+
+/**
+ * Validate license restrictions against their schema version
+ * @param {Object} restrictions - License restrictions
+ * @returns {Object} { valid, version, errors: [{ field, message, type }] }
+ */
+function validateRestrictions(restrictions) {
+  if (restrictions === null || typeof restrictions !== 'object' || Array.isArray(restrictions)) {
+    return {
+      valid: false,
+      version: null,
+      errors: [{ field: 'restrictions', message: '"restrictions" must be an object', type: 'object.base' }],
+    };
+  }
+
+  const version = restrictions.schema_version || CURRENT_RESTRICTION_SCHEMA_VERSION;
+  const schema = RESTRICTION_SCHEMAS[version];
+  if (!schema) {
+    return {
+      valid: false,
+      version,
+      errors: [{
+        field: 'schema_version',
+        message: `Unsupported restriction schema version: ${version}`,
+        type: 'any.only',
+      }],
+    };
+  }
+
+  const { error } = schema.validate(restrictions, { abortEarly: false, convert: false });
+  const errors = error
+    ? error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      type: detail.type,
+    }))
+    : [];
+
+  return { valid: errors.length === 0, version, errors };
+}
+
+/**
+ * Validate restrictions and throw with field-level details when invalid
+ * @param {Object} restrictions - License restrictions
+ * @throws {Error} Error with code INVALID_RESTRICTIONS and a details array
+ */
+function assertValidRestrictions(restrictions) {
+  const result = validateRestrictions(restrictions);
+  if (!result.valid) {
+    const error = new Error(`Invalid restrictions: ${result.errors.map((detail) => detail.message).join('; ')}`);
+    error.code = 'INVALID_RESTRICTIONS';
+    error.details = result.errors;
+    throw error;
+  }
+}
+
+function checkAllowDeny(list, value, label) {
+  if (!list) {
+    return [];
+  }
+  if (list.denied && list.denied.includes(value)) {
+    return [`${label} denied: ${value}`];
+  }
+  if (list.allowed && !list.allowed.includes(value)) {
+    return [`${label} not permitted: ${value || 'unspecified'}`];
+  }
+  return [];
+}
+
+/**
+ * Check an access attempt against every restriction key
+ * Approvals (NDA, pre-approval, use case review, deployment) are proven by
+ * accessDetails.grant, an issuer grant already verified to cover the access.
+ * A grant lifts a check only when its scope includes the clause behind the
+ * check and its purposes include the requested purpose
+ * @param {Object} restrictions - License restrictions
+ * @param {Object} accessDetails - Access attempt (purpose, user, territory, model_type,
+ *   timestamp, commercial, monetized, derivative, modified, share_alike, attribution,
+ *   logged, request_count within the rate limit window, grant)
+ * @returns {Array} Violation messages
+ */
+function evaluateRestrictions(restrictions = {}, accessDetails = {}) {
+  const violations = [];
+  const { purpose, user, territory: accessTerritory } = accessDetails;
+  const modelType = accessDetails.model_type;
+  const at = accessDetails.timestamp ? new Date(accessDetails.timestamp) : new Date();
+  const { grant } = accessDetails;
+  const granted = (clause) => LicenseGrants.grantsClause(grant, clause) && grant.purposes.includes(purpose);
+
+  // Purposes (an issuer grant for the purpose overrides the general terms)
+  if (!granted(PURPOSE_CLAUSES[purpose])) {
+    Object.entries(PURPOSE_FLAGS).forEach(([flag, flaggedPurpose]) => {
+      if (restrictions[flag] === false && purpose === flaggedPurpose) {
+        violations.push(`Purpose not permitted: ${purpose}`);
+      }
+    });
+    violations.push(...checkAllowDeny(restrictions.purposes, purpose, 'Purpose'));
+  }
+
+  // Commercial use and derivatives
+  if (restrictions.commercial_use === false && accessDetails.commercial === true) {
+    violations.push('Commercial use not permitted');
+  }
+  if (restrictions.monetization === false && accessDetails.monetized === true) {
+    violations.push('Monetization not permitted');
+  }
+  if (restrictions.derivative_works === false && accessDetails.derivative === true) {
+    violations.push('Derivative works not permitted');
+  }
+  if (restrictions.modification_allowed === false && accessDetails.modified === true) {
+    violations.push('Modification not permitted');
+  }
+  if (restrictions.share_alike === true && accessDetails.derivative === true && accessDetails.share_alike !== true) {
+    violations.push('Derivative works must be shared under the same terms');
+  }
+
+  // Users
+  violations.push(...checkAllowDeny(restrictions.users, user, 'User'));
+  if (restrictions.authorized_users && !restrictions.authorized_users.includes(user)) {
+    violations.push(`User not authorized: ${user || 'anonymous'}`);
+  }
+
+  // Territories
+  violations.push(...checkAllowDeny(restrictions.territories, accessTerritory, 'Territory'));
+  if (restrictions.data_residency && accessTerritory !== restrictions.data_residency) {
+    violations.push(`Data must stay in ${restrictions.data_residency}`);
+  }
+
+  // Time windows
+  if (restrictions.time_windows
+    && !restrictions.time_windows.some((window) => at >= new Date(window.start) && at <= new Date(window.end))) {
+    violations.push(`Access outside permitted time windows: ${at.toISOString()}`);
+  }
+
+  // Model types
+  violations.push(...checkAllowDeny(restrictions.model_types, modelType, 'Model type'));
+
+  // Attribution
+  const attribution = restrictions.attribution || {};
+  const attributionRequired = attribution.required === true || restrictions.attribution_required === true;
+  const attributionFormat = attribution.format || restrictions.citation_format;
+  if (attributionRequired && !accessDetails.attribution) {
+    violations.push('Attribution required');
+  } else if (attributionFormat && typeof accessDetails.attribution === 'string'
+    && !accessDetails.attribution.includes(attributionFormat)) {
+    violations.push(`Attribution must use the format: ${attributionFormat}`);
+  }
+
+  // Confidentiality and approvals
+  if (restrictions.nda_required === true && !granted('nda-enforcement')) {
+    violations.push('NDA signature required: present an issuer grant');
+  }
+  if (restrictions.confidentiality_level === 'high' && !user) {
+    violations.push('Identified user required for highly confidential content');
+  }
+  if (restrictions.access_logging === true && accessDetails.logged === false) {
+    violations.push('Access logging required');
+  }
+  const contact = restrictions.approval_authority ? ` from ${restrictions.approval_authority}` : '';
+  if (restrictions.pre_approval_required === true && !granted('pre-clearance')) {
+    violations.push(`Pre-approval required: present an issuer grant${contact}`);
+  }
+  if (restrictions.use_case_review === true && purpose && !granted('pre-clearance')) {
+    violations.push(`Use case review required: present an issuer grant${contact}`);
+  }
+  if (restrictions.bias_testing_required === true && purpose === 'deployment' && !granted('pre-clearance')) {
+    violations.push(`Bias testing sign-off required before deployment: present an issuer grant${contact}`);
+  }
+  if (restrictions.deployment_approval === true && purpose === 'deployment' && !granted('pre-clearance')) {
+    violations.push(`Deployment approval required: present an issuer grant${contact}`);
+  }
+
+  // Usage limits
+  if (restrictions.rate_limit && accessDetails.request_count !== undefined) {
+    const [limit, unit] = restrictions.rate_limit.split('/');
+    if (accessDetails.request_count > Number(limit)) {
+      violations.push(`Rate limit exceeded: ${accessDetails.request_count} requests per ${unit} (limit ${limit})`);
+    }
+  }
+
+  return violations;
+}
+
+module.exports = {
+  CURRENT_RESTRICTION_SCHEMA_VERSION,
+  PURPOSES,
+  MODEL_TYPES,
+  restrictionSchemaV1,
+  validateRestrictions,
+  assertValidRestrictions,
+  evaluateRestrictions,
+};
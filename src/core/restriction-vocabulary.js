@@ -0,0 +1,34 @@
+// Purposes and model types named by restrictions and grants
+
+const PURPOSES = [
+  'ai-training',
+  'machine-learning',
+  'fine-tuning',
+  'data-mining',
+  'inference',
+  'evaluation',
+  'research',
+  'education',
+  'analytics',
+  'commercial',
+  'deployment',
+  'archiving',
+];
+
+const MODEL_TYPES = [
+  'llm',
+  'image-generation',
+  'audio-generation',
+  'video-generation',
+  'multimodal',
+  'embedding',
+  'classifier',
+  'recommendation',
+  'speech-recognition',
+  'other',
+];
+
+module.exports = {
+  PURPOSES,
+  MODEL_TYPES,
+};
@@ -0,0 +1,188 @@
+const REVOCATION_REASONS = [
+  'unspecified',
+  'key-compromise',
+  'superseded',
+  'cessation-of-operation',
+  'terms-violated',
+  'issued-in-error',
+  'creator-request',
+];
+
+function indexEntry(list, entry) {
+  list.entries.set(entry.licenseHash, entry);
+  if (entry.licenseId) {
+    list.licenseIds.set(entry.licenseId, entry);
+  }
+}
+
+function sortedEntries(list) {
+  return Array.from(list.entries.values()).sort((a, b) => a.number - b.number);
+}
+
+function buildList(list, type, entries) {
+  const thisUpdate = new Date();
+  return {
+    type,
+    number: list.number,
+    thisUpdate: thisUpdate.toISOString(),
+    nextUpdate: new Date(thisUpdate.getTime() + list.validityHours * 60 * 60 * 1000).toISOString(),
+    entries,
+  };
+}
+
+/**
+ * Revocation List
+ * CRL-style list of revoked licenses. Every revocation gets the next list
+ * number, so a consumer holding list N only needs the delta since N.
+ * Revoking a license revokes its license ID: the original and every amendment.
+ * Lists are plain JSON; sign them with LicenseGenerator.signDocument
+ */
+class RevocationList {
+  /**
+   * @param {Object} options - List configuration
+   * @param {number} options.validityHours - Hours until consumers should refresh (default 24)
+   */
+  constructor(options = {}) {
+    this.validityHours = options.validityHours || 24;
+    this.number = 0;
+    this.entries = new Map();
+    this.licenseIds = new Map();
+  }
+
+  /**
+   * Rebuild a list from stored entries
+   * @param {Array} entries - Revocation entries
+   * @param {number} number - Current list number (defaults to the highest entry number)
+   * @param {Object} options - List configuration
+   * @returns {RevocationList} List
+   */
+  static fromEntries(entries, number = 0, options = {}) {
+    const list = new RevocationList(options);
+    list.apply({ type: 'full', number, entries });
+    return list;
+  }
+
+  /**
+   * Whether a reason code is known
+   * @param {string} reason - Reason code
+   * @returns {boolean} True for supported reason codes
+   */
+  static isValidReason(reason) {
+    return REVOCATION_REASONS.includes(reason);
+  }
+
+  /**
+   * Revoke a license
+   * @param {Object} revocation - Revocation details
+   * @param {string} revocation.licenseHash - Hash of the revoked license
+   * @param {string} revocation.licenseId - License ID, when known; revokes the license's amendments too
+   * @param {string} revocation.reason - Reason code
+   * @param {string} revocation.revokedAt - ISO timestamp (default now)
+   * @param {number} revocation.number - List number to record (default next number)
+   * @returns {Object} Revocation entry (the existing one if already revoked)
+   */
+  revoke(revocation) {
+    const { licenseHash, licenseId = null, reason = 'unspecified' } = revocation;
+
+    if (!licenseHash) {
+      throw new Error('licenseHash is required to revoke a license');
+    }
+    if (!RevocationList.isValidReason(reason)) {
+      throw new Error(`Unsupported revocation reason: ${reason}`);
+    }
+    if (this.entries.has(licenseHash)) {
+      return this.entries.get(licenseHash);
+    }
+    if (licenseId && this.licenseIds.has(licenseId)) {
+      return this.licenseIds.get(licenseId);
+    }
+
+    this.number = Math.max(this.number + 1, revocation.number || 0);
+    const entry = {
+      licenseHash,
+      licenseId,
+      reason,
+      revokedAt: revocation.revokedAt || new Date().toISOString(),
+      number: this.number,
+    };
+    indexEntry(this, entry);
+    return entry;
+  }
+
+  /**
+   * Revocation source for LicenseGenerator.validateLicense
+   * Amendments are revoked along with the license they amend (same license ID)
+   * @param {Object} license - License object
+   * @returns {Object|null} Revocation entry or null
+   */
+  getRevocation(license) {
+    return this.entries.get(license.hash) || (license.id && this.licenseIds.get(license.id)) || null;
+  }
+
+  /**
+   * @param {string} licenseHash - License hash
+   * @returns {boolean} True when the license is revoked
+   */
+  isRevoked(licenseHash) {
+    return this.entries.has(licenseHash);
+  }
+
+  /**
+   * Complete list of revocations
+   * @returns {Object} Unsigned full list
+   */
+  toFullList() {
+    return buildList(this, 'full', sortedEntries(this));
+  }
+
+  /**
+   * Revocations added after a given list number
+   * @param {number} baseNumber - List number the consumer already holds
+   * @returns {Object} Unsigned delta list
+   */
+  toDeltaList(baseNumber) {
+    if (!Number.isInteger(baseNumber) || baseNumber < 0) {
+      throw new Error('Delta base number must be a non-negative integer');
+    }
+    if (baseNumber > this.number) {
+      throw new Error(`Delta base ${baseNumber} is ahead of list number ${this.number}`);
+    }
+
+    return {
+      ...buildList(this, 'delta', sortedEntries(this).filter((entry) => entry.number > baseNumber)),
+      baseNumber,
+    };
+  }
+
+  /**
+   * Apply a full or delta list received from an issuer
+   * Verify the list signature before applying it
+   * @param {Object} list - Full or delta list
+   * @returns {RevocationList} This list
+   */
+  apply(list) {
+    if (list.type === 'delta' && list.baseNumber > this.number) {
+      throw new Error(`Delta base ${list.baseNumber} is ahead of local list number ${this.number}; `
+        + 'fetch the full list');
+    }
+    if (list.type === 'full') {
+      this.entries.clear();
+      this.licenseIds.clear();
+      this.number = 0;
+    } else if (list.type !== 'delta') {
+      throw new Error(`Unsupported revocation list type: ${list.type}`);
+    }
+
+    list.entries.forEach((entry) => {
+      indexEntry(this, { ...entry });
+      this.number = Math.max(this.number, entry.number);
+    });
+    this.number = Math.max(this.number, list.number || 0);
+    return this;
+  }
+}
+
+module.exports = {
+  RevocationList,
+  REVOCATION_REASONS,
+};
@@ -0,0 +1,76 @@
+const LicenseGenerator = require('./license-generator');
+const { RevocationList } = require('./revocation-list');
+
+const generate = (generator) => generator.generateLicense({
+  type: 'do-not-train', creator: 'Ada', content: 'Protected text',
+});
+
+describe('RevocationList', () => {
+  const issuer = new LicenseGenerator();
+  const consumer = new LicenseGenerator({ trustedKeys: [issuer.getIssuerPublicKey()] });
+  let issued;
+  let list;
+
+  beforeEach(() => {
+    issued = [generate(issuer), generate(issuer), generate(issuer)];
+    list = new RevocationList();
+  });
+
+  test('a signed full list revokes licenses for a consumer that trusts the issuer', () => {
+    list.revoke({ licenseHash: issued[0].hash, licenseId: issued[0].id, reason: 'terms-violated' });
+    const signed = issuer.signDocument(list.toFullList());
+
+    expect(consumer.verifyDocument(signed)).toBe(true);
+    const received = RevocationList.fromEntries(signed.entries, signed.number);
+
+    expect(consumer.validateLicense(issued[0], { revocationSource: received })).toMatchObject({
+      valid: false, status: 'revoked', reasons: [{ code: 'REVOKED' }],
+    });
+    expect(consumer.validateLicense(issued[1], { revocationSource: received })).toMatchObject({ valid: true });
+  });
+
+  test('a consumer holding list N catches up with the signed delta since N', () => {
+    list.revoke({ licenseHash: issued[0].hash });
+    const received = RevocationList.fromEntries(list.toFullList().entries, list.number);
+    list.revoke({ licenseHash: issued[1].hash, reason: 'superseded' });
+    list.revoke({ licenseHash: issued[2].hash, reason: 'issued-in-error' });
+
+    const delta = issuer.signDocument(list.toDeltaList(received.number));
+    expect(consumer.verifyDocument(delta)).toBe(true);
+    received.apply(delta);
+
+    expect(delta.entries.map((entry) => entry.number)).toEqual([2, 3]);
+    expect(received.number).toBe(3);
+    expect(issued.every((license) => received.isRevoked(license.hash))).toBe(true);
+  });
+
+  test('rejects a signed list that had an entry removed', () => {
+    list.revoke({ licenseHash: issued[0].hash });
+    list.revoke({ licenseHash: issued[1].hash });
+    const signed = issuer.signDocument(list.toFullList());
+
+    expect(consumer.verifyDocument({ ...signed, entries: signed.entries.slice(1) })).toBe(false);
+  });
+
+  test('rejects a list signed by a key the consumer does not trust', () => {
+    list.revoke({ licenseHash: issued[0].hash });
+
+    expect(consumer.verifyDocument(new LicenseGenerator().signDocument(list.toFullList()))).toBe(false);
+  });
+
+  test('refuses a delta based on a list number the consumer does not hold', () => {
+    list.revoke({ licenseHash: issued[0].hash });
+    list.revoke({ licenseHash: issued[1].hash });
+
+    expect(() => new RevocationList().apply(list.toDeltaList(1))).toThrow('fetch the full list');
+  });
+
+  test('keeps the first revocation of a license and rejects unknown reasons', () => {
+    const first = list.revoke({ licenseHash: issued[0].hash, reason: 'superseded' });
+
+    expect(list.revoke({ licenseHash: issued[0].hash, reason: 'key-compromise' })).toBe(first);
+    expect(list.number).toBe(1);
+    expect(() => list.revoke({ licenseHash: issued[1].hash, reason: 'bored' }))
+      .toThrow('Unsupported revocation reason: bored');
+  });
+});
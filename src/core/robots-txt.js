@@ -0,0 +1,639 @@
+/**
+ * robots.txt (RFC 9309)
+ * A group is one or more User-agent lines followed by the rules that apply to
+ * the crawlers they name; a crawler obeys the groups naming it, or the "*"
+ * groups when none does. Lines are kept verbatim, each with its own line
+ * ending, so a parsed file serializes back byte for byte and merges only touch
+ * the lines they have to.
+ */
+
+const RULE_DIRECTIVES = ['allow', 'disallow'];
+const DIRECTIVE_NAMES = { allow: 'Allow', disallow: 'Disallow' };
+
+// Widely supported records outside RFC 9309
+const KNOWN_EXTENSIONS = ['crawl-delay', 'host', 'clean-param', 'request-rate', 'visit-time'];
+
+// Misspellings crawlers silently ignore
+const MISSPELLINGS = {
+  useragent: 'User-agent',
+  'user-agents': 'User-agent',
+  disalow: 'Disallow',
+  dissallow: 'Disallow',
+  dissalow: 'Disallow',
+  'dis-allow': 'Disallow',
+  allows: 'Allow',
+  sitemaps: 'Sitemap',
+  'site-map': 'Sitemap',
+};
+
+// Crawlers must parse at least this much of the file (RFC 9309 section 2.5)
+const MAX_PARSED_BYTES = 500 * 1024;
+
+const DIFF_CONTEXT_LINES = 3;
+
+// Edit distance beyond which the changed lines are shown as replaced outright
+const MAX_DIFF_EDITS = 1000;
+
+function parseLine(raw) {
+  const hash = raw.indexOf('#');
+  const content = (hash === -1 ? raw : raw.slice(0, hash)).trim();
+  if (!content) {
+    return { type: hash === -1 ? 'blank' : 'comment', key: null, value: null };
+  }
+
+  const match = content.match(/^([A-Za-z][A-Za-z0-9_-]*)\s*:\s*(.*)$/);
+  if (!match) {
+    return { type: 'invalid', key: null, value: content };
+  }
+
+  const key = match[1].toLowerCase();
+  const value = match[2].trim();
+  if (key === 'user-agent' || key === 'sitemap' || RULE_DIRECTIVES.includes(key)) {
+    return { type: key, key, value };
+  }
+  return { type: 'extension', key, value };
+}
+
+// Lines with their own line endings; a line without one (the original last line, or an added line) gets newline
+function joinLines(lines, newline, trailingNewline) {
+  return lines.map((line, index) => {
+    if (index === lines.length - 1 && !trailingNewline) {
+      return line.raw;
+    }
+    return line.raw + (line.eol || newline);
+  }).join('');
+}
+
+function editOperation(type, text, oldIndex, newIndex) {
+  return {
+    type, text, oldIndex, newIndex,
+  };
+}
+
+function backtrack(trace, offset, oldLines, newLines) {
+  const operations = [];
+  let x = oldLines.length;
+  let y = newLines.length;
+  for (let d = trace.length - 1; d >= 0; d -= 1) {
+    const frontier = trace[d];
+    const k = x - y;
+    const down = k === -d || (k !== d && frontier[offset + k - 1] < frontier[offset + k + 1]);
+    const previousK = down ? k + 1 : k - 1;
+    const previousX = d === 0 ? 0 : frontier[offset + previousK];
+    const previousY = d === 0 ? 0 : previousX - previousK;
+    while (x > previousX && y > previousY) {
+      x -= 1;
+      y -= 1;
+      operations.push(editOperation(' ', oldLines[x], x, y));
+    }
+    if (d > 0) {
+      operations.push(down
+        ? editOperation('+', newLines[previousY], previousX, previousY)
+        : editOperation('-', oldLines[previousX], previousX, previousY));
+    }
+    x = previousX;
+    y = previousY;
+  }
+  return operations.reverse();
+}
+
+// Shortest edit script (Myers 1986), or null when it needs more than MAX_DIFF_EDITS edits.
+// Keeps one frontier per edit count, so memory grows with the edits, not the file sizes.
+function myersDiff(oldLines, newLines) {
+  const n = oldLines.length;
+  const m = newLines.length;
+  const max = Math.min(n + m, MAX_DIFF_EDITS);
+  const offset = max + 1;
+  const frontier = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d += 1) {
+    trace.push(frontier.slice());
+    for (let k = -d; k <= d; k += 2) {
+      const down = k === -d || (k !== d && frontier[offset + k - 1] < frontier[offset + k + 1]);
+      let x = down ? frontier[offset + k + 1] : frontier[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && oldLines[x] === newLines[y]) {
+        x += 1;
+        y += 1;
+      }
+      frontier[offset + k] = x;
+      if (x >= n && y >= m) {
+        return backtrack(trace, offset, oldLines, newLines);
+      }
+    }
+  }
+  return null;
+}
+
+// Edit script: ' ' kept, '-' removed, '+' added. The common head and tail are matched
+// first; when the rest needs more than MAX_DIFF_EDITS edits it is replaced outright.
+function diffLines(oldLines, newLines) {
+  let head = 0;
+  while (head < oldLines.length && head < newLines.length && oldLines[head] === newLines[head]) {
+    head += 1;
+  }
+  let tail = 0;
+  while (tail < oldLines.length - head && tail < newLines.length - head
+    && oldLines[oldLines.length - 1 - tail] === newLines[newLines.length - 1 - tail]) {
+    tail += 1;
+  }
+
+  const oldMiddle = oldLines.slice(head, oldLines.length - tail);
+  const newMiddle = newLines.slice(head, newLines.length - tail);
+  const middle = myersDiff(oldMiddle, newMiddle) || [
+    ...oldMiddle.map((text, i) => editOperation('-', text, i, 0)),
+    ...newMiddle.map((text, j) => editOperation('+', text, oldMiddle.length, j)),
+  ];
+
+  const kept = (oldStart, newStart) => (text, i) => editOperation(' ', text, oldStart + i, newStart + i);
+  return [
+    ...oldLines.slice(0, head).map(kept(0, 0)),
+    ...middle.map((op) => editOperation(op.type, op.text, op.oldIndex + head, op.newIndex + head)),
+    ...oldLines.slice(oldLines.length - tail).map(kept(oldLines.length - tail, newLines.length - tail)),
+  ];
+}
+
+function formatRule(rule) {
+  return `${DIRECTIVE_NAMES[rule.directive]}: ${rule.value}`;
+}
+
+function sameRule(rule, other) {
+  return rule.directive === other.directive && rule.value === other.value;
+}
+
+function mergeRules(base, added) {
+  return base.concat(added.filter((rule) => !base.some((other) => sameRule(rule, other))))
+    .map(({ directive, value }) => ({ directive, value }));
+}
+
+// Path prefix a rule applies to, up to its first wildcard
+function literalPath(value) {
+  return value.split('*')[0].replace(/\$$/, '');
+}
+
+// Whether an Allow rule reopens a path one of the rules disallows
+function reopens(rule, rules) {
+  return rule.directive === 'allow' && rule.value !== '' && rules.some((other) => (
+    other.directive === 'disallow' && other.value !== '' && literalPath(rule.value).startsWith(literalPath(other.value))
+  ));
+}
+
+// Whether a Disallow rule is already covered by a broader one of the rules
+function covers(rules, rule) {
+  return rule.directive === 'disallow' && rules.some((other) => (
+    other.directive === 'disallow' && other.value !== '' && !sameRule(rule, other)
+      && literalPath(rule.value).startsWith(literalPath(other.value))
+  ));
+}
+
+/**
+ * Parse robots.txt text
+ * @param {string} text - robots.txt content
+ * @returns {Object} Document { lines: [{ index, raw, eol, type, key, value }], groups: [{ userAgents, rules,
+ *   extensions, start, end }], sitemaps, ungrouped (rule lines outside any group), newline (the most common
+ *   line ending, used for added lines), trailingNewline }
+ */
+function parseRobotsTxt(text = '') {
+  // CRLF, LF and CR all end a line (RFC 9309 section 2.2); the split keeps each ending
+  const parts = text.split(/(\r\n|\n|\r)/);
+  const lines = [];
+  for (let index = 0; index * 2 < parts.length; index += 1) {
+    const raw = parts[index * 2];
+    const eol = parts[index * 2 + 1] || '';
+    if (raw !== '' || eol !== '') {
+      lines.push({
+        index, raw, eol, ...parseLine(raw),
+      });
+    }
+  }
+  // The most common line ending (the first one on a tie), so a stray LF in a CRLF file doesn't decide it
+  const endingCounts = new Map();
+  lines.filter((line) => line.eol !== '').forEach((line) => {
+    endingCounts.set(line.eol, (endingCounts.get(line.eol) || 0) + 1);
+  });
+  const endings = Array.from(endingCounts.keys());
+  const newline = endings.length === 0 ? '\n'
+    : endings.reduce((best, eol) => (endingCounts.get(eol) > endingCounts.get(best) ? eol : best));
+  const trailingNewline = lines.length > 0 && lines[lines.length - 1].eol !== '';
+  const groups = [];
+  const sitemaps = [];
+  const ungrouped = [];
+  let group = null;
+
+  lines.forEach((line) => {
+    if (line.type === 'user-agent') {
+      // A User-agent line after a rule starts the next group
+      if (!group || group.rules.length > 0 || group.extensions.length > 0) {
+        group = {
+          userAgents: [], rules: [], extensions: [], start: line.index, end: line.index,
+        };
+        groups.push(group);
+      }
+      group.userAgents.push({ value: line.value, line: line.index });
+      group.end = line.index;
+    } else if (line.type === 'sitemap') {
+      sitemaps.push({ value: line.value, line: line.index });
+    } else if (RULE_DIRECTIVES.includes(line.type) || line.type === 'extension') {
+      if (!group) {
+        ungrouped.push(line.index);
+        return;
+      }
+      if (line.type === 'extension') {
+        group.extensions.push({ key: line.key, value: line.value, line: line.index });
+      } else {
+        group.rules.push({ directive: line.type, value: line.value, line: line.index });
+      }
+      group.end = line.index;
+    }
+  });
+
+  return {
+    lines, groups, sitemaps, ungrouped, newline, trailingNewline,
+  };
+}
+
+/**
+ * Serialize a parsed document back to text
+ * @param {Object} document - Document from parseRobotsTxt
+ * @returns {string} robots.txt content
+ */
+function serializeRobotsTxt(document) {
+  return joinLines(document.lines, document.newline, document.trailingNewline);
+}
+
+/**
+ * Lint robots.txt for syntax and ordering mistakes
+ * @param {string} text - robots.txt content
+ * @returns {Object} { valid, errors, warnings } with issues { line (1-based), code, message }
+ */
+function lintRobotsTxt(text = '') {
+  const document = parseRobotsTxt(text);
+  const errors = [];
+  const warnings = [];
+  const issue = (list, index, code, message) => list.push({ line: index === null ? null : index + 1, code, message });
+
+  if (Buffer.byteLength(text, 'utf8') > MAX_PARSED_BYTES) {
+    const limit = `${MAX_PARSED_BYTES / 1024} KiB`;
+    issue(warnings, null, 'FILE_TOO_LARGE', `Crawlers may ignore everything after the first ${limit}`);
+  }
+
+  document.lines.forEach((line) => {
+    if (line.type === 'invalid') {
+      issue(errors, line.index, 'INVALID_LINE', `Expected "field: value", found "${line.value}"`);
+    } else if (line.type === 'user-agent' && !line.value) {
+      issue(errors, line.index, 'EMPTY_USER_AGENT', 'User-agent needs a product token or "*"');
+    } else if (RULE_DIRECTIVES.includes(line.type) && line.value && !/^[/*]/.test(line.value)) {
+      const directive = DIRECTIVE_NAMES[line.type];
+      issue(errors, line.index, 'INVALID_PATH', `${directive} path must start with "/" or "*": ${line.value}`);
+    } else if (line.type === 'sitemap' && !/^https?:\/\/\S+$/i.test(line.value)) {
+      issue(errors, line.index, 'INVALID_SITEMAP', `Sitemap must be an absolute URL: ${line.value}`);
+    } else if (line.type === 'extension' && MISSPELLINGS[line.key]) {
+      const suggestion = MISSPELLINGS[line.key];
+      issue(errors, line.index, 'MISSPELLED_FIELD', `Unknown field "${line.key}"; did you mean "${suggestion}"?`);
+    } else if (line.type === 'extension' && line.key === 'crawl-delay' && !/^\d+(\.\d+)?$/.test(line.value)) {
+      issue(errors, line.index, 'INVALID_CRAWL_DELAY', `Crawl-delay must be a number of seconds: ${line.value}`);
+    } else if (line.type === 'extension' && !KNOWN_EXTENSIONS.includes(line.key)) {
+      issue(warnings, line.index, 'UNKNOWN_FIELD', `Field "${line.key}" is not understood by most crawlers`);
+    }
+  });
+
+  document.ungrouped.forEach((index) => {
+    issue(errors, index, 'RULE_OUTSIDE_GROUP', 'Rule appears before any User-agent line and is ignored');
+  });
+
+  const seenAgents = new Map();
+  document.groups.forEach((group, position) => {
+    if (group.rules.length === 0 && group.extensions.length === 0) {
+      issue(warnings, group.start, 'GROUP_WITHOUT_RULES', 'Group has no rules, so its crawlers may crawl everything');
+    }
+
+    group.userAgents.forEach((agent) => {
+      const key = agent.value.toLowerCase();
+      if (seenAgents.has(key) && seenAgents.get(key) !== position) {
+        const otherLine = document.groups[seenAgents.get(key)].start + 1;
+        issue(
+          warnings,
+          agent.line,
+          'DUPLICATE_USER_AGENT',
+          `User-agent ${agent.value} also has a group at line ${otherLine}; crawlers combine them`,
+        );
+      } else if (seenAgents.has(key)) {
+        issue(warnings, agent.line, 'DUPLICATE_USER_AGENT', `User-agent ${agent.value} is listed twice in the group`);
+      } else {
+        seenAgents.set(key, position);
+      }
+    });
+
+    group.rules.forEach((rule, index) => {
+      const earlier = group.rules.slice(0, index);
+      if (earlier.some((other) => sameRule(rule, other))) {
+        issue(warnings, rule.line, 'DUPLICATE_RULE', `Duplicate rule: ${formatRule(rule)}`);
+      } else if (earlier.some((other) => other.value === rule.value && other.directive !== rule.directive)) {
+        issue(warnings, rule.line, 'CONFLICTING_RULES', `Allow and Disallow both match ${rule.value}; Allow wins`);
+      }
+    });
+  });
+
+  const byLine = (a, b) => (a.line || 0) - (b.line || 0);
+  return { valid: errors.length === 0, errors: errors.sort(byLine), warnings: warnings.sort(byLine) };
+}
+
+/**
+ * Human-readable unified diff between two robots.txt files
+ * @param {string} before - Original content
+ * @param {string} after - New content
+ * @param {string} name - File name shown in the diff header
+ * @returns {string} Unified diff, empty when the files are identical
+ */
+function diffRobotsTxt(before, after, name = 'robots.txt') {
+  const oldLines = parseRobotsTxt(before || '').lines.map((line) => line.raw);
+  const newLines = parseRobotsTxt(after || '').lines.map((line) => line.raw);
+  const operations = diffLines(oldLines, newLines);
+  if (operations.every((operation) => operation.type === ' ')) {
+    return '';
+  }
+
+  // Hunks: changed lines with surrounding context, overlapping ranges joined
+  const hunks = [];
+  operations.forEach((operation, index) => {
+    if (operation.type === ' ') {
+      return;
+    }
+    const start = Math.max(0, index - DIFF_CONTEXT_LINES);
+    const end = Math.min(operations.length, index + DIFF_CONTEXT_LINES + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  });
+
+  const output = [`--- a/${name}`, `+++ b/${name}`];
+  hunks.forEach(({ start, end }) => {
+    const slice = operations.slice(start, end);
+    const first = operations[start];
+    const oldCount = slice.filter((operation) => operation.type !== '+').length;
+    const newCount = slice.filter((operation) => operation.type !== '-').length;
+    const oldStart = oldCount === 0 ? first.oldIndex : first.oldIndex + 1;
+    const newStart = newCount === 0 ? first.newIndex : first.newIndex + 1;
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    slice.forEach((operation) => output.push(`${operation.type}${operation.text}`));
+  });
+  return `${output.join('\n')}\n`;
+}
+
+/**
+ * Groups of a document as plain values; rules written before any
+ * User-agent line are given to "*"
+ * @param {Object} document - Document from parseRobotsTxt
+ * @returns {Array} Groups [{ userAgents, rules: [{ directive, value }] }]
+ */
+function getRobotsGroups(document) {
+  const groups = document.groups.map((group) => ({
+    userAgents: group.userAgents.map((agent) => agent.value),
+    rules: group.rules.map(({ directive, value }) => ({ directive, value })),
+  }));
+  const orphanRules = document.ungrouped
+    .map((index) => document.lines[index])
+    .filter((line) => RULE_DIRECTIVES.includes(line.type))
+    .map((line) => ({ directive: line.type, value: line.value }));
+
+  return orphanRules.length > 0 ? [{ userAgents: ['*'], rules: orphanRules }, ...groups] : groups;
+}
+
+/**
+ * Combine groups per user agent and regroup agents with identical rules,
+ * "*" last
+ * @param {Array} groups - Groups [{ userAgents, rules }], agents may repeat
+ * @returns {Array} Compact groups
+ */
+function compactRobotsGroups(groups) {
+  const agents = new Map();
+  groups.forEach((group) => {
+    group.userAgents.forEach((userAgent) => {
+      const key = userAgent.toLowerCase();
+      if (!agents.has(key)) {
+        agents.set(key, { userAgent, rules: [] });
+      }
+      agents.get(key).rules = mergeRules(agents.get(key).rules, group.rules);
+    });
+  });
+
+  const compact = new Map();
+  const wildcard = agents.get('*');
+  agents.forEach(({ userAgent, rules }, key) => {
+    if (key === '*') {
+      return;
+    }
+    const signature = JSON.stringify(rules);
+    if (!compact.has(signature)) {
+      compact.set(signature, { userAgents: [], rules });
+    }
+    compact.get(signature).userAgents.push(userAgent);
+  });
+
+  const result = Array.from(compact.values());
+  return wildcard ? [...result, { userAgents: [wildcard.userAgent], rules: wildcard.rules }] : result;
+}
+
+/**
+ * robots.txt lines for groups, separated by blank lines
+ * @param {Array} groups - Groups [{ userAgents, rules }]
+ * @returns {Array} robots.txt lines
+ */
+function formatRobotsGroups(groups) {
+  return groups.reduce((lines, group, index) => lines.concat(
+    index > 0 ? [''] : [],
+    group.userAgents.map((userAgent) => `User-agent: ${userAgent}`),
+    group.rules.map(formatRule),
+  ), []);
+}
+
+// Drop what an earlier merge with the same marker added: the "# BEGIN" to "# END" block (up to the end
+// of the file when the END line was deleted), the blank line above it and the rules tagged in other groups
+function removeMergedLines(document, marker) {
+  const isMarker = (line, text) => line.type === 'comment' && line.raw.trim() === `# ${text}`;
+  const removed = new Set();
+  let inBlock = false;
+  document.lines.forEach((line) => {
+    if (isMarker(line, `BEGIN ${marker}`)) {
+      inBlock = true;
+      const previous = document.lines[line.index - 1];
+      if (previous && previous.type === 'blank') {
+        removed.add(previous.index);
+      }
+    }
+    if (inBlock || (RULE_DIRECTIVES.includes(line.type) && line.raw.trim().endsWith(`# ${marker}`))) {
+      removed.add(line.index);
+    }
+    if (isMarker(line, `END ${marker}`)) {
+      inBlock = false;
+    }
+  });
+  if (removed.size === 0) {
+    return document;
+  }
+
+  const kept = document.lines.filter((line) => !removed.has(line.index));
+  // Only the file's last line can lack a line ending
+  return parseRobotsTxt(joinLines(kept, document.newline, kept.length > 0 && kept[kept.length - 1].eol !== ''));
+}
+
+/**
+ * Merge groups into an existing robots.txt without clobbering its other rules
+ * Agents already listed keep their group and get the missing rules, split into
+ * a group of their own when they share it with agents that need other rules.
+ * New agents start from the "*" rules they would otherwise have followed.
+ * Existing Allow rules that would reopen a merged Disallow are removed, since
+ * an Allow wins over an equally specific Disallow.
+ * With options.marker the added groups go between "# BEGIN <marker>" and
+ * "# END <marker>" lines and rules added to existing groups carry a
+ * "# <marker>" comment, so merging again replaces them instead of stacking
+ * another block on top.
+ * @param {string} existing - Existing robots.txt content
+ * @param {Array} groups - Groups to enforce [{ userAgents, rules }]
+ * @param {Object} options - Merge options
+ * @param {Array} options.header - Comment lines placed above added groups
+ * @param {string} options.marker - Name marking the merged lines
+ * @returns {Object} { content, addedAgents, updatedAgents, removedRules: [{ userAgent, rule }] }
+ */
+function mergeRobotsTxt(existing, groups, options = {}) {
+  const parsed = parseRobotsTxt(existing || '');
+  const document = options.marker ? removeMergedLines(parsed, options.marker) : parsed;
+  const required = new Map();
+  compactRobotsGroups(groups).forEach((group) => {
+    group.userAgents.forEach((userAgent) => required.set(userAgent.toLowerCase(), { userAgent, rules: group.rules }));
+  });
+
+  const result = { addedAgents: [], updatedAgents: [], removedRules: [] };
+  const removedLines = new Set();
+  const insertions = new Map();
+  const pending = new Map();
+  const namesAgent = (key) => (agent) => agent.value.toLowerCase() === key;
+  const groupsOf = (key) => document.groups.filter((group) => group.userAgents.some(namesAgent(key)));
+  const wildcardRules = groupsOf('*').reduce((rules, group) => rules.concat(group.rules), []);
+  const outdated = new Map();
+
+  required.forEach(({ userAgent, rules }, key) => {
+    const current = groupsOf(key).reduce((all, group) => all.concat(group.rules), []);
+    if (groupsOf(key).length === 0) {
+      pending.set(key, {
+        userAgent, base: wildcardRules, inherited: true, extensions: [],
+      });
+      result.addedAgents.push(userAgent);
+    } else if (!rules.every((rule) => current.some((other) => sameRule(rule, other)))
+      || current.some((rule) => reopens(rule, rules))) {
+      outdated.set(key, rules);
+      result.updatedAgents.push(userAgent);
+    }
+  });
+
+  document.groups.forEach((group) => {
+    const stale = group.userAgents.filter((agent) => outdated.has(agent.value.toLowerCase()));
+    if (stale.length === 0) {
+      return;
+    }
+
+    const rules = outdated.get(stale[0].value.toLowerCase());
+    const inPlace = stale.length === group.userAgents.length
+      && stale.every((agent) => JSON.stringify(outdated.get(agent.value.toLowerCase())) === JSON.stringify(rules));
+
+    if (inPlace) {
+      group.rules.filter((rule) => reopens(rule, rules)).forEach((rule) => {
+        removedLines.add(rule.line);
+        stale.forEach((agent) => result.removedRules.push({ userAgent: agent.value, rule: formatRule(rule) }));
+      });
+      const missing = rules.filter((rule) => !group.rules.some((other) => sameRule(rule, other)));
+      insertions.set(group.end, missing.map((rule) => (options.marker
+        ? `${formatRule(rule)} # ${options.marker}` : formatRule(rule))));
+      return;
+    }
+
+    // Move the agents that need other rules into a group of their own
+    stale.forEach((agent) => {
+      const key = agent.value.toLowerCase();
+      const entry = pending.get(key) || {
+        userAgent: agent.value, base: [], inherited: false, extensions: [],
+      };
+      entry.base = entry.base.concat(group.rules);
+      const extensionLines = group.extensions.map((extension) => document.lines[extension.line].raw.trim());
+      entry.extensions = entry.extensions.concat(extensionLines);
+      pending.set(key, entry);
+      removedLines.add(agent.line);
+    });
+    if (stale.length === group.userAgents.length) {
+      // No agent left: drop the group so its rules don't fall into the previous one
+      for (let index = group.start; index <= group.end; index += 1) {
+        if (document.lines[index].type !== 'comment' && document.lines[index].type !== 'blank') {
+          removedLines.add(index);
+        }
+      }
+    }
+  });
+
+  // Kept lines keep their own line ending; added lines (eol null) use the document's
+  const lines = [];
+  const added = (raw) => ({ raw, eol: null });
+  document.lines.forEach((line) => {
+    if (!removedLines.has(line.index)) {
+      lines.push(line);
+    }
+    if (insertions.has(line.index)) {
+      lines.push(...insertions.get(line.index).map(added));
+    }
+  });
+
+  if (pending.size > 0) {
+    const addedGroups = new Map();
+    pending.forEach(({
+      userAgent, base, inherited, extensions,
+    }, key) => {
+      const enforced = required.get(key).rules;
+      const kept = base.filter((rule) => !reopens(rule, enforced) && !covers(enforced, rule));
+      const rules = mergeRules(kept, enforced);
+      if (!inherited) {
+        base.filter((rule) => reopens(rule, enforced))
+          .forEach((rule) => result.removedRules.push({ userAgent, rule: formatRule(rule) }));
+      }
+      const uniqueExtensions = extensions.filter((line, index) => extensions.indexOf(line) === index);
+      const body = [...rules.map(formatRule), ...uniqueExtensions];
+      const signature = JSON.stringify(body);
+      if (!addedGroups.has(signature)) {
+        addedGroups.set(signature, { userAgents: [], body });
+      }
+      addedGroups.get(signature).userAgents.push(userAgent);
+    });
+
+    if (lines.length > 0 && lines[lines.length - 1].raw.trim() !== '') {
+      lines.push(added(''));
+    }
+    lines.push(...(options.marker ? [added(`# BEGIN ${options.marker}`)] : []));
+    lines.push(...(options.header || []).map(added));
+    Array.from(addedGroups.values()).forEach((group, index) => {
+      lines.push(
+        ...(index > 0 ? [added('')] : []),
+        ...group.userAgents.map((userAgent) => added(`User-agent: ${userAgent}`)),
+        ...group.body.map(added),
+      );
+    });
+    lines.push(...(options.marker ? [added(`# END ${options.marker}`)] : []));
+  }
+
+  return {
+    content: joinLines(lines, document.newline, document.trailingNewline || pending.size > 0),
+    ...result,
+  };
+}
+
+module.exports = {
+  compactRobotsGroups,
+  diffRobotsTxt,
+  formatRobotsGroups,
+  getRobotsGroups,
+  lintRobotsTxt,
+  mergeRobotsTxt,
+  parseRobotsTxt,
+  serializeRobotsTxt,
+};
@@ -0,0 +1,127 @@
+const { lintRobotsTxt, mergeRobotsTxt, parseRobotsTxt } = require('./robots-txt');
+
+const MARKER = 'Data Protection License';
+
+const SITE = [
+  'User-agent: *',
+  'Disallow: /private',
+  '',
+  'User-agent: GPTBot',
+  'Disallow: /tmp',
+  '',
+  'Sitemap: https://example.com/sitemap.xml',
+  '',
+].join('\n');
+
+const blockAll = (...userAgents) => [{ userAgents, rules: [{ directive: 'disallow', value: '/' }] }];
+const lineEndings = (text) => text.match(/\r\n|\n|\r/g);
+
+describe('mergeRobotsTxt', () => {
+  describe('with a marker', () => {
+    const merge = (existing, groups, license) => mergeRobotsTxt(existing, groups, {
+      marker: MARKER,
+      header: [`# License ID: ${license}`],
+    });
+
+    test('wraps the added groups in BEGIN and END lines and tags rules added to existing groups', () => {
+      const { content, addedAgents, updatedAgents } = merge(SITE, blockAll('GPTBot', 'CCBot'), 'DPL-1');
+
+      expect(addedAgents).toEqual(['CCBot']);
+      expect(updatedAgents).toEqual(['GPTBot']);
+      expect(content).toBe(`${[
+        'User-agent: *',
+        'Disallow: /private',
+        '',
+        'User-agent: GPTBot',
+        'Disallow: /tmp',
+        `Disallow: / # ${MARKER}`,
+        '',
+        'Sitemap: https://example.com/sitemap.xml',
+        '',
+        `# BEGIN ${MARKER}`,
+        '# License ID: DPL-1',
+        'User-agent: CCBot',
+        'Disallow: /',
+        `# END ${MARKER}`,
+      ].join('\n')}\n`);
+      expect(lintRobotsTxt(content).valid).toBe(true);
+    });
+
+    test('leaves the file unchanged when merged again with the same groups', () => {
+      const once = merge(SITE, blockAll('GPTBot', 'CCBot'), 'DPL-1').content;
+
+      expect(merge(once, blockAll('GPTBot', 'CCBot'), 'DPL-1').content).toBe(once);
+    });
+
+    test('replaces the block of an earlier merge when the license changes', () => {
+      const first = merge(SITE, blockAll('GPTBot', 'CCBot'), 'DPL-1').content;
+      const changed = [{ userAgents: ['Bytespider'], rules: [{ directive: 'disallow', value: '/photos' }] }];
+
+      const { content, addedAgents } = merge(first, changed, 'DPL-2');
+
+      expect(addedAgents).toEqual(['Bytespider']);
+      expect(content).not.toContain('DPL-1');
+      expect(content).not.toContain('CCBot');
+      expect(content.match(/# BEGIN /g)).toHaveLength(1);
+      expect(content).toBe(`${SITE}\n${[
+        `# BEGIN ${MARKER}`,
+        '# License ID: DPL-2',
+        'User-agent: Bytespider',
+        'Disallow: /private',
+        'Disallow: /photos',
+        `# END ${MARKER}`,
+      ].join('\n')}\n`);
+    });
+
+    test('gives the site its own file back when the new license has no crawler rules', () => {
+      const first = merge(SITE, blockAll('GPTBot', 'CCBot'), 'DPL-1').content;
+
+      expect(merge(first, [], 'DPL-2').content).toBe(SITE);
+    });
+
+    test('replaces a block whose END line was deleted up to the end of the file', () => {
+      const first = merge(SITE, blockAll('CCBot'), 'DPL-1').content;
+      const truncated = first.replace(`# END ${MARKER}\n`, '');
+
+      expect(merge(truncated, blockAll('CCBot'), 'DPL-1').content).toBe(first);
+    });
+  });
+
+  describe('line endings', () => {
+    const crlfSite = SITE.replace(/\n/g, '\r\n');
+
+    test('writes added and inserted lines with the CRLF endings of the file', () => {
+      const { content } = mergeRobotsTxt(crlfSite, blockAll('GPTBot', 'CCBot'), { marker: MARKER, header: ['# Note'] });
+
+      expect(content).toContain(`Disallow: / # ${MARKER}\r\n`);
+      expect(content).toContain(`# END ${MARKER}\r\n`);
+      expect(new Set(lineEndings(content))).toEqual(new Set(['\r\n']));
+    });
+
+    test('keeps CRLF endings when an earlier block is replaced', () => {
+      const first = mergeRobotsTxt(crlfSite, blockAll('GPTBot', 'CCBot'), { marker: MARKER }).content;
+
+      const { content } = mergeRobotsTxt(first, blockAll('Bytespider'), { marker: MARKER });
+
+      expect(content).toContain('User-agent: Bytespider\r\n');
+      expect(new Set(lineEndings(content))).toEqual(new Set(['\r\n']));
+    });
+
+    test('uses the most common ending when the first line ends differently', () => {
+      const mixed = `# Site rules\n${crlfSite}`;
+
+      const { content } = mergeRobotsTxt(mixed, blockAll('CCBot'), { marker: MARKER });
+
+      expect(parseRobotsTxt(mixed).newline).toBe('\r\n');
+      expect(lineEndings(content).filter((ending) => ending === '\n')).toHaveLength(1);
+    });
+
+    test('keeps a missing final line ending of the original file when nothing is added', () => {
+      const site = 'User-agent: GPTBot\r\nDisallow: /tmp';
+
+      const { content } = mergeRobotsTxt(site, blockAll('GPTBot'), { marker: MARKER });
+
+      expect(content).toBe(`User-agent: GPTBot\r\nDisallow: /tmp\r\nDisallow: / # ${MARKER}`);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const { defaultRegistry, getClauses } = require('./license-types');
+const { canonicalize } = require('./canonical-json');
+
+const SPDX_VERSION = 'SPDX-2.3';
+const LICENSE_REF_PREFIX = 'LicenseRef-DPL-';
+
+// SPDX dates carry no fractional seconds
+function toSpdxDate(value) {
+  return new Date(value).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * SPDX Document
+ * Describes licensed content as an SPDX 2.3 package whose license is a
+ * LicenseRef per clause, with the legal text of each clause as extracted
+ * licensing info. Clauses of composite licenses all apply, so they are ANDed
+ */
+class SpdxDocument {
+  /**
+   * @param {LicenseTypeRegistry} licenseTypes - License type registry (shared default when omitted)
+   */
+  constructor(licenseTypes = defaultRegistry) {
+    this.licenseTypes = licenseTypes;
+  }
+
+  /**
+   * SPDX license reference for a license type
+   * @param {string} name - Type identifier
+   * @returns {string} LicenseRef identifier
+   */
+  static getLicenseRef(name) {
+    return `${LICENSE_REF_PREFIX}${name.replace(/[^A-Za-z0-9.-]/g, '-')}`;
+  }
+
+  /**
+   * Serialize a license as an SPDX document
+   * @param {Object} license - License object
+   * @param {Object} jsonLD - JSON-LD metadata from generateJSONLD (name and url)
+   * @returns {Object} SPDX 2.3 JSON document
+   */
+  serialize(license, jsonLD) {
+    const clauses = getClauses(license);
+    const expression = clauses.map((name) => SpdxDocument.getLicenseRef(name)).join(' AND ');
+    const creators = license.parties ? license.parties.map((party) => party.name) : [license.creator];
+    const restrictions = license.restrictions || {};
+
+    return {
+      spdxVersion: SPDX_VERSION,
+      dataLicense: 'CC0-1.0',
+      SPDXID: 'SPDXRef-DOCUMENT',
+      name: jsonLD.license.name,
+      documentNamespace: `https://data-protection.org/spdx/${license.id}/${license.hash}`,
+      creationInfo: {
+        created: toSpdxDate(license.createdAt),
+        creators: ['Tool: data-protection-license', ...creators.filter(Boolean).map((name) => `Person: ${name}`)],
+      },
+      packages: [{
+        SPDXID: 'SPDXRef-Content',
+        name: jsonLD.name,
+        downloadLocation: 'NOASSERTION',
+        filesAnalyzed: false,
+        licenseConcluded: expression,
+        licenseDeclared: expression,
+        copyrightText: creators.length > 0 ? `Copyright ${creators.join(', ')}` : 'NOASSERTION',
+        ...(Object.keys(restrictions).length > 0
+          ? { licenseComments: `Restrictions: ${canonicalize(restrictions)}` }
+          : {}),
+        comment: `Data Protection License ${license.id}, hash ${license.hash}, `
+          + `content digest (SHA-256) ${license.content}`,
+        ...(license.expirationDate ? { validUntilDate: toSpdxDate(license.expirationDate) } : {}),
+        externalRefs: [{
+          referenceCategory: 'OTHER',
+          referenceType: 'data-protection-license',
+          referenceLocator: jsonLD.license.url,
+        }],
+      }],
+      hasExtractedLicensingInfos: clauses.map((name) => {
+        const definition = this.licenseTypes.has(name) ? this.licenseTypes.get(name) : null;
+        return {
+          licenseId: SpdxDocument.getLicenseRef(name),
+          name: definition ? definition.label : name,
+          extractedText: definition ? definition.text : 'Custom data protection license applied.',
+          seeAlsos: [`https://data-protection.org/licenses/types/${name}`],
+        };
+      }),
+      relationships: [{
+        spdxElementId: 'SPDXRef-DOCUMENT',
+        relationshipType: 'DESCRIBES',
+        relatedSpdxElement: 'SPDXRef-Content',
+      }],
+    };
+  }
+}
+
+module.exports = SpdxDocument;
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+
+const SIMHASH_BITS = 64;
+const UINT32_RANGE = 0x100000000;
+
+// Binary digits of a hex string, four per hex digit
+const hexToBinary = (hex) => Array.from(hex, (digit) => parseInt(digit, 16).toString(2).padStart(4, '0')).join('');
+const binaryToHex = (binary) => binary.match(/.{4}/g).map((nibble) => parseInt(nibble, 2).toString(16)).join('');
+
+function hashShingle(shingle) {
+  return crypto.createHash('sha256').update(shingle).digest();
+}
+
+function minHash(shingleHashes, numHashes) {
+  const signature = new Uint32Array(numHashes).fill(UINT32_RANGE - 1);
+
+  // Double hashing derives numHashes independent permutations from two base hashes
+  shingleHashes.forEach((digest) => {
+    const h1 = digest.readUInt32BE(0);
+    const h2 = digest.readUInt32BE(4);
+    const step = h2 % 2 === 0 ? h2 + 1 : h2;
+    for (let i = 0; i < numHashes; i += 1) {
+      const value = (h1 + i * step) % UINT32_RANGE;
+      if (value < signature[i]) {
+        signature[i] = value;
+      }
+    }
+  });
+  return signature;
+}
+
+function encodeMinHash(signature) {
+  const buffer = Buffer.alloc(signature.length * 4);
+  signature.forEach((value, i) => buffer.writeUInt32BE(value, i * 4));
+  return buffer.toString('hex');
+}
+
+function simHash(shingleHashes, weights) {
+  const vector = new Array(SIMHASH_BITS).fill(0);
+
+  // Bits are taken most significant first from the second 64 bits of each digest
+  shingleHashes.forEach((digest, index) => {
+    hexToBinary(digest.toString('hex', 8, 16)).split('').forEach((bit, position) => {
+      vector[position] += bit === '1' ? weights[index] : -weights[index];
+    });
+  });
+
+  return binaryToHex(vector.map((weight) => (weight > 0 ? '1' : '0')).join(''));
+}
+
+/**
+ * Text Fingerprinter
+ * Word-shingled MinHash and SimHash signatures for near-duplicate detection,
+ * so lightly edited copies of protected documents can still be recognised
+ */
+class TextFingerprinter {
+  /**
+   * @param {Object} options - Fingerprint configuration
+   * @param {number} options.shingleSize - Words per shingle (default 5)
+   * @param {number} options.numHashes - MinHash signature length (default 128)
+   */
+  constructor(options = {}) {
+    this.shingleSize = options.shingleSize || 5;
+    this.numHashes = options.numHashes || 128;
+  }
+
+  /**
+   * Compute MinHash and SimHash signatures for a text
+   * @param {string} text - Document or passage
+   * @returns {Object} Text fingerprint
+   */
+  fingerprint(text) {
+    const shingles = this.shingle(text);
+    const shingleHashes = Array.from(shingles.keys()).map(hashShingle);
+
+    return {
+      algorithm: 'minhash-simhash-v1',
+      shingleSize: this.shingleSize,
+      shingleCount: shingles.size,
+      minhash: encodeMinHash(minHash(shingleHashes, this.numHashes)),
+      simhash: simHash(shingleHashes, Array.from(shingles.values())),
+    };
+  }
+
+  /**
+   * Split normalized text into word shingles with occurrence counts
+   * @param {string} text - Input text
+   * @returns {Map} Shingle to count
+   */
+  shingle(text) {
+    const words = String(text)
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+      .split(/\s+/)
+      .filter(Boolean);
+
+    const shingles = new Map();
+    const size = Math.min(this.shingleSize, words.length);
+    for (let i = 0; size > 0 && i + size <= words.length; i += 1) {
+      const shingle = words.slice(i, i + size).join(' ');
+      shingles.set(shingle, (shingles.get(shingle) || 0) + 1);
+    }
+    return shingles;
+  }
+
+  /**
+   * Estimated Jaccard similarity of two fingerprints' shingle sets
+   * @param {Object} a - Text fingerprint
+   * @param {Object} b - Text fingerprint
+   * @returns {number} Similarity between 0 and 1
+   */
+  static estimateSimilarity(a, b) {
+    const left = TextFingerprinter.decodeMinHash(a.minhash);
+    const right = TextFingerprinter.decodeMinHash(b.minhash);
+    if (left.length !== right.length || left.length === 0) {
+      throw new Error('MinHash signatures must have the same non-zero length');
+    }
+
+    return left.filter((value, i) => value === right[i]).length / left.length;
+  }
+
+  /**
+   * Hamming distance between two SimHash values
+   * @param {string} a - Hex SimHash
+   * @param {string} b - Hex SimHash
+   * @returns {number} Differing bits (0-64)
+   */
+  static simhashDistance(a, b) {
+    const left = hexToBinary(a.padStart(SIMHASH_BITS / 4, '0'));
+    const right = hexToBinary(b.padStart(SIMHASH_BITS / 4, '0'));
+    return Array.from(left).filter((bit, i) => bit !== right[i]).length;
+  }
+
+  /**
+   * Decode a hex MinHash signature into 32-bit values
+   * @param {string} encoded - Hex signature
+   * @returns {Uint32Array} Signature values
+   */
+  static decodeMinHash(encoded) {
+    const buffer = Buffer.from(encoded, 'hex');
+    return Uint32Array.from({ length: buffer.length / 4 }, (_, i) => buffer.readUInt32BE(i * 4));
+  }
+}
+
+module.exports = TextFingerprinter;
@@ -0,0 +1,232 @@
+const fs = require('fs').promises;
+const path = require('path');
+const TextFingerprinter = require('./text-fingerprinter');
+
+function estimateContainment(jaccard, query, document) {
+  // |A ∩ B| = J * (|A| + |B|) / (1 + J), relative to the query's shingle count
+  if (!query.shingleCount) {
+    return 0;
+  }
+  const intersection = (jaccard * (query.shingleCount + document.shingleCount)) / (1 + jaccard);
+  return Math.min(1, intersection / query.shingleCount);
+}
+
+function bandKeys(minhash, bands) {
+  const rowHexLength = minhash.length / bands;
+  return Array.from({ length: bands }, (_, band) => (
+    `${band}:${minhash.slice(band * rowHexLength, (band + 1) * rowHexLength)}`
+  ));
+}
+
+/**
+ * Text Similarity Index
+ * Locality-sensitive hashing over MinHash signatures, answering
+ * "which protected licenses does this passage resemble, and how closely?"
+ * The index is a plain JSON document, so it can be built and queried offline.
+ */
+class TextSimilarityIndex {
+  /**
+   * @param {Object} options - Index configuration
+   * @param {number} options.bands - LSH bands (must divide the MinHash length)
+   * @param {number} options.threshold - Default minimum estimated similarity for results
+   * @param {Object} options.fingerprinter - Fingerprinter options (shingleSize, numHashes)
+   */
+  constructor(options = {}) {
+    this.fingerprinter = new TextFingerprinter(options.fingerprinter);
+    // Two rows per band keeps recall high for short passages with low Jaccard overlap
+    this.bands = options.bands || 64;
+    this.threshold = options.threshold !== undefined ? options.threshold : 0.5;
+    this.entries = new Map();
+    this.buckets = new Map();
+
+    if (this.fingerprinter.numHashes % this.bands !== 0) {
+      throw new Error(`LSH bands (${this.bands}) must divide MinHash length (${this.fingerprinter.numHashes})`);
+    }
+  }
+
+  /**
+   * Load an index previously written with save()
+   * @param {string} indexPath - Index file
+   * @returns {Promise<TextSimilarityIndex>} Loaded index
+   */
+  static async load(indexPath) {
+    return TextSimilarityIndex.fromJSON(JSON.parse(await fs.readFile(indexPath, 'utf8')));
+  }
+
+  /**
+   * Rebuild an index from its JSON form
+   * @param {Object} data - Output of toJSON()
+   * @returns {TextSimilarityIndex} Index
+   */
+  static fromJSON(data) {
+    const index = new TextSimilarityIndex({
+      bands: data.bands,
+      threshold: data.threshold,
+      fingerprinter: data.fingerprinter,
+    });
+    data.entries.forEach((entry) => index.add(entry));
+    return index;
+  }
+
+  /**
+   * Build an index from a local corpus directory
+   * Every *.json file holding a license with a text fingerprint is indexed;
+   * every *.txt or *.md file is fingerprinted and indexed under the license
+   * in a sibling file of the same name with a .license.json suffix
+   * @param {string} corpusDir - Corpus directory
+   * @param {Object} options - Index options
+   * @returns {Promise<TextSimilarityIndex>} Built index
+   */
+  static async buildFromCorpus(corpusDir, options = {}) {
+    const index = new TextSimilarityIndex(options);
+    const names = (await fs.readdir(corpusDir)).sort();
+
+    // Read one file at a time so entries are added in name order
+    await names.reduce((previous, name) => previous.then(async () => {
+      const filePath = path.join(corpusDir, name);
+
+      if (name.endsWith('.license.json')) {
+        return;
+      }
+
+      if (name.endsWith('.json')) {
+        const license = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        if (license.fingerprints && license.fingerprints.text) {
+          index.addLicense(license);
+        }
+      } else if (name.endsWith('.txt') || name.endsWith('.md')) {
+        const licensePath = filePath.replace(/\.(txt|md)$/, '.license.json');
+        const license = JSON.parse(await fs.readFile(licensePath, 'utf8'));
+        index.addDocument(license, await fs.readFile(filePath, 'utf8'), name);
+      }
+    }), Promise.resolve());
+
+    return index;
+  }
+
+  /**
+   * Index a license that carries a text fingerprint
+   * @param {Object} license - License with fingerprints.text
+   * @returns {Object} Index entry
+   */
+  addLicense(license) {
+    if (!license.fingerprints || !license.fingerprints.text) {
+      throw new Error(`License ${license.id} has no text fingerprint`);
+    }
+
+    return this.add({
+      licenseHash: license.hash,
+      licenseId: license.id,
+      fingerprint: license.fingerprints.text,
+    });
+  }
+
+  /**
+   * Fingerprint a document and index it under a license
+   * @param {Object} license - License protecting the document
+   * @param {string} text - Document text
+   * @param {string} documentId - Optional document reference
+   * @returns {Object} Index entry
+   */
+  addDocument(license, text, documentId = null) {
+    return this.add({
+      licenseHash: license.hash,
+      licenseId: license.id,
+      documentId,
+      fingerprint: this.fingerprinter.fingerprint(text),
+    });
+  }
+
+  /**
+   * Add a raw index entry
+   * @param {Object} entry - Entry with licenseHash, licenseId, fingerprint and optional documentId
+   * @returns {Object} Stored entry
+   */
+  add(entry) {
+    const { fingerprint } = entry;
+    if (fingerprint.shingleSize !== this.fingerprinter.shingleSize
+      || fingerprint.minhash.length !== this.fingerprinter.numHashes * 8) {
+      throw new Error('Fingerprint parameters do not match the index configuration');
+    }
+
+    const key = `${entry.licenseHash}:${entry.documentId || ''}`;
+    this.entries.set(key, { ...entry });
+
+    bandKeys(fingerprint.minhash, this.bands).forEach((bandKey) => {
+      if (!this.buckets.has(bandKey)) {
+        this.buckets.set(bandKey, new Set());
+      }
+      this.buckets.get(bandKey).add(key);
+    });
+
+    return this.entries.get(key);
+  }
+
+  /**
+   * Find indexed licenses resembling a passage or document
+   * Matches are scored by the larger of estimated Jaccard similarity and
+   * containment (share of the query's shingles found in the document),
+   * so a short excerpt of a long protected text still scores highly
+   * @param {string|Object} input - Text, or a text fingerprint
+   * @param {Object} options - Query options
+   * @param {number} options.threshold - Minimum match score
+   * @param {number} options.limit - Maximum results
+   * @returns {Array} Matches sorted by score, closest first
+   */
+  query(input, options = {}) {
+    const threshold = options.threshold !== undefined ? options.threshold : this.threshold;
+    const fingerprint = typeof input === 'string' ? this.fingerprinter.fingerprint(input) : input;
+
+    const candidateKeys = new Set();
+    bandKeys(fingerprint.minhash, this.bands).forEach((bandKey) => {
+      (this.buckets.get(bandKey) || []).forEach((key) => candidateKeys.add(key));
+    });
+
+    const matches = Array.from(candidateKeys)
+      .map((key) => {
+        const entry = this.entries.get(key);
+        const similarity = TextFingerprinter.estimateSimilarity(fingerprint, entry.fingerprint);
+        return {
+          licenseHash: entry.licenseHash,
+          licenseId: entry.licenseId,
+          documentId: entry.documentId || null,
+          similarity,
+          containment: estimateContainment(similarity, fingerprint, entry.fingerprint),
+          simhashDistance: TextFingerprinter.simhashDistance(fingerprint.simhash, entry.fingerprint.simhash),
+        };
+      })
+      .map((match) => ({ ...match, score: Math.max(match.similarity, match.containment) }))
+      .filter((match) => match.score >= threshold)
+      .sort((a, b) => b.score - a.score);
+
+    return options.limit ? matches.slice(0, options.limit) : matches;
+  }
+
+  /**
+   * Serializable form of the index
+   * @returns {Object} Index document
+   */
+  toJSON() {
+    return {
+      version: 1,
+      bands: this.bands,
+      threshold: this.threshold,
+      fingerprinter: {
+        shingleSize: this.fingerprinter.shingleSize,
+        numHashes: this.fingerprinter.numHashes,
+      },
+      entries: Array.from(this.entries.values()),
+    };
+  }
+
+  /**
+   * Write the index to disk
+   * @param {string} indexPath - Destination file
+   */
+  async save(indexPath) {
+    await fs.mkdir(path.dirname(indexPath), { recursive: true });
+    await fs.writeFile(indexPath, JSON.stringify(this.toJSON()));
+  }
+}
+
+module.exports = TextSimilarityIndex;
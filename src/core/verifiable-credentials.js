@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const LicenseSigner = require('./license-signer');
+const { canonicalize } = require('./canonical-json');
+
+const CREDENTIALS_CONTEXT = 'https://www.w3.org/ns/credentials/v2';
+
+// Data Integrity cryptosuites over JCS (RFC 8785), one per signature algorithm
+const CRYPTOSUITES = {
+  Ed25519: 'eddsa-jcs-2022',
+  ES256: 'ecdsa-jcs-2019',
+};
+
+// Multicodec prefixes used in did:key identifiers
+const MULTICODEC_PREFIXES = {
+  Ed25519: Buffer.from([0xed, 0x01]),
+  ES256: Buffer.from([0x80, 0x24]),
+};
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function getIssuerId(credential) {
+  return credential.issuer && typeof credential.issuer === 'object' ? credential.issuer.id : credential.issuer;
+}
+
+// Proof configuration hash followed by the document hash, both over JCS
+function getProofHashData(unsecured, proofOptions) {
+  const proofConfig = { ...proofOptions, '@context': unsecured['@context'] };
+  const sha256 = (value) => crypto.createHash('sha256').update(canonicalize(value)).digest();
+  return Buffer.concat([sha256(proofConfig), sha256(unsecured)]);
+}
+
+// Base conversion on little-endian digit arrays, one input digit at a time
+function convertBase(digits, fromBase, toBase) {
+  return digits.reduce((result, digit) => {
+    let carry = digit;
+    const converted = result.map((value) => {
+      carry += value * fromBase;
+      const remainder = carry % toBase;
+      carry = Math.floor(carry / toBase);
+      return remainder;
+    });
+    while (carry > 0) {
+      converted.push(carry % toBase);
+      carry = Math.floor(carry / toBase);
+    }
+    return converted;
+  }, []);
+}
+
+function encodeBase58(buffer) {
+  const leadingZeros = buffer.findIndex((byte) => byte !== 0);
+  const encoded = convertBase(Array.from(buffer), 256, 58)
+    .reverse()
+    .map((digit) => BASE58_ALPHABET[digit])
+    .join('');
+  return '1'.repeat(leadingZeros === -1 ? buffer.length : leadingZeros) + encoded;
+}
+
+function decodeBase58(text) {
+  const digits = Array.from(text, (character) => {
+    const digit = BASE58_ALPHABET.indexOf(character);
+    if (digit === -1) {
+      throw new Error(`Invalid base58 character: ${character}`);
+    }
+    return digit;
+  });
+
+  const leadingZeros = text.length - text.replace(/^1+/, '').length;
+  return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(convertBase(digits, 58, 256).reverse())]);
+}
+
+/**
+ * Verifiable Credentials
+ * Secures W3C Verifiable Credentials (Data Model 2.0) with a Data Integrity
+ * proof (eddsa-jcs-2022 / ecdsa-jcs-2019) or as a JWT (ES256 via jsonwebtoken).
+ * Issuer keys are published as did:key identifiers so verifiers need no registry
+ */
+class VerifiableCredentials {
+  constructor() {
+    this.signer = new LicenseSigner();
+  }
+
+  /**
+   * did:key identifier of a public key
+   * @param {string} publicKey - PEM encoded public key
+   * @param {string} algorithm - Ed25519 or ES256
+   * @returns {string} did:key identifier
+   */
+  static toDidKey(publicKey, algorithm = 'Ed25519') {
+    const jwk = crypto.createPublicKey(publicKey).export({ format: 'jwk' });
+    let rawKey;
+
+    if (algorithm === 'Ed25519') {
+      rawKey = Buffer.from(jwk.x, 'base64url');
+    } else if (algorithm === 'ES256') {
+      // Compressed point: parity of y, then x
+      const y = Buffer.from(jwk.y, 'base64url');
+      rawKey = Buffer.concat([Buffer.from([y[y.length - 1] % 2 ? 0x03 : 0x02]), Buffer.from(jwk.x, 'base64url')]);
+    } else {
+      throw new Error(`Unsupported signature algorithm: ${algorithm}`);
+    }
+
+    return `did:key:z${encodeBase58(Buffer.concat([MULTICODEC_PREFIXES[algorithm], rawKey]))}`;
+  }
+
+  /**
+   * Public key behind a did:key identifier or verification method
+   * @param {string} didUrl - did:key identifier, optionally with a #fragment
+   * @returns {Object} { did, publicKey (PEM), algorithm, keyId }
+   */
+  resolveDidKey(didUrl) {
+    const did = String(didUrl).split('#')[0];
+    if (!did.startsWith('did:key:z')) {
+      throw new Error(`Unsupported verification method: ${didUrl}`);
+    }
+
+    const decoded = decodeBase58(did.slice('did:key:z'.length));
+    const algorithm = Object.keys(MULTICODEC_PREFIXES)
+      .find((name) => decoded.subarray(0, 2).equals(MULTICODEC_PREFIXES[name]));
+    const rawKey = decoded.subarray(2);
+    let jwk;
+
+    if (algorithm === 'Ed25519' && rawKey.length === 32) {
+      jwk = { kty: 'OKP', crv: 'Ed25519', x: rawKey.toString('base64url') };
+    } else if (algorithm === 'ES256' && rawKey.length === 33) {
+      const point = crypto.ECDH.convertKey(rawKey, 'prime256v1', null, null, 'uncompressed');
+      jwk = {
+        kty: 'EC',
+        crv: 'P-256',
+        x: point.subarray(1, 33).toString('base64url'),
+        y: point.subarray(33).toString('base64url'),
+      };
+    } else {
+      throw new Error(`Unsupported did:key: ${did}`);
+    }
+
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' }).export({ type: 'spki', format: 'pem' });
+    return {
+      did, publicKey, algorithm, keyId: this.signer.getKeyId(publicKey),
+    };
+  }
+
+  /**
+   * Add a Data Integrity proof to a credential
+   * @param {Object} credential - Unsecured credential
+   * @param {Object} signingKey - Key with privateKey, publicKey and algorithm
+   * @returns {Object} Credential with proof
+   */
+  addDataIntegrityProof(credential, signingKey) {
+    const did = VerifiableCredentials.toDidKey(signingKey.publicKey, signingKey.algorithm);
+    const proof = {
+      type: 'DataIntegrityProof',
+      cryptosuite: CRYPTOSUITES[signingKey.algorithm],
+      created: new Date().toISOString(),
+      verificationMethod: `${did}#${did.slice('did:key:'.length)}`,
+      proofPurpose: 'assertionMethod',
+    };
+
+    const hashData = getProofHashData(credential, proof);
+    const signature = this.signer.sign(hashData, signingKey.privateKey, signingKey.algorithm);
+    return {
+      ...credential,
+      proof: {
+        ...proof,
+        proofValue: `z${encodeBase58(Buffer.from(signature, 'base64'))}`,
+      },
+    };
+  }
+
+  /**
+   * Verify the Data Integrity proof of a credential
+   * @param {Object} credential - Secured credential
+   * @returns {Object} { verified, credential (without proof), key, signedAt, reasons: [{ code, message }] }
+   */
+  verifyDataIntegrityProof(credential) {
+    const { proof, ...unsecured } = credential || {};
+    const fail = (code, message) => ({
+      verified: false, credential: unsecured, key: null, reasons: [{ code, message }],
+    });
+
+    if (!proof || proof.type !== 'DataIntegrityProof' || proof.proofPurpose !== 'assertionMethod') {
+      return fail('INVALID_PROOF', 'Credential has no assertion DataIntegrityProof');
+    }
+
+    let key;
+    try {
+      key = this.resolveDidKey(proof.verificationMethod);
+    } catch (error) {
+      return fail('INVALID_PROOF', error.message);
+    }
+    if (proof.cryptosuite !== CRYPTOSUITES[key.algorithm]) {
+      return fail('INVALID_PROOF', `Cryptosuite ${proof.cryptosuite} does not match a ${key.algorithm} key`);
+    }
+    if (getIssuerId(unsecured) !== key.did) {
+      return fail('ISSUER_MISMATCH', 'Proof was not made by the credential issuer');
+    }
+
+    const { proofValue, ...proofOptions } = proof;
+    if (typeof proofValue !== 'string' || !proofValue.startsWith('z')) {
+      return fail('INVALID_PROOF', 'proofValue must be base58btc multibase');
+    }
+    const signature = decodeBase58(proofValue.slice(1)).toString('base64');
+    if (!this.signer.verify(getProofHashData(unsecured, proofOptions), signature, key.publicKey, key.algorithm)) {
+      return fail('INVALID_PROOF', 'Proof signature does not verify');
+    }
+
+    return {
+      verified: true, credential: unsecured, key, signedAt: proof.created, reasons: [],
+    };
+  }
+
+  /**
+   * Secure a credential as a JWT (application/vc+jwt)
+   * @param {Object} credential - Unsecured credential
+   * @param {Object} signingKey - ES256 key with privateKey and publicKey
+   * @returns {string} Compact JWT
+   */
+  static signJWT(credential, signingKey) {
+    if (signingKey.algorithm !== 'ES256') {
+      throw new Error('JWT credentials require an ES256 key; use a Data Integrity proof for Ed25519');
+    }
+
+    const did = VerifiableCredentials.toDidKey(signingKey.publicKey, signingKey.algorithm);
+    return jwt.sign({ ...credential, iss: did, jti: credential.id }, signingKey.privateKey, {
+      algorithm: 'ES256',
+      header: { typ: 'vc+jwt', cty: 'vc', kid: `${did}#${did.slice('did:key:'.length)}` },
+    });
+  }
+
+  /**
+   * Verify a JWT secured credential
+   * @param {string} token - Compact JWT
+   * @returns {Object} { verified, credential, key, signedAt, reasons: [{ code, message }] }
+   */
+  verifyJWT(token) {
+    const fail = (code, message) => ({
+      verified: false, credential: null, key: null, reasons: [{ code, message }],
+    });
+
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header || !decoded.header.kid) {
+      return fail('INVALID_PROOF', 'Credential JWT is malformed or has no kid');
+    }
+
+    let key;
+    try {
+      key = this.resolveDidKey(decoded.header.kid);
+    } catch (error) {
+      return fail('INVALID_PROOF', error.message);
+    }
+
+    let payload;
+    try {
+      // Validity periods are judged from the license itself
+      payload = jwt.verify(token, key.publicKey, {
+        algorithms: ['ES256'],
+        ignoreExpiration: true,
+        ignoreNotBefore: true,
+      });
+    } catch (error) {
+      return fail('INVALID_PROOF', error.message);
+    }
+
+    const {
+      iss, jti, iat, ...credential
+    } = payload;
+    if (iss !== key.did || getIssuerId(credential) !== key.did) {
+      return fail('ISSUER_MISMATCH', 'JWT was not signed by the credential issuer');
+    }
+
+    const signedAt = iat ? new Date(iat * 1000).toISOString() : new Date().toISOString();
+    return {
+      verified: true, credential, key, signedAt, reasons: [],
+    };
+  }
+}
+
+module.exports = {
+  CREDENTIALS_CONTEXT,
+  CRYPTOSUITES,
+  VerifiableCredentials,
+};
@@ -0,0 +1,119 @@
+const LicenseGenerator = require('./license-generator');
+const { VerifiableCredentials } = require('./verifiable-credentials');
+
+const generate = (generator) => generator.generateLicense({
+  type: 'do-not-train', creator: 'Ada', content: 'Protected text',
+});
+const codes = (result) => result.reasons.map((reason) => reason.code);
+
+describe('VerifiableCredentials', () => {
+  describe.each(['Ed25519', 'ES256'])('Data Integrity proofs with %s', (algorithm) => {
+    const issuer = new LicenseGenerator({ signingKey: new LicenseGenerator().signer.generateKeyPair(algorithm) });
+    const verifier = new LicenseGenerator({ trustedKeys: [issuer.getIssuerPublicKey()] });
+    const license = generate(issuer);
+
+    test('imports the license it exported', () => {
+      const credential = issuer.toVerifiableCredential(license);
+
+      expect(credential.proof.cryptosuite).toBe(algorithm === 'ES256' ? 'ecdsa-jcs-2019' : 'eddsa-jcs-2022');
+      expect(verifier.fromVerifiableCredential(credential)).toMatchObject({
+        license, format: 'data-integrity', credentialVerified: true, valid: true, status: 'active',
+      });
+    });
+
+    test('rejects a credential whose license was changed after the proof', () => {
+      const credential = issuer.toVerifiableCredential(license);
+      const tampered = {
+        ...credential,
+        credentialSubject: { ...credential.credentialSubject, license: { ...license, creator: 'Eve' } },
+      };
+
+      const result = verifier.fromVerifiableCredential(tampered);
+
+      expect(result).toMatchObject({ credentialVerified: false, valid: false });
+      expect(codes(result)).toEqual(['INVALID_PROOF', 'HASH_MISMATCH']);
+    });
+
+    test('rejects a tampered proof value', () => {
+      const credential = issuer.toVerifiableCredential(license);
+      const { proofValue } = credential.proof;
+      const tampered = {
+        ...credential,
+        proof: { ...credential.proof, proofValue: `${proofValue.slice(0, -1)}${proofValue.endsWith('1') ? '2' : '1'}` },
+      };
+
+      expect(codes(verifier.fromVerifiableCredential(tampered))).toEqual(['INVALID_PROOF']);
+    });
+  });
+
+  describe('JWT credentials', () => {
+    const issuer = new LicenseGenerator({ signingKey: new LicenseGenerator().signer.generateKeyPair('ES256') });
+    const verifier = new LicenseGenerator({ trustedKeys: [issuer.getIssuerPublicKey()] });
+    const license = generate(issuer);
+
+    test('imports the license it exported', () => {
+      const token = issuer.toVerifiableCredential(license, { format: 'jwt' });
+
+      expect(typeof token).toBe('string');
+      expect(verifier.fromVerifiableCredential(token)).toMatchObject({
+        license, format: 'jwt', credentialVerified: true, valid: true,
+      });
+    });
+
+    test('rejects a token whose payload was changed after signing', () => {
+      const [header, payload, signature] = issuer.toVerifiableCredential(license, { format: 'jwt' }).split('.');
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      claims.credentialSubject.license.type = 'attribution-required';
+      const tampered = [header, Buffer.from(JSON.stringify(claims)).toString('base64url'), signature].join('.');
+
+      const result = verifier.fromVerifiableCredential(tampered);
+
+      expect(result).toMatchObject({ credentialVerified: false, valid: false });
+      expect(codes(result)[0]).toBe('INVALID_PROOF');
+    });
+
+    test('are only issued with ES256 keys', () => {
+      const ed25519Issuer = new LicenseGenerator();
+
+      expect(() => ed25519Issuer.toVerifiableCredential(generate(ed25519Issuer), { format: 'jwt' }))
+        .toThrow('JWT credentials require an ES256 key');
+    });
+  });
+
+  describe('issuers', () => {
+    const issuer = new LicenseGenerator();
+    const verifier = new LicenseGenerator({ trustedKeys: [issuer.getIssuerPublicKey()] });
+    const license = generate(issuer);
+
+    test('rejects a credential for the license secured by another key', () => {
+      const forger = new LicenseGenerator({ trustedKeys: [issuer.getIssuerPublicKey()] });
+      const forgerKey = forger.getSigningKey();
+      const { proof, ...credential } = issuer.toVerifiableCredential(license);
+      const forged = forger.credentials.addDataIntegrityProof({
+        ...credential, issuer: VerifiableCredentials.toDidKey(forgerKey.publicKey, forgerKey.algorithm),
+      }, forgerKey);
+
+      const result = verifier.fromVerifiableCredential(forged);
+
+      expect(() => forger.toVerifiableCredential(license)).toThrow(`Only the issuer of license ${license.id}`);
+      expect(result).toMatchObject({ credentialVerified: false, valid: false });
+      expect(codes(result)).toEqual(['UNTRUSTED_ISSUER']);
+    });
+
+    test('rejects a proof made by a key other than the credential issuer', () => {
+      const { proof, ...credential } = issuer.toVerifiableCredential(license);
+      const other = new LicenseGenerator();
+      const forged = other.credentials.addDataIntegrityProof(credential, other.getSigningKey());
+
+      expect(codes(verifier.fromVerifiableCredential(forged))).toEqual(['ISSUER_MISMATCH']);
+    });
+
+    test('resolves the did:key of an issuer key back to the key', () => {
+      const { publicKey, keyId } = issuer.getIssuerPublicKey();
+      const did = VerifiableCredentials.toDidKey(publicKey, 'Ed25519');
+
+      expect(did).toMatch(/^did:key:z6Mk/);
+      expect(issuer.credentials.resolveDidKey(did)).toMatchObject({ did, keyId, algorithm: 'Ed25519' });
+    });
+  });
+});
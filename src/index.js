@@ -3,11 +3,21 @@
  * A machine-readable licensing protocol for protecting datasets from unauthorized AI training
  */
 
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
 const LicenseGenerator = require('./core/license-generator');
 const CrossPlatformInjector = require('./platform/cross-platform-injector');
+const StaticSiteInjector = require('./platform/static-site-injector');
+const ImageMetadataInjector = require('./platform/image-metadata-injector');
 const ValidationServer = require('./api/validation-server');
 const ComplianceMonitor = require('./monitoring/compliance-monitor');
 const DeploymentManager = require('./platforms/deployment-manager');
+const IssuerKeyring = require('./core/issuer-keyring');
+const TextSimilarityIndex = require('./core/text-similarity-index');
+const { LicenseTypeRegistry, defaultRegistry } = require('./core/license-types');
+const { RevocationList } = require('./core/revocation-list');
+const LicenseGrants = require('./core/license-grants');
 
 /**
  * Main Data Protection Platform class
@@ -16,10 +26,27 @@ const DeploymentManager = require('./platforms/deployment-manager');
 class DataProtectionPlatform {
   constructor(config = {}) {
     this.config = config;
-    this.licenseGenerator = new LicenseGenerator();
-    this.crossPlatformInjector = new CrossPlatformInjector();
-    this.validationServer = new ValidationServer(config.server);
-    this.complianceMonitor = new ComplianceMonitor(config.monitoring);
+    this.licenseTypes = config.licenseTypes || defaultRegistry;
+    this.licenseGenerator = new LicenseGenerator({
+      signingKey: config.signingKey,
+      trustedKeys: config.trustedKeys,
+      keyring: config.keyring,
+      licenseTypes: this.licenseTypes,
+    });
+    this.crossPlatformInjector = new CrossPlatformInjector({ licenseTypes: this.licenseTypes });
+    this.imageMetadataInjector = new ImageMetadataInjector({ licenseTypes: this.licenseTypes });
+    this.validationServer = new ValidationServer({
+      trustedKeys: config.trustedKeys,
+      keyring: config.keyring,
+      licenseTypes: this.licenseTypes,
+      ...config.server,
+    });
+    this.complianceMonitor = new ComplianceMonitor({
+      trustedKeys: config.trustedKeys,
+      keyring: config.keyring,
+      licenseTypes: this.licenseTypes,
+      ...config.monitoring,
+    });
     this.deploymentManager = new DeploymentManager(config.deployment);
   }
 
@@ -69,6 +96,7 @@ class DataProtectionPlatform {
           licenseId: license.id,
           hash: license.hash,
           type: license.type,
+          ...(license.clauses ? { clauses: license.clauses } : {}),
           platformsDeployed: deploymentResult.successful.length,
           successRate: deploymentResult.summary.successRate,
           monitoringActive: monitoringSession.monitoring,
@@ -91,10 +119,11 @@ class DataProtectionPlatform {
   /**
    * Validate existing license
    * @param {Object} license - License to validate
-   * @returns {Object} Validation result
+   * @param {Object} options - Validation options (at, revocationSource)
+   * @returns {Object} Validation result with valid, status and reasons
    */
-  async validateLicense(license) {
-    return this.licenseGenerator.validateLicense(license);
+  async validateLicense(license, options = {}) {
+    return this.licenseGenerator.validateLicense(license, options);
   }
 
   /**
@@ -113,6 +142,16 @@ class DataProtectionPlatform {
     return await this.complianceMonitor.start();
   }
 
+  /**
+   * Register a custom license type with every subsystem
+   * @param {Object} definition - License type definition (see LicenseTypeRegistry.register)
+   * @param {Object} options - Registration options
+   * @returns {Object} Registered definition
+   */
+  registerLicenseType(definition, options = {}) {
+    return this.licenseTypes.register(definition, options);
+  }
+
   /**
    * Generate platform-specific files only
    * @param {Object} license - License object
@@ -180,110 +219,123 @@ class DataProtectionPlatform {
 module.exports = {
   DataProtectionPlatform,
   LicenseGenerator,
+  LicenseTypeRegistry,
+  RevocationList,
+  LicenseGrants,
+  IssuerKeyring,
+  TextSimilarityIndex,
   CrossPlatformInjector,
+  StaticSiteInjector,
+  ImageMetadataInjector,
   ValidationServer,
   ComplianceMonitor,
   DeploymentManager
 };
 
-// CLI usage when run directly
-if (require.main === module) {
-  const args = process.argv.slice(2);
-  const command = args[0];
-
-  switch (command) {
-    case 'generate':
-      generateLicenseFromCLI(args.slice(1));
-      break;
-    case 'validate':
-      validateLicenseFromCLI(args.slice(1));
-      break;
-    case 'deploy':
-      deployLicenseFromCLI(args.slice(1));
-      break;
-    case 'monitor':
-      startMonitoringFromCLI(args.slice(1));
-      break;
-    case 'server':
-      startServerFromCLI(args.slice(1));
-      break;
-    default:
-      console.log(`
-🛡️ Data Protection Platform CLI
+// CLI commands write their messages to output ({ log, error }), handed over by runCLI
 
-Usage: node src/index.js <command> [options]
-
-Commands:
-  generate    Generate a new license
-  validate    Validate an existing license
-  deploy      Deploy license to platforms
-  monitor     Start compliance monitoring
-  server      Start validation server
-
-Examples:
-  node src/index.js generate --type do-not-train --creator "John Doe" --content "My dataset"
-  node src/index.js validate --file license.json
-  node src/index.js deploy --license license.json --platforms github,huggingface
-  node src/index.js monitor --platforms github,huggingface,kaggle
-  node src/index.js server --port 3000
+function getArgValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+}
 
-For detailed documentation: https://data-protection.org/docs
-      `);
+async function loadKeyringFromCLI(args, defaultPath = null) {
+  const keyringPath = getArgValue(args, '--keyring') || defaultPath;
+  if (!keyringPath) {
+    return null;
   }
+
+  const keyring = new IssuerKeyring({
+    path: keyringPath,
+    passphrase: getArgValue(args, '--passphrase') || process.env.DPL_KEYRING_PASSPHRASE,
+  });
+  return keyring.load();
 }
 
-async function generateLicenseFromCLI(args) {
+async function generateLicenseFromCLI(args, output) {
   try {
-    const platform = new DataProtectionPlatform();
-    
     // Parse CLI arguments (simplified)
-    const type = getArgValue(args, '--type') || 'do-not-train';
+    // Comma-separated types produce a composite license
+    const type = (getArgValue(args, '--type') || 'do-not-train').split(',').map((name) => name.trim());
     const creator = getArgValue(args, '--creator') || 'Unknown Creator';
     const content = getArgValue(args, '--content') || 'Protected Content';
+    const contentPath = getArgValue(args, '--path');
+    const keyFile = getArgValue(args, '--key');
+    const algorithm = getArgValue(args, '--algorithm') || 'Ed25519';
+    const keyring = await loadKeyringFromCLI(args);
+
+    const signingKey = keyFile
+      ? { privateKey: await fs.readFile(keyFile, 'utf8'), algorithm }
+      : null;
+    const platform = new DataProtectionPlatform({ signingKey, keyring });
     
-    const license = platform.licenseGenerator.generateLicense({
-      type,
-      creator,
-      content
-    });
+    const manifestFile = getArgValue(args, '--manifest');
+    let license;
+
+    if (contentPath && manifestFile) {
+      // Dataset license: Merkle root over every file, with a manifest for inclusion proofs
+      const dataset = await platform.licenseGenerator.generateDatasetLicense({ type, creator, path: contentPath });
+      license = dataset.license;
+      await fs.writeFile(manifestFile, JSON.stringify(dataset.manifest, null, 2));
+      output.log(`🌳 Dataset manifest saved to: ${manifestFile} (${dataset.manifest.fileCount} files)`);
+    } else {
+      // Files and directories are hashed as streams rather than read into memory
+      license = contentPath
+        ? await platform.licenseGenerator.generateLicenseFromSource({ type, creator, path: contentPath })
+        : platform.licenseGenerator.generateLicense({ type, creator, content });
+    }
     
-    console.log('✅ License Generated:');
-    console.log(JSON.stringify(license, null, 2));
+    output.log('✅ License Generated:');
+    output.log(JSON.stringify(license, null, 2));
     
     // Save to file
-    const fs = require('fs').promises;
     await fs.writeFile('generated-license.json', JSON.stringify(license, null, 2));
-    console.log('💾 Saved to: generated-license.json');
-    
+    output.log('💾 Saved to: generated-license.json');
+
+    if (!keyFile && !keyring) {
+      // Ephemeral issuer key: keep the public half so the license can be validated later
+      const { publicKey } = platform.licenseGenerator.getIssuerPublicKey();
+      await fs.writeFile('generated-license.pub.pem', publicKey);
+      output.log('🔑 Issuer public key saved to: generated-license.pub.pem');
+    }
   } catch (error) {
-    console.error('❌ License generation failed:', error.message);
+    output.error('❌ License generation failed:', error.message);
   }
 }
 
-async function validateLicenseFromCLI(args) {
+async function validateLicenseFromCLI(args, output) {
   try {
-    const platform = new DataProtectionPlatform();
-    const fs = require('fs').promises;
-    
     const licenseFile = getArgValue(args, '--file') || 'license.json';
+    const publicKeyFile = getArgValue(args, '--public-key');
     const licenseData = await fs.readFile(licenseFile, 'utf8');
     const license = JSON.parse(licenseData);
+
+    const trustedKeys = publicKeyFile
+      ? [{ publicKey: await fs.readFile(publicKeyFile, 'utf8'), algorithm: license.issuer && license.issuer.algorithm }]
+      : [];
+    const keyring = await loadKeyringFromCLI(args);
+    const platform = new DataProtectionPlatform({ trustedKeys, keyring });
     
-    const isValid = platform.licenseGenerator.validateLicense(license);
-    
-    console.log(`Validation Result: ${isValid ? '✅ VALID' : '❌ INVALID'}`);
-    console.log(`License ID: ${license.id}`);
-    console.log(`Hash: ${license.hash}`);
+    const result = platform.licenseGenerator.validateLicense(license);
     
+    output.log(`Validation Result: ${result.valid ? '✅ VALID' : '❌ INVALID'}`);
+    output.log(`Status: ${result.status}`);
+    output.log(`License ID: ${license.id}`);
+    output.log(`Hash: ${license.hash}`);
+    result.reasons.forEach((reason) => output.log(`  - ${reason.code}: ${reason.message}`));
+    if (result.parties) {
+      output.log(`Party signatures: ${result.parties.signed.length} of ${result.parties.threshold} required`);
+      result.parties.signed.forEach((party) => output.log(`  ✍️ ${party.name} (${party.signedAt})`));
+      result.parties.unsigned.forEach((party) => output.log(`  ⏳ ${party.name}`));
+    }
   } catch (error) {
-    console.error('❌ License validation failed:', error.message);
+    output.error('❌ License validation failed:', error.message);
   }
 }
 
-async function deployLicenseFromCLI(args) {
+async function deployLicenseFromCLI(args, output) {
   try {
     const platform = new DataProtectionPlatform();
-    const fs = require('fs').promises;
     
     const licenseFile = getArgValue(args, '--license') || 'license.json';
     const platformsList = getArgValue(args, '--platforms') || 'github';
@@ -297,23 +349,22 @@ async function deployLicenseFromCLI(args) {
       platforms
     );
     
-    console.log('🚀 Deployment Results:');
-    console.log(`✅ Successful: ${result.successful.length}`);
-    console.log(`❌ Failed: ${result.failed.length}`);
-    console.log(`📊 Success Rate: ${result.summary.successRate}%`);
-    
+    output.log('🚀 Deployment Results:');
+    output.log(`✅ Successful: ${result.successful.length}`);
+    output.log(`❌ Failed: ${result.failed.length}`);
+    output.log(`📊 Success Rate: ${result.summary.successRate}%`);
   } catch (error) {
-    console.error('❌ Deployment failed:', error.message);
+    output.error('❌ Deployment failed:', error.message);
   }
 }
 
-async function startMonitoringFromCLI(args) {
+async function startMonitoringFromCLI(args, output) {
   try {
     const platform = new DataProtectionPlatform();
     const platformsList = getArgValue(args, '--platforms') || 'github,huggingface';
     const platforms = platformsList.split(',');
     
-    console.log('👁️ Starting compliance monitoring...');
+    output.log('👁️ Starting compliance monitoring...');
     await platform.startComplianceMonitoring();
     
     const session = await platform.complianceMonitor.monitorPlatform(
@@ -321,30 +372,380 @@ async function startMonitoringFromCLI(args) {
       { interval: 30000 }
     );
     
-    console.log(`✅ Monitoring ${platforms.length} platforms`);
-    console.log('Press Ctrl+C to stop monitoring');
-    
+    output.log(`✅ Monitoring ${platforms.length} platforms`);
+    output.log('Press Ctrl+C to stop monitoring');
   } catch (error) {
-    console.error('❌ Monitoring failed:', error.message);
+    output.error('❌ Monitoring failed:', error.message);
   }
 }
 
-async function startServerFromCLI(args) {
+async function startServerFromCLI(args, output) {
   try {
+    const jwksPath = getArgValue(args, '--jwks') || process.env.TRUSTED_JWKS_PATH;
+
+    // The server refuses to start unless it can verify licenses with a keyring or a published JWKS
     const platform = new DataProtectionPlatform({
+      keyring: await loadKeyringFromCLI(args, process.env.KEYRING_PATH),
       server: {
-        port: getArgValue(args, '--port') || 3000
+        port: getArgValue(args, '--port') || 3000,
+        trustedJWKS: jwksPath ? JSON.parse(await fs.readFile(jwksPath, 'utf8')) : null,
       }
     });
     
     await platform.startValidationServer();
     
   } catch (error) {
-    console.error('❌ Server startup failed:', error.message);
+    output.error('❌ Server startup failed:', error.message);
   }
 }
 
-function getArgValue(args, flag) {
-  const index = args.indexOf(flag);
-  return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+async function revokeLicenseFromCLI(args, output) {
+  try {
+    const licenseHash = getArgValue(args, '--hash');
+    const reason = getArgValue(args, '--reason') || 'unspecified';
+    const keyFile = getArgValue(args, '--key');
+    const algorithm = getArgValue(args, '--algorithm') || 'Ed25519';
+    const serverUrl = getArgValue(args, '--server');
+
+    if (!licenseHash) {
+      throw new Error('--hash is required');
+    }
+    if (!RevocationList.isValidReason(reason)) {
+      throw new Error(`Unsupported revocation reason: ${reason}`);
+    }
+
+    const keyring = await loadKeyringFromCLI(args);
+    if (!keyFile && !keyring) {
+      throw new Error('Revocation requests must be signed: pass --key or --keyring');
+    }
+    const signingKey = keyFile
+      ? { privateKey: await fs.readFile(keyFile, 'utf8'), algorithm }
+      : null;
+    const platform = new DataProtectionPlatform({ signingKey, keyring });
+    const request = platform.licenseGenerator.createRevocationRequest(licenseHash, reason);
+
+    if (!serverUrl) {
+      output.log(JSON.stringify(request, null, 2));
+      return;
+    }
+
+    const response = await axios.post(`${serverUrl.replace(/\/$/, '')}/api/v1/revoke`, request);
+    output.log(`⛔ License revoked: ${licenseHash} (${reason}), list number ${response.data.revocation.number}`);
+  } catch (error) {
+    const message = error.response ? error.response.data.error : error.message;
+    output.error('❌ Revocation failed:', message);
+  }
+}
+
+async function manageKeysFromCLI(args, output) {
+  try {
+    const action = args[0];
+    const keyring = await loadKeyringFromCLI(args, 'keyring.json');
+
+    switch (action) {
+      case 'generate': {
+        const key = keyring.generateKey({
+          algorithm: getArgValue(args, '--algorithm') || 'Ed25519',
+        });
+        await keyring.save();
+        output.log(`🔑 Generated ${key.algorithm} key: ${key.keyId}`);
+        break;
+      }
+      case 'rotate': {
+        const overlapDays = getArgValue(args, '--overlap-days');
+        const rotation = keyring.rotate({
+          algorithm: getArgValue(args, '--algorithm'),
+          overlapDays: overlapDays !== null ? Number(overlapDays) : undefined,
+        });
+        await keyring.save();
+        output.log(`🔄 Rotated ${rotation.previous.keyId} -> ${rotation.current.keyId}`);
+        output.log(`⏳ Previous key valid until: ${rotation.previous.validUntil}`);
+        break;
+      }
+      case 'compromise': {
+        const keyId = getArgValue(args, '--key-id');
+        if (!keyId) {
+          throw new Error('--key-id is required');
+        }
+        const key = keyring.markCompromised(keyId, getArgValue(args, '--reason') || 'unspecified');
+        await keyring.save();
+        output.log(`🚫 Key marked as compromised: ${key.keyId}`);
+        break;
+      }
+      case 'list':
+        output.log(JSON.stringify(keyring.listKeys(), null, 2));
+        break;
+      case 'jwks': {
+        const jwks = JSON.stringify(keyring.toJWKS(), null, 2);
+        const outFile = getArgValue(args, '--out');
+        if (outFile) {
+          await fs.writeFile(outFile, jwks);
+          output.log(`💾 JWKS saved to: ${outFile}`);
+        } else {
+          output.log(jwks);
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unknown keys command: ${action || '(none)'}`);
+    }
+  } catch (error) {
+    output.error('❌ Key management failed:', error.message);
+  }
+}
+
+async function manageCredentialsFromCLI(args, output) {
+  try {
+    const action = args[0];
+    const file = getArgValue(args, '--file');
+    if (!file) {
+      throw new Error('--file is required');
+    }
+
+    const keyFile = getArgValue(args, '--key');
+    const publicKeyFile = getArgValue(args, '--public-key');
+    const algorithm = getArgValue(args, '--algorithm') || 'Ed25519';
+    const keyring = await loadKeyringFromCLI(args);
+    const input = (await fs.readFile(file, 'utf8')).trim();
+
+    switch (action) {
+      case 'export': {
+        if (!keyFile && !keyring) {
+          throw new Error('Credentials are issued by the license issuer: pass --key or --keyring');
+        }
+        const signingKey = keyFile ? { privateKey: await fs.readFile(keyFile, 'utf8'), algorithm } : null;
+        const platform = new DataProtectionPlatform({ signingKey, keyring });
+        const credential = platform.licenseGenerator.toVerifiableCredential(JSON.parse(input), {
+          format: getArgValue(args, '--format') || 'data-integrity',
+        });
+        const serialized = typeof credential === 'string' ? credential : JSON.stringify(credential, null, 2);
+        const outFile = getArgValue(args, '--out');
+        if (outFile) {
+          await fs.writeFile(outFile, serialized);
+          output.log(`🪪 Credential saved to: ${outFile}`);
+        } else {
+          output.log(serialized);
+        }
+        break;
+      }
+      case 'import': {
+        const trustedKeys = publicKeyFile
+          ? [{ publicKey: await fs.readFile(publicKeyFile, 'utf8'), algorithm }]
+          : [];
+        const platform = new DataProtectionPlatform({ trustedKeys, keyring });
+        // Compact JWTs are plain text; Data Integrity credentials are JSON
+        const credential = input.startsWith('{') ? JSON.parse(input) : input;
+        const result = platform.licenseGenerator.fromVerifiableCredential(credential);
+
+        output.log(`Credential (${result.format}): ${result.credentialVerified ? '✅ VERIFIED' : '❌ NOT VERIFIED'}`);
+        output.log(`Validation Result: ${result.valid ? '✅ VALID' : '❌ INVALID'}`);
+        output.log(`Status: ${result.status}`);
+        result.reasons.forEach((reason) => output.log(`  - ${reason.code}: ${reason.message}`));
+        if (result.license) {
+          const outFile = getArgValue(args, '--out');
+          if (outFile) {
+            await fs.writeFile(outFile, JSON.stringify(result.license, null, 2));
+            output.log(`💾 License saved to: ${outFile}`);
+          }
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unknown credential command: ${action || '(none)'}`);
+    }
+  } catch (error) {
+    output.error('❌ Credential command failed:', error.message);
+  }
+}
+
+async function manageTextIndexFromCLI(args, output) {
+  try {
+    const action = args[0];
+
+    switch (action) {
+      case 'build': {
+        const corpusDir = getArgValue(args, '--corpus');
+        const outFile = getArgValue(args, '--out') || 'text-index.json';
+        if (!corpusDir) {
+          throw new Error('--corpus is required');
+        }
+        const index = await TextSimilarityIndex.buildFromCorpus(corpusDir);
+        await index.save(outFile);
+        output.log(`📚 Indexed ${index.entries.size} documents into ${outFile}`);
+        break;
+      }
+      case 'query': {
+        const index = await TextSimilarityIndex.load(getArgValue(args, '--index') || 'text-index.json');
+        const textFile = getArgValue(args, '--file');
+        const text = textFile ? await fs.readFile(textFile, 'utf8') : getArgValue(args, '--text');
+        if (!text) {
+          throw new Error('--file or --text is required');
+        }
+        const threshold = getArgValue(args, '--threshold');
+        const matches = index.query(text, { threshold: threshold !== null ? Number(threshold) : undefined });
+        output.log(JSON.stringify(matches, null, 2));
+        break;
+      }
+      default:
+        throw new Error(`Unknown text-index command: ${action || '(none)'}`);
+    }
+  } catch (error) {
+    output.error('❌ Text index command failed:', error.message);
+  }
+}
+
+async function injectHTMLFromCLI(args, output) {
+  try {
+    const siteDir = getArgValue(args, '--dir');
+    const licenseFile = getArgValue(args, '--license');
+    const mapFile = getArgValue(args, '--map');
+    if (!siteDir || (!licenseFile && !mapFile)) {
+      throw new Error('--dir and --license or --map are required');
+    }
+
+    const readJSON = async (file) => JSON.parse(await fs.readFile(file, 'utf8'));
+    // Map file: [{ "path": "blog/**", "license": "blog-license.json" }], license files relative to the map
+    const mapEntries = mapFile ? await readJSON(mapFile) : [];
+    const licenses = await Promise.all(mapEntries.map(async (entry) => ({
+      path: entry.path,
+      license: await readJSON(path.resolve(path.dirname(mapFile), entry.license)),
+    })));
+
+    const platform = new DataProtectionPlatform();
+    const injector = new StaticSiteInjector({ crossPlatformInjector: platform.crossPlatformInjector });
+    const result = await injector.injectDirectory(siteDir, {
+      license: licenseFile ? await readJSON(licenseFile) : null,
+      licenses,
+      dryRun: args.includes('--dry-run'),
+    });
+
+    result.pages.filter((page) => page.status !== 'unchanged').forEach((page) => {
+      const licenseId = page.licenseId ? ` (${page.licenseId})` : '';
+      const reason = page.reason ? ` - ${page.reason}` : '';
+      output.log(`${page.status.padEnd(9)} ${page.path}${licenseId}${reason}`);
+    });
+    const { summary } = result;
+    const counts = `${summary.inserted} inserted, ${summary.updated} updated, `
+      + `${summary.unchanged} unchanged, ${summary.skipped} skipped`;
+    output.log(`📄 ${summary.total} pages: ${counts}${args.includes('--dry-run') ? ' (dry run)' : ''}`);
+  } catch (error) {
+    output.error('❌ HTML injection failed:', error.message);
+  }
+}
+
+async function manageImageMetadataFromCLI(args, output) {
+  try {
+    const action = args[0];
+    const imageFile = getArgValue(args, '--file');
+    const licenseFile = getArgValue(args, '--license');
+    if (!imageFile) {
+      throw new Error('--file is required');
+    }
+    const license = licenseFile ? JSON.parse(await fs.readFile(licenseFile, 'utf8')) : null;
+    const platform = new DataProtectionPlatform();
+
+    switch (action) {
+      case 'embed': {
+        if (!license) {
+          throw new Error('--license is required');
+        }
+        const outPath = getArgValue(args, '--out') || imageFile;
+        const outFile = await platform.imageMetadataInjector.embedFile(imageFile, license, outPath);
+        output.log(`🖼️ Embedded license ${license.id} into ${outFile}`);
+        break;
+      }
+      case 'verify': {
+        const result = await platform.imageMetadataInjector.verify(imageFile, license);
+        output.log(JSON.stringify(result, null, 2));
+        output.log(result.valid ? '✅ Image metadata matches' : '❌ Image metadata does not match');
+        break;
+      }
+      default:
+        throw new Error(`Unknown image-metadata command: ${action || '(none)'}`);
+    }
+  } catch (error) {
+    output.error('❌ Image metadata command failed:', error.message);
+  }
+}
+
+const CLI_COMMANDS = {
+  generate: generateLicenseFromCLI,
+  validate: validateLicenseFromCLI,
+  deploy: deployLicenseFromCLI,
+  monitor: startMonitoringFromCLI,
+  server: startServerFromCLI,
+  revoke: revokeLicenseFromCLI,
+  keys: manageKeysFromCLI,
+  credential: manageCredentialsFromCLI,
+  'text-index': manageTextIndexFromCLI,
+  'inject-html': injectHTMLFromCLI,
+  'image-metadata': manageImageMetadataFromCLI,
+};
+
+const CLI_USAGE = `
+🛡️ Data Protection Platform CLI
+
+Usage: node src/index.js <command> [options]
+
+Commands:
+  generate    Generate a new license
+  validate    Validate an existing license
+  deploy      Deploy license to platforms
+  monitor     Start compliance monitoring
+  server      Start validation server
+  revoke      Create a signed revocation request (and send it with --server)
+  keys        Manage issuer keys (generate, rotate, compromise, list, jwks)
+  credential  Export a license as a W3C Verifiable Credential or import one (export, import)
+  text-index  Build or query the near-duplicate text index (build, query)
+  inject-html Insert or update license meta tags in every page of a static site
+  image-metadata Embed the license in image XMP metadata or verify it (embed, verify)
+
+Examples:
+  node src/index.js generate --type do-not-train --creator "John Doe" --content "My dataset" --key issuer.pem
+  node src/index.js generate --type do-not-train --creator "John Doe" --path ./datasets/images
+  node src/index.js generate --type do-not-train,attribution-required --creator "John Doe" --content "My dataset"
+  node src/index.js generate --type do-not-train --creator "John Doe" --path ./datasets/images --manifest manifest.json
+  node src/index.js validate --file license.json --public-key issuer.pub.pem
+  node src/index.js deploy --license license.json --platforms github,huggingface
+  node src/index.js monitor --platforms github,huggingface,kaggle
+  node src/index.js server --port 3000 --keyring keyring.json
+  node src/index.js server --port 3000 --jwks jwks.json
+  node src/index.js revoke --hash <hash> --reason issued-in-error --keyring keyring.json --server http://localhost:3000
+  node src/index.js keys generate --keyring keyring.json --passphrase "secret"
+  node src/index.js keys rotate --keyring keyring.json --overlap-days 30
+  node src/index.js keys compromise --keyring keyring.json --key-id <keyId>
+  node src/index.js keys jwks --keyring keyring.json --out jwks.json
+  node src/index.js credential export --file license.json --keyring keyring.json --format jwt --out license.vc.jwt
+  node src/index.js credential import --file license.vc.json --keyring keyring.json
+  node src/index.js text-index build --corpus ./protected-texts --out text-index.json
+  node src/index.js text-index query --index text-index.json --file scraped.txt
+  node src/index.js inject-html --dir ./public --license license.json --map license-map.json --dry-run
+  node src/index.js image-metadata embed --file photo.jpg --license license.json --out photo.licensed.jpg
+  node src/index.js image-metadata verify --file photo.licensed.jpg --license license.json
+
+The keyring passphrase can also be supplied via DPL_KEYRING_PASSPHRASE.
+
+For detailed documentation: https://data-protection.org/docs
+`;
+
+/**
+ * Run a CLI command
+ * @param {Array} argv - Command and its arguments, e.g. process.argv.slice(2)
+ * @param {Object} output - Where messages go ({ log, error }, e.g. console)
+ * @returns {Promise<void>} Resolves once the command has finished
+ */
+async function runCLI(argv, output) {
+  const [command, ...args] = argv;
+  if (!Object.prototype.hasOwnProperty.call(CLI_COMMANDS, command)) {
+    output.log(CLI_USAGE);
+    return;
+  }
+  await CLI_COMMANDS[command](args, output);
+}
+
+module.exports.runCLI = runCLI;
+
+// CLI usage when run directly; the console is only written to from here
+if (require.main === module) {
+  runCLI(process.argv.slice(2), console);
 }
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const platform = require('./index');
+
+// Collects what a CLI command writes instead of printing it
+function createOutput() {
+  const output = { logged: [], errors: [] };
+  output.log = (...values) => output.logged.push(values.join(' '));
+  output.error = (...values) => output.errors.push(values.join(' '));
+  return output;
+}
+
+describe('CLI', () => {
+  const cwd = process.cwd();
+  let dir;
+
+  beforeEach(() => {
+    // Commands write their files to the working directory
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dpl-cli-'));
+    process.chdir(dir);
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('the entry point loads every component', () => {
+    expect(Object.keys(platform)).toEqual(expect.arrayContaining([
+      'DataProtectionPlatform', 'LicenseGenerator', 'CrossPlatformInjector', 'DeploymentManager', 'runCLI',
+    ]));
+  });
+
+  test('prints the usage when run without a command', () => {
+    const stdout = execFileSync(process.execPath, [path.join(__dirname, 'index.js')], {
+      encoding: 'utf8', timeout: 30000,
+    });
+
+    expect(stdout).toContain('Usage: node src/index.js <command> [options]');
+  });
+
+  test('signs a license with an issuer key and validates it with the public key', async () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    fs.writeFileSync('issuer.pem', privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    fs.writeFileSync('issuer.pub.pem', publicKey.export({ type: 'spki', format: 'pem' }));
+    const output = createOutput();
+
+    await platform.runCLI(['generate', '--type', 'do-not-train', '--creator', 'Ada', '--key', 'issuer.pem'], output);
+    await platform.runCLI(['validate', '--file', 'generated-license.json', '--public-key', 'issuer.pub.pem'], output);
+
+    expect(output.errors).toEqual([]);
+    expect(output.logged).toContain('Validation Result: ✅ VALID');
+    expect(JSON.parse(fs.readFileSync('generated-license.json', 'utf8'))).toMatchObject({ type: 'do-not-train' });
+  });
+
+  test('rejects a license signed by a key it was not given', async () => {
+    const { publicKey } = crypto.generateKeyPairSync('ed25519');
+    fs.writeFileSync('other.pub.pem', publicKey.export({ type: 'spki', format: 'pem' }));
+    const output = createOutput();
+
+    await platform.runCLI(['generate', '--type', 'do-not-train', '--creator', 'Ada'], output);
+    await platform.runCLI(['validate', '--file', 'generated-license.json', '--public-key', 'other.pub.pem'], output);
+
+    expect(output.logged).toContain('Validation Result: ❌ INVALID');
+  });
+
+  test('exports a license as a credential and imports it with the issuer public key', async () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    fs.writeFileSync('issuer.pem', privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    fs.writeFileSync('issuer.pub.pem', publicKey.export({ type: 'spki', format: 'pem' }));
+    const output = createOutput();
+
+    await platform.runCLI(['generate', '--type', 'do-not-train', '--creator', 'Ada', '--key', 'issuer.pem'], output);
+    await platform.runCLI([
+      'credential', 'export', '--file', 'generated-license.json', '--key', 'issuer.pem', '--out', 'license.vc.json',
+    ], output);
+    await platform.runCLI([
+      'credential', 'import', '--file', 'license.vc.json', '--public-key', 'issuer.pub.pem', '--out', 'imported.json',
+    ], output);
+
+    expect(output.errors).toEqual([]);
+    expect(output.logged).toContain('Credential (data-integrity): ✅ VERIFIED');
+    expect(output.logged).toContain('Validation Result: ✅ VALID');
+    expect(fs.readFileSync('imported.json', 'utf8')).toBe(
+      JSON.stringify(JSON.parse(fs.readFileSync('generated-license.json', 'utf8')), null, 2),
+    );
+  });
+
+  test('reports a failing command through the error output', async () => {
+    const output = createOutput();
+
+    await platform.runCLI(['validate', '--file', 'missing.json'], output);
+
+    expect(output.errors[0]).toMatch(/^❌ License validation failed: ENOENT/);
+  });
+});
@@ -1,7 +1,137 @@
-const kafka = require('kafkajs');
+const { Kafka, Partitioners } = require('kafkajs');
 const { Client } = require('pg');
 const prometheus = require('prom-client');
 const LicenseGenerator = require('../core/license-generator');
+const TextSimilarityIndex = require('../core/text-similarity-index');
+const { defaultRegistry, getClauses } = require('../core/license-types');
+const { evaluateRestrictions } = require('../core/restriction-schema');
+const LicenseGrants = require('../core/license-grants');
+
+// Monitor events are only reported when a logger (console, winston...) is configured
+const SILENT_LOGGER = { log() {} };
+
+// Self-asserted approvals are ignored; approvals must be presented as issuer grants
+const CLAIMED_APPROVAL_FIELDS = [
+  'nda_signed', 'pre_approved', 'approved_by', 'use_case_reviewed', 'bias_tested', 'grant',
+];
+
+// Verify the license as signed: columns rebuilt into a license would not keep the signed date text
+function rowToLicense(row) {
+  return typeof row.signed_license === 'string' ? JSON.parse(row.signed_license) : row.signed_license;
+}
+
+function rowToRecord(row) {
+  return {
+    license: rowToLicense(row),
+    status: row.status,
+    revokedAt: row.revoked_at,
+    revocationReason: row.revocation_reason,
+    hasAmendments: Boolean(row.has_amendments),
+  };
+}
+
+// The status column is the revocation source for licenses read from the database
+function recordRevocationSource(record) {
+  return {
+    getRevocation: () => (record.status === 'revoked'
+      ? {
+        reason: record.revocationReason || 'unspecified',
+        revokedAt: record.revokedAt instanceof Date ? record.revokedAt.toISOString() : record.revokedAt,
+      }
+      : null),
+  };
+}
+
+async function getLicenseRecordFromDB(dbClient, licenseHash) {
+  const query = `
+    SELECT l.*, EXISTS (SELECT 1 FROM licenses a WHERE a.previous_hash = l.hash) AS has_amendments
+    FROM licenses l WHERE l.hash = $1
+  `;
+  const result = await dbClient.query(query, [licenseHash]);
+  return result.rows[0] ? rowToRecord(result.rows[0]) : null;
+}
+
+async function getLicenseHistoryFromDB(dbClient, licenseId) {
+  const query = 'SELECT * FROM licenses WHERE license_id = $1 ORDER BY amendment';
+  const result = await dbClient.query(query, [licenseId]);
+  return result.rows.map(rowToRecord);
+}
+
+async function updateLicenseStatus(dbClient, licenseHash, status) {
+  const query = 'UPDATE licenses SET status = $1, updated_at = NOW() WHERE hash = $2';
+  await dbClient.query(query, [status, licenseHash]);
+}
+
+// Make registered license types (including custom ones) known to the database
+function syncLicenseTypes(dbClient, licenseTypes) {
+  const query = `
+    INSERT INTO license_types (name, label, license_text, updated_at)
+    VALUES ($1, $2, $3, NOW())
+    ON CONFLICT (name) DO UPDATE
+    SET label = EXCLUDED.label, license_text = EXCLUDED.license_text, updated_at = NOW()
+  `;
+
+  return Promise.all(licenseTypes.list().map((name) => {
+    const definition = licenseTypes.get(name);
+    return dbClient.query(query, [name, definition.label, definition.text]);
+  }));
+}
+
+async function resolveTermsRecord(dbClient, licenseGenerator, record, at) {
+  if (!record.license.previousHash && !record.hasAmendments) {
+    return { record };
+  }
+
+  const history = await getLicenseHistoryFromDB(dbClient, record.license.id);
+  const chain = history.map((entry) => entry.license);
+  const chainCheck = licenseGenerator.verifyLicenseChain(chain);
+  if (!chainCheck.valid) {
+    return {
+      error: 'License history chain is broken',
+      reasons: chainCheck.reasons,
+      tampered: true,
+    };
+  }
+
+  const inForce = LicenseGenerator.resolveTermsAt(chain, at);
+  if (!inForce) {
+    return {
+      error: 'No license terms were in force at the time of access',
+      reasons: [{ code: 'NOT_YET_VALID', message: `License took effect after ${at.toISOString()}` }],
+    };
+  }
+  return { record: history[chain.indexOf(inForce)] };
+}
+
+function verifyPresentedGrants(licenseGrants, license, accessDetails) {
+  const chain = accessDetails.grants || (accessDetails.grant ? [accessDetails.grant] : null);
+  if (!chain) {
+    return {
+      presented: false, covered: false, grant: null, reasons: [],
+    };
+  }
+
+  const accessTime = accessDetails.timestamp ? new Date(accessDetails.timestamp) : new Date();
+  const verification = licenseGrants.verifyGrantChain(license, chain, accessTime);
+  if (!verification.valid) {
+    return {
+      presented: true, covered: false, grant: null, reasons: verification.reasons,
+    };
+  }
+
+  const coverage = LicenseGrants.covers(verification.grant, accessDetails);
+  return {
+    presented: true,
+    covered: coverage.covered,
+    grant: verification.grant,
+    reasons: coverage.reasons,
+  };
+}
+
+// Metrics are process-wide, so monitors created after the first one share its metrics
+function getMetric(Metric, options) {
+  return prometheus.register.getSingleMetric(options.name) || new Metric(options);
+}
 
 /**
  * Real-Time Compliance Monitoring System
@@ -23,9 +153,21 @@ class ComplianceMonitor {
       password: 'password'
     };
 
-    this.licenseGenerator = new LicenseGenerator();
-    this.kafka = kafka(this.kafkaConfig);
-    this.producer = this.kafka.producer();
+    this.keyring = config.keyring || null;
+    this.textIndexPath = config.textIndexPath || null;
+    this.textIndex = config.textIndex || null;
+    this.textSimilarityThreshold = config.textSimilarityThreshold || 0.6;
+    this.logger = config.logger || SILENT_LOGGER;
+    this.licenseTypes = config.licenseTypes || defaultRegistry;
+    this.licenseGenerator = new LicenseGenerator({
+      trustedKeys: config.trustedKeys,
+      keyring: this.keyring,
+      licenseTypes: this.licenseTypes,
+    });
+    this.licenseGrants = new LicenseGrants(this.licenseGenerator);
+    this.kafka = new Kafka(this.kafkaConfig);
+    // Name the partitioner: kafkajs warns on every producer that relies on its changed default
+    this.producer = this.kafka.producer({ createPartitioner: Partitioners.DefaultPartitioner });
     this.consumer = this.kafka.consumer({ 
       groupId: 'compliance-monitoring-group',
       sessionTimeout: 30000,
@@ -46,9 +188,22 @@ class ComplianceMonitor {
     try {
       console.log('🚀 Starting Data Protection Compliance Monitor...');
       
+      // Load trusted issuer keys
+      if (this.keyring) {
+        await this.keyring.load();
+      }
+
+      // Load near-duplicate text index built offline from the protected corpus
+      if (!this.textIndex && this.textIndexPath) {
+        this.textIndex = await TextSimilarityIndex.load(this.textIndexPath);
+        this.logger.log(`✅ Text similarity index loaded (${this.textIndex.entries.size} documents)`);
+      }
+
       // Connect to database
       await this.dbClient.connect();
       console.log('✅ Database connected');
+
+      await syncLicenseTypes(this.dbClient, this.licenseTypes);
       
       // Connect to Kafka
       await this.producer.connect();
@@ -188,8 +343,8 @@ class ComplianceMonitor {
     
     try {
       // Get license from database
-      const license = await this._getLicenseFromDB(licenseHash);
-      if (!license) {
+      const found = await getLicenseRecordFromDB(this.dbClient, licenseHash);
+      if (!found) {
         return {
           compliant: false,
           reason: 'License not found',
@@ -197,21 +352,67 @@ class ComplianceMonitor {
         };
       }
 
-      // Validate license integrity
-      const isValid = this.licenseGenerator.validateLicense(license);
-      if (!isValid) {
+      // Evaluate against the terms that were in force when the access happened
+      const accessTime = accessDetails.timestamp ? new Date(accessDetails.timestamp) : new Date();
+      const terms = await resolveTermsRecord(this.dbClient, this.licenseGenerator, found, accessTime);
+      if (terms.error) {
+        if (terms.tampered) {
+          await this.reportViolation({
+            type: 'tampered-license',
+            severity: 'high',
+            licenseHash,
+            platform: accessDetails.platform,
+            source: accessDetails.source,
+            details: terms.error,
+          });
+        }
+
+        return {
+          compliant: false,
+          reason: terms.error,
+          reasons: terms.reasons,
+          responseTime: Date.now() - startTime,
+        };
+      }
+      const { record } = terms;
+      const { license } = record;
+
+      // Validate license integrity, issuer signature, validity period and revocation
+      const validation = this.licenseGenerator.validateLicense(license, {
+        at: accessTime,
+        revocationSource: recordRevocationSource(record),
+      });
+      if (!validation.verified) {
         await this.reportViolation({
           type: 'tampered-license',
           severity: 'high',
           licenseHash,
           platform: accessDetails.platform,
           source: accessDetails.source,
-          details: 'License integrity check failed'
+          details: `License integrity check failed: ${validation.reasons.map((reason) => reason.message).join('; ')}`,
         });
         
         return {
           compliant: false,
           reason: 'License integrity violation',
+          status: validation.status,
+          reasons: validation.reasons,
+          responseTime: Date.now() - startTime,
+        };
+      }
+
+      // Keep the status column in step with time-based expiry
+      if (!accessDetails.timestamp && validation.status === 'expired' && record.status === 'active') {
+        await updateLicenseStatus(this.dbClient, license.hash, 'expired');
+      }
+
+      // Restrictions of licenses that are not in force do not apply
+      if (!validation.valid) {
+        return {
+          compliant: false,
+          reason: `License is ${validation.status}`,
+          status: validation.status,
+          reasons: validation.reasons,
           responseTime: Date.now() - startTime
         };
       }
@@ -229,6 +430,9 @@ class ComplianceMonitor {
 
       return {
         ...complianceResult,
+        status: validation.status,
+        termsHash: license.hash,
+        amendment: license.amendment || 0,
         responseTime: Date.now() - startTime
       };
 
@@ -243,6 +447,47 @@ class ComplianceMonitor {
     }
   }
 
+  /**
+   * Flag scraped text that resembles protected documents
+   * @param {string} text - Passage or document found in the wild
+   * @param {Object} accessDetails - Where the text was found (platform, source)
+   * @param {Object} options - Query options (threshold, limit)
+   * @returns {Object} Matches and reported violations
+   */
+  async checkTextSimilarity(text, accessDetails = {}, options = {}) {
+    const startTime = Date.now();
+
+    if (!this.textIndex) {
+      throw new Error('Text similarity index not loaded');
+    }
+
+    const matches = this.textIndex.query(text, {
+      threshold: options.threshold || this.textSimilarityThreshold,
+      limit: options.limit || 10,
+    });
+
+    const violations = await Promise.all(matches.map((match) => this.reportViolation({
+      type: 'near-duplicate-content',
+      severity: match.score >= 0.9 ? 'high' : 'medium',
+      licenseHash: match.licenseHash,
+      platform: accessDetails.platform,
+      source: accessDetails.source,
+      details: {
+        similarity: match.similarity,
+        containment: match.containment,
+        simhashDistance: match.simhashDistance,
+        documentId: match.documentId,
+      },
+    })));
+
+    return {
+      flagged: matches.length > 0,
+      matches,
+      violations,
+      responseTime: Date.now() - startTime,
+    };
+  }
+
   /**
    * Generate real-time compliance report
    * @param {Object} filters - Report filters
@@ -271,45 +516,38 @@ class ComplianceMonitor {
 
   // Private methods
   _setupPrometheusMetrics() {
-    // Create Prometheus metrics
+    // Create Prometheus metrics (registered in the default registry on creation)
     this.metrics = {
-      violationsDetected: new prometheus.Counter({
+      violationsDetected: getMetric(prometheus.Counter, {
         name: 'data_protection_violations_total',
         help: 'Total number of license violations detected',
         labelNames: ['type', 'platform', 'severity']
       }),
       
-      complianceChecks: new prometheus.Counter({
+      complianceChecks: getMetric(prometheus.Counter, {
         name: 'data_protection_compliance_checks_total',
         help: 'Total number of compliance checks performed',
         labelNames: ['platform', 'result']
       }),
       
-      responseTime: new prometheus.Histogram({
+      responseTime: getMetric(prometheus.Histogram, {
         name: 'data_protection_response_time_seconds',
         help: 'Response time for compliance checks',
         labelNames: ['operation'],
         buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5]
       }),
       
-      activeLicenses: new prometheus.Gauge({
+      activeLicenses: getMetric(prometheus.Gauge, {
         name: 'data_protection_active_licenses',
         help: 'Number of active licenses being monitored'
       }),
       
-      platformMonitoring: new prometheus.Gauge({
+      platformMonitoring: getMetric(prometheus.Gauge, {
         name: 'data_protection_monitored_platforms',
         help: 'Number of platforms being monitored',
         labelNames: ['platform', 'status']
       })
     };
-
-    // Register metrics
-    prometheus.register.registerMetric(this.metrics.violationsDetected);
-    prometheus.register.registerMetric(this.metrics.complianceChecks);
-    prometheus.register.registerMetric(this.metrics.responseTime);
-    prometheus.register.registerMetric(this.metrics.activeLicenses);
-    prometheus.register.registerMetric(this.metrics.platformMonitoring);
   }
 
   _setupViolationHandlers() {
@@ -319,6 +557,9 @@ class ComplianceMonitor {
       'commercial-violation': this._handleCommercialViolation.bind(this),
       'attribution-missing': this._handleAttributionViolation.bind(this),
       'nda-breach': this._handleNDABreach.bind(this),
+      'near-duplicate-content': (violation) => this.logger.log(
+        `📄 Near-duplicate of protected text detected: ${violation.licenseHash}`,
+      ),
       'pre-clearance-violation': this._handlePreClearanceViolation.bind(this)
     };
   }
@@ -374,6 +615,11 @@ class ComplianceMonitor {
         });
       }
     }
+
+    // Scraped text without a license reference is matched against the protected corpus
+    if (!data.licenseHash && data.text && this.textIndex) {
+      await this.checkTextSimilarity(data.text, data);
+    }
   }
 
   async _processViolation(violation) {
@@ -399,7 +645,7 @@ class ComplianceMonitor {
     if (data.licenseHash) {
       const license = await this._getLicenseFromDB(data.licenseHash);
       
-      if (license && license.type === 'do-not-train') {
+      if (license && getClauses(license).includes('do-not-train')) {
         await this.reportViolation({
           type: 'unauthorized-training',
           severity: 'critical',
@@ -424,43 +670,38 @@ class ComplianceMonitor {
   async _evaluateRestrictions(license, accessDetails) {
     const restrictions = license.restrictions || {};
     const violations = [];
-
-    // Check license type restrictions
-    switch (license.type) {
-      case 'do-not-train':
-        if (accessDetails.purpose === 'ai-training' || accessDetails.purpose === 'machine-learning') {
-          violations.push('AI training not permitted');
-        }
-        break;
-        
-      case 'commercial-restrictions':
-        if (accessDetails.commercial === true) {
-          violations.push('Commercial use not permitted');
-        }
-        break;
-        
-      case 'attribution-required':
-        if (!accessDetails.attribution) {
-          violations.push('Attribution required');
-        }
-        break;
-        
-      case 'nda-enforcement':
-        if (!accessDetails.nda_signed) {
-          violations.push('NDA signature required');
-        }
-        break;
-        
-      case 'pre-clearance':
-        if (!accessDetails.pre_approved) {
-          violations.push('Pre-clearance required');
-        }
-        break;
+    const grantCheck = verifyPresentedGrants(this.licenseGrants, license, accessDetails);
+    const context = { ...accessDetails, grant: grantCheck.covered ? grantCheck.grant : null };
+    CLAIMED_APPROVAL_FIELDS.filter((field) => field !== 'grant').forEach((field) => delete context[field]);
+
+    // Check every clause with its type's registered evaluator
+    let clauses = [];
+    if (this.licenseTypes.isSupported(license)) {
+      clauses = this.licenseTypes.evaluateClauses(license, context);
+      clauses.forEach((clause) => violations.push(...clause.violations));
+    } else {
+      violations.push(`Unknown license type: ${getClauses(license).join(', ') || license.type}`);
     }
 
+    // Check every restriction key; skip messages a clause already reported
+    evaluateRestrictions(restrictions, context).forEach((violation) => {
+      if (!violations.includes(violation)) {
+        violations.push(violation);
+      }
+    });
+
     return {
       compliant: violations.length === 0,
       violations,
+      clauses,
+      failedClauses: clauses.filter((clause) => !clause.compliant).map((clause) => clause.type),
+      ...(grantCheck.presented ? {
+        grant: {
+          id: grantCheck.grant ? grantCheck.grant.id : null,
+          covered: grantCheck.covered,
+          reasons: grantCheck.reasons,
+        },
+      } : {}),
       license: license
     };
   }
@@ -511,9 +752,8 @@ class ComplianceMonitor {
   }
 
   async _getLicenseFromDB(licenseHash) {
-    const query = 'SELECT * FROM licenses WHERE hash = $1';
-    const result = await this.dbClient.query(query, [licenseHash]);
-    return result.rows[0] || null;
+    const record = await getLicenseRecordFromDB(this.dbClient, licenseHash);
+    return record ? record.license : null;
   }
 
   async _logComplianceCheck(checkData) {
@@ -1,14 +1,72 @@
 const fs = require('fs').promises;
 const path = require('path');
 const LicenseGenerator = require('../core/license-generator');
+const { defaultRegistry, describeLicense } = require('../core/license-types');
+const { AI_CRAWLER_CATALOGUE_VERSION } = require('../core/ai-crawlers');
+const {
+  AI_MEDIA_TYPES,
+  formatAiTxtRules,
+  formatLlmsTxt,
+  resolveMediaPreferences,
+} = require('../core/ai-preferences');
+const {
+  diffRobotsTxt,
+  lintRobotsTxt,
+  mergeRobotsTxt,
+  parseRobotsTxt,
+  serializeRobotsTxt,
+} = require('../core/robots-txt');
+const {
+  encodeComment,
+  encodeDockerLabel,
+  encodeHTML,
+  encodeHeaderValue,
+  encodeMarkdown,
+  encodeMarkdownURL,
+  encodeScriptJSON,
+} = require('./output-encoding');
+
+// Marks the block a merge adds to a site's robots.txt, so the next merge replaces it
+const ROBOTS_MARKER = 'Data Protection License';
+
+// First line of a robots.txt generated from scratch
+const GENERATED_ROBOTS_TITLE = '# Data Protection License - robots.txt';
+
+// License IDs are user input, so they are URL-encoded like any other path segment
+function getLicenseUrl(license) {
+  return `https://data-protection.org/licenses/${encodeURIComponent(license.id)}`;
+}
+
+// A policy is only meaningful when rights are reserved
+function getTDMReservation(licenseTypes, license, options = {}) {
+  if (!licenseTypes.reservesTDM(license)) {
+    return { reservation: 0, policy: null };
+  }
+  return {
+    reservation: 1,
+    policy: options.tdmPolicyUrl || getLicenseUrl(license),
+  };
+}
+
+function getRobotsHeader(licenseTypes, license) {
+  return [
+    `# AI Training Restrictions (AI crawler catalogue ${AI_CRAWLER_CATALOGUE_VERSION})`,
+    ...licenseTypes.getRobotsPolicy(license).comments,
+  ];
+}
 
 /**
  * Cross-Platform License Injection System
  * Supports 50+ platforms including GitHub, Hugging Face, Kaggle
  */
 class CrossPlatformInjector {
-  constructor() {
-    this.licenseGenerator = new LicenseGenerator();
+  /**
+   * @param {Object} options - Injector configuration
+   * @param {LicenseTypeRegistry} options.licenseTypes - License type registry (shared default when omitted)
+   */
+  constructor(options = {}) {
+    this.licenseTypes = options.licenseTypes || defaultRegistry;
+    this.licenseGenerator = new LicenseGenerator({ licenseTypes: this.licenseTypes });
     this.supportedPlatforms = [
       'github', 'huggingface', 'kaggle', 'gitlab', 'bitbucket',
       'aws-s3', 'gcp-storage', 'azure-blob', 'dropbox', 'gdrive',
@@ -64,96 +122,283 @@ class CrossPlatformInjector {
 
   /**
    * Generate robots.txt with license information
+   * License rules are written as per-agent groups for the catalogued AI crawlers
    * @param {Object} license - License object
    * @param {Object} options - Generation options
+   * @param {Array} options.baseRules - Site rules (lines before any User-agent line apply to "*")
+   * @param {string} options.existing - Existing robots.txt to merge into instead of replacing
+   * @param {string} options.sitemapUrl - Absolute sitemap URL (default <baseUrl>/sitemap.xml when baseUrl is set)
    * @returns {string} robots.txt content
    */
   generateRobotsTxt(license, options = {}) {
+    if (options.existing !== undefined) {
+      return this.mergeRobotsTxt(options.existing, license).content;
+    }
+
     const jsonLD = this.licenseGenerator.generateJSONLD(license);
     const baseRules = options.baseRules || [];
-    
+    const base = parseRobotsTxt(baseRules.join('\n'));
+    const coversAllAgents = base.ungrouped.length > 0
+      || base.groups.some((group) => group.userAgents.some((agent) => agent.value === '*'));
+    const siteRules = [
+      ...(base.ungrouped.length > 0 ? ['User-agent: *'] : []),
+      ...baseRules,
+      ...(coversAllAgents
+        ? []
+        : [...(baseRules.length > 0 ? [''] : []), 'User-agent: *', 'Allow: /']),
+    ];
+    const header = getRobotsHeader(this.licenseTypes, license);
+    const sitemapUrl = options.sitemapUrl
+      || (options.baseUrl ? `${options.baseUrl.replace(/\/$/, '')}/sitemap.xml` : null);
+    const merged = mergeRobotsTxt(siteRules.join('\n'), this.licenseTypes.getRobotsPolicy(license).groups, { header });
+
     const robotsContent = [
-      '# Data Protection License - robots.txt',
-      `# License ID: ${license.id}`,
-      `# Created: ${license.createdAt}`,
-      `# Hash: ${license.hash}`,
+      GENERATED_ROBOTS_TITLE,
+      `# License ID: ${encodeComment(license.id)}`,
+      `# Created: ${encodeComment(license.createdAt)}`,
+      `# Hash: ${encodeComment(license.hash)}`,
       '',
       '# License Information',
-      `# Type: ${license.type}`,
-      `# Creator: ${license.creator}`,
+      `# Type: ${encodeComment(license.type)}`,
+      ...(license.clauses ? [`# Clauses: ${encodeComment(license.clauses.join(', '))}`] : []),
+      `# Creator: ${encodeComment(license.creator)}`,
       '',
       '# Machine-readable license data',
-      `# JSON-LD: ${JSON.stringify(jsonLD)}`,
+      `# JSON-LD: ${encodeComment(JSON.stringify(jsonLD))}`,
       '',
       '# Access Rules',
-      ...baseRules,
-      '',
-      '# AI Training Restrictions',
-      this._generateAIRestrictions(license),
-      '',
-      'User-agent: *',
-      'Crawl-delay: 1',
-      `Sitemap: ${options.sitemapUrl || '/sitemap.xml'}`,
+      merged.content.trimEnd(),
+      // Licenses without crawler rules still carry their notes
+      ...(merged.addedAgents.length === 0 ? ['', ...header] : []),
+      // Sitemap URLs must be absolute
+      ...(sitemapUrl ? ['', `Sitemap: ${encodeComment(sitemapUrl)}`] : []),
       '',
       '# Data Protection Notice',
-      `# This content is protected under license ${license.id}`,
-      `# Verify at: https://data-protection.org/verify/${license.hash}`
+      `# This content is protected under license ${encodeComment(license.id)}`,
+      `# Verify at: https://data-protection.org/verify/${encodeComment(license.hash)}`,
     ].join('\n');
 
     return robotsContent;
   }
 
+  /**
+   * Merge a license's crawler rules into an existing robots.txt
+   * The site's other groups (SEO rules included), comments and sitemaps are left as they are
+   * @param {string} existing - Existing robots.txt content
+   * @param {Object} license - License object
+   * @returns {Object} { content, addedAgents, updatedAgents, removedRules, diff }
+   */
+  mergeRobotsTxt(existing, license) {
+    const merged = mergeRobotsTxt(existing, this.licenseTypes.getRobotsPolicy(license).groups, {
+      marker: ROBOTS_MARKER,
+      header: [
+        `# License ID: ${encodeComment(license.id)}`,
+        ...getRobotsHeader(this.licenseTypes, license),
+      ],
+    });
+    return { ...merged, diff: diffRobotsTxt(existing, merged.content) };
+  }
+
+  /**
+   * Parse robots.txt into groups
+   * serializeRobotsTxt(document) gives back the exact input
+   * @param {string} content - robots.txt content
+   * @returns {Object} Document { lines, groups: [{ userAgents, rules, extensions }], sitemaps, ungrouped }
+   */
+  static parseRobotsTxt(content) {
+    return parseRobotsTxt(content);
+  }
+
+  /**
+   * Serialize a parsed robots.txt document
+   * @param {Object} document - Document from parseRobotsTxt
+   * @returns {string} robots.txt content
+   */
+  static serializeRobotsTxt(document) {
+    return serializeRobotsTxt(document);
+  }
+
+  /**
+   * Lint robots.txt for syntax and ordering errors
+   * @param {string} content - robots.txt content
+   * @returns {Object} { valid, errors, warnings } with issues { line, code, message }
+   */
+  static lintRobotsTxt(content) {
+    return lintRobotsTxt(content);
+  }
+
+  /**
+   * Whether robots.txt content was generated from scratch by generateRobotsTxt
+   * Such a file holds nothing but the license and its base rules, so it is
+   * generated again rather than merged into
+   * @param {string} content - robots.txt content
+   * @returns {boolean} True for a generated file
+   */
+  static isGeneratedRobotsTxt(content) {
+    return (content || '').split(/\r\n|\n|\r/)[0] === GENERATED_ROBOTS_TITLE;
+  }
+
+  /**
+   * Unified diff between two robots.txt files
+   * @param {string} before - Original content
+   * @param {string} after - New content
+   * @returns {string} Diff, empty when unchanged
+   */
+  static diffRobotsTxt(before, after) {
+    return diffRobotsTxt(before, after);
+  }
+
   /**
    * Generate HTML meta tags for license embedding
    * @param {Object} license - License object
+   * @param {Object} options - Generation options (tdmPolicyUrl)
    * @returns {string} HTML meta tags
    */
-  generateHTMLMetaTags(license) {
+  generateHTMLMetaTags(license, options = {}) {
     const jsonLD = this.licenseGenerator.generateJSONLD(license);
+    const tdm = getTDMReservation(this.licenseTypes, license, options);
+    const description = encodeHTML(describeLicense(license));
+    const id = encodeHTML(license.id);
+    const hash = encodeHTML(license.hash);
     
     return `
 <!-- Data Protection License Meta Tags -->
-<meta name="data-protection-license-id" content="${license.id}">
-<meta name="data-protection-license-type" content="${license.type}">
-<meta name="data-protection-license-hash" content="${license.hash}">
-<meta name="data-protection-creator" content="${license.creator}">
-<meta name="data-protection-created" content="${license.createdAt}">
-<meta name="data-protection-verify-url" content="https://data-protection.org/verify/${license.hash}">
+<meta name="data-protection-license-id" content="${id}">
+<meta name="data-protection-license-type" content="${encodeHTML(license.type)}">${license.clauses ? `
+<meta name="data-protection-license-clauses" content="${encodeHTML(license.clauses.join(','))}">` : ''}
+<meta name="data-protection-license-hash" content="${hash}">
+<meta name="data-protection-creator" content="${encodeHTML(license.creator)}">
+<meta name="data-protection-created" content="${encodeHTML(license.createdAt)}">
+<meta name="data-protection-verify-url" content="https://data-protection.org/verify/${hash}">
+
+<!-- TDM Reservation Protocol -->
+<meta name="tdm-reservation" content="${tdm.reservation}">${tdm.policy ? `
+<meta name="tdm-policy" content="${encodeHTML(tdm.policy)}">` : ''}
 
 <!-- JSON-LD Structured Data -->
 <script type="application/ld+json">
-${JSON.stringify(jsonLD, null, 2)}
+${encodeScriptJSON(jsonLD, 2)}
 </script>
 
 <!-- Open Graph Protocol -->
-<meta property="og:license" content="Data Protection License - ${license.type}">
-<meta property="og:license:id" content="${license.id}">
-<meta property="og:license:hash" content="${license.hash}">
+<meta property="og:license" content="Data Protection License - ${description}">
+<meta property="og:license:id" content="${id}">
+<meta property="og:license:hash" content="${hash}">
 
 <!-- Dublin Core -->
-<meta name="DC.rights" content="Data Protection License - ${license.type}">
-<meta name="DC.rights.license" content="https://data-protection.org/licenses/${license.id}">
-<meta name="DC.rights.hash" content="${license.hash}">
+<meta name="DC.rights" content="Data Protection License - ${description}">
+<meta name="DC.rights.license" content="${encodeHTML(getLicenseUrl(license))}">
+<meta name="DC.rights.hash" content="${hash}">
 `;
   }
 
   /**
    * Generate HTTP headers for license broadcasting
    * @param {Object} license - License object
+   * @param {Object} options - Generation options (tdmPolicyUrl)
    * @returns {Object} HTTP headers
    */
-  generateHTTPHeaders(license) {
-    return {
+  generateHTTPHeaders(license, options = {}) {
+    const tdm = getTDMReservation(this.licenseTypes, license, options);
+
+    const headers = {
       'X-Data-Protection-License-ID': license.id,
       'X-Data-Protection-License-Type': license.type,
+      ...(license.clauses ? { 'X-Data-Protection-License-Clauses': license.clauses.join(', ') } : {}),
       'X-Data-Protection-License-Hash': license.hash,
       'X-Data-Protection-Creator': license.creator,
       'X-Data-Protection-Created': license.createdAt,
       'X-Data-Protection-Verify-URL': `https://data-protection.org/verify/${license.hash}`,
       'Content-Security-Policy': this._generateCSP(license),
       'Permissions-Policy': this._generatePermissionsPolicy(license),
-      'Link': `<https://data-protection.org/licenses/${license.id}>; rel="license"; type="application/ld+json"`
+      // Angle brackets and quotes delimit the Link value itself
+      Link: `<${getLicenseUrl(license)}>; rel="license"; type="application/ld+json"`,
+      'tdm-reservation': String(tdm.reservation),
+      ...(tdm.policy ? { 'tdm-policy': tdm.policy } : {}),
     };
+
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, encodeHeaderValue(value)]));
+  }
+
+  /**
+   * Generate a TDMRep site file (/.well-known/tdmrep.json)
+   * TDM rights are reserved when the license type or restrictions forbid
+   * AI training, machine learning or data mining
+   * @param {Object} license - License object
+   * @param {Object} options - Generation options (tdmLocation, default "/*"; tdmPolicyUrl)
+   * @returns {Array} tdmrep.json rules
+   */
+  generateTDMRep(license, options = {}) {
+    const tdm = getTDMReservation(this.licenseTypes, license, options);
+
+    return [{
+      location: options.tdmLocation || '/*',
+      'tdm-reservation': tdm.reservation,
+      ...(tdm.policy ? { 'tdm-policy': tdm.policy } : {}),
+    }];
+  }
+
+  /**
+   * Generate ai.txt (Spawning) AI usage preferences per media type
+   * Media types are denied when the license reserves TDM rights and allowed
+   * otherwise; options.mediaTypes overrides that per type
+   * @param {Object} license - License object
+   * @param {Object} options - Generation options (mediaTypes: { allowed, denied })
+   * @returns {string} ai.txt content
+   */
+  generateAiTxt(license, options = {}) {
+    const preferences = resolveMediaPreferences(this.licenseTypes.reservesTDM(license), options.mediaTypes);
+    const deniedLabels = preferences.denied.map((type) => AI_MEDIA_TYPES[type].label).join(', ');
+
+    return [
+      '# ai.txt - AI usage preferences',
+      `# Data Protection License ${encodeComment(license.id)} - ${encodeComment(describeLicense(license))}`,
+      `# Verify at: https://data-protection.org/verify/${encodeComment(license.hash)}`,
+      ...(preferences.denied.length > 0
+        ? [`# Not permitted for AI training or data mining: ${deniedLabels}`]
+        : []),
+      '',
+      ...formatAiTxtRules(preferences),
+    ].join('\n');
+  }
+
+  /**
+   * Generate llms.txt describing the license terms for language models
+   * @param {Object} license - License object
+   * @param {Object} options - Generation options (siteName, mediaTypes, tdmPolicyUrl)
+   * @returns {string} llms.txt content
+   */
+  generateLlmsTxt(license, options = {}) {
+    const preferences = resolveMediaPreferences(this.licenseTypes.reservesTDM(license), options.mediaTypes);
+    const tdm = getTDMReservation(this.licenseTypes, license, options);
+
+    const label = describeLicense(license);
+    const licenseText = this.licenseTypes.getLicenseText(license);
+    const link = (name, url, notes) => ({
+      name: encodeMarkdown(name),
+      url: encodeMarkdownURL(url),
+      notes: encodeMarkdown(notes),
+    });
+
+    return formatLlmsTxt({
+      title: encodeMarkdown(options.siteName || `Data Protection License - ${label}`),
+      summary: encodeMarkdown(`Content here is protected under Data Protection License ${license.id}. ${licenseText}`),
+      details: [[
+        'AI training and data mining by media type:',
+        '',
+        ...Object.keys(AI_MEDIA_TYPES).map((type) => (
+          `- ${AI_MEDIA_TYPES[type].label}: ${preferences.denied.includes(type) ? 'not permitted' : 'permitted'}`
+        )),
+      ].join('\n')],
+      sections: [{
+        title: 'License',
+        links: [
+          link(`Data Protection License ${license.id}`, getLicenseUrl(license), label),
+          link('Verify license', `https://data-protection.org/verify/${license.hash}`, `SHA-256 ${license.hash}`),
+          ...(tdm.policy ? [link('TDM policy', tdm.policy, 'Text and data mining rights are reserved')] : []),
+        ],
+      }],
+    });
   }
 
   /**
@@ -192,19 +437,9 @@ ${JSON.stringify(jsonLD, null, 2)}
     return await handler();
   }
 
-  _generateAIRestrictions(license) {
-    const restrictions = {
-      'do-not-train': 'Disallow: /ai-training\nDisallow: /machine-learning\nDisallow: /data-mining',
-      'commercial-restrictions': 'Disallow: /commercial-use\nUser-agent: CommercialBot\nDisallow: /',
-      'attribution-required': '# Attribution required for any use',
-      'nda-enforcement': 'Disallow: /\nUser-agent: *\nDisallow: /',
-      'pre-clearance': '# Pre-approval required\nUser-agent: AIBot\nDisallow: /'
-    };
-    return restrictions[license.type] || '# Custom restrictions apply';
-  }
-
   _generateCSP(license) {
-    return `default-src 'self'; script-src 'self' https://data-protection.org; report-uri https://data-protection.org/csp-report/${license.hash}`;
+    const reportUri = `https://data-protection.org/csp-report/${encodeURIComponent(license.hash)}`;
+    return `default-src 'self'; script-src 'self' https://data-protection.org; report-uri ${reportUri}`;
   }
 
   _generatePermissionsPolicy(license) {
@@ -226,18 +461,18 @@ ${JSON.stringify(jsonLD, null, 2)}
 
 This repository is protected under Data Protection License.
 
-- **License ID**: ${license.id}
-- **Type**: ${license.type}
-- **Hash**: ${license.hash}
-- **Creator**: ${license.creator}
+- **License ID**: ${encodeMarkdown(license.id)}
+- **Type**: ${encodeMarkdown(describeLicense(license))}
+- **Hash**: ${encodeMarkdown(license.hash)}
+- **Creator**: ${encodeMarkdown(license.creator)}
 
 ## Verification
 
-Verify this license at: https://data-protection.org/verify/${license.hash}
+Verify this license at: ${encodeMarkdownURL(`https://data-protection.org/verify/${license.hash}`)}
 
 ## Usage Rights
 
-${this.licenseGenerator._getLicenseText(license.type)}
+${encodeMarkdown(this.licenseTypes.getLicenseText(license))}
 
 ---
 *This file was automatically generated by the Data Protection Platform*
@@ -261,8 +496,8 @@ ${this.licenseGenerator._getLicenseText(license.type)}
       'kaggle-license.json': JSON.stringify({
         license: license,
         kaggle_metadata: {
-          title: `Data Protection License - ${license.type}`,
-          description: this.licenseGenerator._getLicenseText(license.type)
+          title: `Data Protection License - ${describeLicense(license)}`,
+          description: this.licenseTypes.getLicenseText(license),
         }
       }, null, 2)
     };
@@ -272,11 +507,12 @@ ${this.licenseGenerator._getLicenseText(license.type)}
     return {
       'Dockerfile.license': `
 # Data Protection License Layer
-LABEL data.protection.license.id="${license.id}"
-LABEL data.protection.license.type="${license.type}"
-LABEL data.protection.license.hash="${license.hash}"
-LABEL data.protection.creator="${license.creator}"
-LABEL data.protection.verify.url="https://data-protection.org/verify/${license.hash}"
+LABEL data.protection.license.id="${encodeDockerLabel(license.id)}"
+LABEL data.protection.license.type="${encodeDockerLabel(license.type)}"${license.clauses ? `
+LABEL data.protection.license.clauses="${encodeDockerLabel(license.clauses.join(','))}"` : ''}
+LABEL data.protection.license.hash="${encodeDockerLabel(license.hash)}"
+LABEL data.protection.creator="${encodeDockerLabel(license.creator)}"
+LABEL data.protection.verify.url="https://data-protection.org/verify/${encodeDockerLabel(license.hash)}"
 `
     };
   }
@@ -311,8 +547,11 @@ LABEL data.protection.verify.url="https://data-protection.org/verify/${license.h
     return {
       platform: 'web',
       robotsTxt: this.generateRobotsTxt(license, options),
-      htmlMeta: this.generateHTMLMetaTags(license),
-      httpHeaders: this.generateHTTPHeaders(license),
+      htmlMeta: this.generateHTMLMetaTags(license, options),
+      httpHeaders: this.generateHTTPHeaders(license, options),
+      tdmRep: this.generateTDMRep(license, options),
+      aiTxt: this.generateAiTxt(license, options),
+      llmsTxt: this.generateLlmsTxt(license, options),
       timestamp: new Date().toISOString()
     };
   }
@@ -0,0 +1,609 @@
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const xml2js = require('xml2js');
+const ImageFingerprinter = require('../core/image-fingerprinter');
+const { defaultRegistry } = require('../core/license-types');
+const { encodeXML } = require('./output-encoding');
+
+const NAMESPACES = {
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  dc: 'http://purl.org/dc/elements/1.1/',
+  xmpRights: 'http://ns.adobe.com/xap/1.0/rights/',
+  plus: 'http://ns.useplus.org/ldf/xmp/1.0/',
+  dpl: 'https://data-protection.org/ns/xmp/1.0/',
+  xmpNote: 'http://ns.adobe.com/xmp/note/',
+};
+
+// Values of the IPTC "Data Mining" property (PLUS controlled vocabulary)
+const DATA_MINING = {
+  prohibited: 'http://ns.useplus.org/ldf/vocab/DMI-PROHIBITED',
+  unspecified: 'http://ns.useplus.org/ldf/vocab/DMI-UNSPECIFIED',
+};
+
+// Properties written by the injector; copies already in the packet are replaced
+const OWNED_PROPERTIES = [
+  ['dc', 'creator'],
+  ['dc', 'rights'],
+  ['xmpRights', 'Marked'],
+  ['xmpRights', 'UsageTerms'],
+  ['xmpRights', 'WebStatement'],
+  ['plus', 'DataMining'],
+  ['dpl', 'LicenseId'],
+  ['dpl', 'LicenseType'],
+  ['dpl', 'LicenseClauses'],
+  ['dpl', 'LicenseHash'],
+  ['dpl', 'Created'],
+];
+
+// Properties removed from the packet: JPEG extended XMP segments are dropped, so nothing may point to them
+const DROPPED_PROPERTIES = [
+  ['xmpNote', 'HasExtendedXMP'],
+];
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+const JPEG_XMP_HEADER = Buffer.from('http://ns.adobe.com/xap/1.0/\0');
+const JPEG_EXTENDED_XMP_HEADER = Buffer.from('http://ns.adobe.com/xmp/extension/\0');
+// APP1 segment length field (2 bytes) plus the payload must fit in 16 bits
+const JPEG_MAX_XMP_LENGTH = 0xffff - 2 - JPEG_XMP_HEADER.length;
+const WEBP_XMP_FLAG = 0x04;
+const WEBP_ALPHA_FLAG = 0x10;
+
+// Bit fields are read with arithmetic, like the image hashes, rather than bitwise operators
+const bitField = (value, shift, width) => Math.floor(value / (2 ** shift)) % (2 ** width);
+
+function xor32(a, b) {
+  return Array.from({ length: 32 }, (_, bit) => bit)
+    .reduce((result, bit) => (bitField(a, bit, 1) !== bitField(b, bit, 1) ? result + 2 ** bit : result), 0);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => Array.from({ length: 8 })
+  .reduce((c) => (c % 2 === 1 ? xor32(0xedb88320, Math.floor(c / 2)) : Math.floor(c / 2)), n));
+
+// CRC-32 of a PNG chunk (ISO 3309, as in zlib)
+function crc32(buffer) {
+  const crc = buffer.reduce((c, byte) => xor32(CRC_TABLE[xor32(c % 256, byte)], Math.floor(c / 256)), 0xffffffff);
+  return 0xffffffff - crc;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function readJPEGSegments(image) {
+  const segments = [];
+  let offset = 2;
+  while (offset + 4 <= image.length) {
+    if (image[offset] !== 0xff) {
+      throw new Error(`Invalid JPEG: expected a marker at byte ${offset}`);
+    }
+    const marker = image[offset + 1];
+    // Compressed data follows start of scan; metadata segments all come before it
+    if (marker === 0xda || marker === 0xd9) {
+      break;
+    }
+    if (marker === 0xff) {
+      offset += 1;
+    } else if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+    } else {
+      const length = image.readUInt16BE(offset + 2);
+      segments.push({
+        marker, start: offset, end: offset + 2 + length, payload: image.subarray(offset + 4, offset + 2 + length),
+      });
+      offset += 2 + length;
+    }
+  }
+  return segments;
+}
+
+function hasJPEGHeader(segment, header) {
+  return segment.payload.subarray(0, header.length).equals(header);
+}
+
+function writeJPEG(image, packet) {
+  if (packet.length > JPEG_MAX_XMP_LENGTH) {
+    throw new Error(`XMP packet of ${packet.length} bytes does not fit in a JPEG APP1 segment`);
+  }
+  const isXMP = (segment) => segment.marker === 0xe1 && (
+    hasJPEGHeader(segment, JPEG_XMP_HEADER) || hasJPEGHeader(segment, JPEG_EXTENDED_XMP_HEADER)
+  );
+  const segments = readJPEGSegments(image);
+
+  // XMP goes after the JFIF (APP0) and Exif (APP1) segments that lead the file
+  const insertAt = segments.reduce((at, segment) => {
+    const leads = segment.start === at && (segment.marker === 0xe0 || segment.marker === 0xe1) && !isXMP(segment);
+    return leads ? segment.end : at;
+  }, 2);
+
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(0xffe1, 0);
+  header.writeUInt16BE(2 + JPEG_XMP_HEADER.length + packet.length, 2);
+  const parts = [image.subarray(0, insertAt), header, JPEG_XMP_HEADER, packet];
+  let offset = insertAt;
+  segments.filter((segment) => segment.start >= insertAt && isXMP(segment)).forEach((segment) => {
+    parts.push(image.subarray(offset, segment.start));
+    offset = segment.end;
+  });
+  parts.push(image.subarray(offset));
+  return Buffer.concat(parts);
+}
+
+function readPNGChunks(image) {
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 12 <= image.length) {
+    const length = image.readUInt32BE(offset);
+    const type = image.toString('latin1', offset + 4, offset + 8);
+    chunks.push({
+      type, start: offset, end: offset + 12 + length, data: image.subarray(offset + 8, offset + 8 + length),
+    });
+    offset += 12 + length;
+    if (type === 'IEND') {
+      break;
+    }
+  }
+  return chunks;
+}
+
+function isPNGXMP(data) {
+  return data.toString('latin1', 0, PNG_XMP_KEYWORD.length + 1) === `${PNG_XMP_KEYWORD}\0`;
+}
+
+function readPNGText(data) {
+  // iTXt: keyword \0 compression flag, method, language tag \0 translated keyword \0 text
+  const compressed = data[PNG_XMP_KEYWORD.length + 1] === 1;
+  let offset = PNG_XMP_KEYWORD.length + 3;
+  offset = data.indexOf(0, offset) + 1;
+  offset = data.indexOf(0, offset) + 1;
+  const text = data.subarray(offset);
+  return (compressed ? zlib.inflateSync(text) : text).toString('utf8');
+}
+
+function writePNG(image, packet) {
+  const chunks = readPNGChunks(image);
+  const data = Buffer.concat([Buffer.from(`${PNG_XMP_KEYWORD}\0\0\0\0\0`, 'latin1'), packet]);
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write('iTXt', 4, 'latin1');
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+
+  // Before the image data, so streaming readers see it first
+  const idat = chunks.find((entry) => entry.type === 'IDAT');
+  if (!idat) {
+    throw new Error('Invalid PNG: no IDAT chunk');
+  }
+  const parts = [image.subarray(0, PNG_SIGNATURE.length)];
+  chunks.forEach((entry) => {
+    if (entry === idat) {
+      parts.push(chunk);
+    }
+    if (!(entry.type === 'iTXt' && isPNGXMP(entry.data))) {
+      parts.push(image.subarray(entry.start, entry.end));
+    }
+  });
+  const last = chunks[chunks.length - 1];
+  parts.push(image.subarray(last.end));
+  return Buffer.concat(parts);
+}
+
+function readWebPChunks(image) {
+  const chunks = [];
+  const end = Math.min(image.length, 8 + image.readUInt32LE(4));
+  let offset = 12;
+  while (offset + 8 <= end) {
+    const type = image.toString('latin1', offset, offset + 4);
+    const length = image.readUInt32LE(offset + 4);
+    chunks.push({ type, data: image.subarray(offset + 8, offset + 8 + length) });
+    // Chunks are padded to an even size
+    offset += 8 + length + (length % 2);
+  }
+  return chunks;
+}
+
+function createVP8X(chunks) {
+  let width;
+  let height;
+  let flags = 0;
+  const lossy = chunks.find((chunk) => chunk.type === 'VP8 ');
+  const lossless = chunks.find((chunk) => chunk.type === 'VP8L');
+
+  if (lossy && lossy.data.length >= 10) {
+    // Key frame header: 3-byte frame tag, start code, 14-bit width and height
+    width = bitField(lossy.data.readUInt16LE(6), 0, 14);
+    height = bitField(lossy.data.readUInt16LE(8), 0, 14);
+  } else if (lossless && lossless.data.length >= 5) {
+    // Signature byte, then 14-bit width - 1, 14-bit height - 1 and the alpha bit
+    const bits = lossless.data.readUInt32LE(1);
+    width = bitField(bits, 0, 14) + 1;
+    height = bitField(bits, 14, 14) + 1;
+    flags = bitField(bits, 28, 1) ? WEBP_ALPHA_FLAG : 0;
+  } else {
+    throw new Error('Invalid WebP: no VP8 or VP8L image data');
+  }
+
+  const data = Buffer.alloc(10);
+  data[0] = flags;
+  data.writeUIntLE(width - 1, 4, 3);
+  data.writeUIntLE(height - 1, 7, 3);
+  return data;
+}
+
+function writeWebP(image, packet) {
+  const chunks = readWebPChunks(image).filter((chunk) => chunk.type !== 'XMP ');
+  const index = chunks.findIndex((chunk) => chunk.type === 'VP8X');
+  // Simple (lossy or lossless) files need the extended header to declare metadata
+  const vp8x = Buffer.from(index === -1 ? createVP8X(chunks) : chunks[index].data);
+  if (!bitField(vp8x[0], Math.log2(WEBP_XMP_FLAG), 1)) {
+    vp8x[0] += WEBP_XMP_FLAG;
+  }
+  const extended = index === -1 ? [{ type: 'VP8X', data: vp8x }, ...chunks]
+    : chunks.map((chunk, i) => (i === index ? { type: 'VP8X', data: vp8x } : chunk));
+
+  const body = Buffer.concat([...extended, { type: 'XMP ', data: packet }].map((chunk) => {
+    const header = Buffer.alloc(8);
+    header.write(chunk.type, 0, 'latin1');
+    header.writeUInt32LE(chunk.data.length, 4);
+    return Buffer.concat([header, chunk.data, Buffer.alloc(chunk.data.length % 2)]);
+  }));
+  const riff = Buffer.alloc(12);
+  riff.write('RIFF', 0, 'latin1');
+  riff.writeUInt32LE(4 + body.length, 4);
+  riff.write('WEBP', 8, 'latin1');
+  return Buffer.concat([riff, body]);
+}
+
+// undefined: format not parsed here, null: no XMP packet
+function extractXMP(image, format) {
+  switch (format) {
+    case 'jpeg': {
+      const segment = readJPEGSegments(image)
+        .find((entry) => entry.marker === 0xe1 && hasJPEGHeader(entry, JPEG_XMP_HEADER));
+      return segment ? segment.payload.subarray(JPEG_XMP_HEADER.length).toString('utf8') : null;
+    }
+    case 'png': {
+      const chunk = readPNGChunks(image).find((entry) => entry.type === 'iTXt' && isPNGXMP(entry.data));
+      return chunk ? readPNGText(chunk.data) : null;
+    }
+    case 'webp': {
+      const chunk = readWebPChunks(image).find((entry) => entry.type === 'XMP ');
+      return chunk ? chunk.data.toString('utf8') : null;
+    }
+    default:
+      return undefined;
+  }
+}
+
+function isRDF(node, ...names) {
+  return Boolean(node.$ns) && node.$ns.uri === NAMESPACES.rdf && names.includes(node.$ns.local);
+}
+
+function propertyValues(property) {
+  const attributes = Object.values(property.$ || {});
+  const resource = attributes.find((attribute) => attribute.uri === NAMESPACES.rdf && attribute.local === 'resource');
+  if (resource) {
+    return [resource.value];
+  }
+  const container = (property.$$ || []).find((child) => isRDF(child, 'Alt', 'Seq', 'Bag'));
+  if (!container) {
+    return [typeof property._ === 'string' ? property._.trim() : ''];
+  }
+  const items = (container.$$ || []).filter((item) => item.$ns && item.$ns.local === 'li');
+  // Language alternatives list x-default first
+  const isDefault = (item) => Object.values(item.$ || {})
+    .some((attribute) => attribute.name === 'xml:lang' && attribute.value === 'x-default');
+  return [...items.filter(isDefault), ...items.filter((item) => !isDefault(item))]
+    .map((item) => (item._ || '').trim());
+}
+
+async function parseXMP(xmp) {
+  const properties = {};
+  const start = xmp.search(/<(?:[\w.-]+:)?(?:xmpmeta|RDF)\b/);
+  if (start === -1) {
+    return properties;
+  }
+  const parsed = await xml2js.parseStringPromise(xmp.slice(start).replace(/<\?xpacket[\s\S]*?\?>/g, '').trim(), {
+    xmlns: true,
+    explicitChildren: true,
+    preserveChildrenOrder: true,
+  });
+
+  const add = (key, values) => {
+    properties[key] = (properties[key] || []).concat(values);
+  };
+  const walk = (node) => {
+    (node.$$ || []).forEach((child) => {
+      if (!isRDF(child, 'Description')) {
+        walk(child);
+        return;
+      }
+      Object.values(child.$ || {}).forEach((attribute) => {
+        if (attribute.uri && attribute.uri !== NAMESPACES.rdf && attribute.prefix !== 'xmlns') {
+          add(attribute.uri + attribute.local, [attribute.value]);
+        }
+      });
+      (child.$$ || []).forEach((property) => add(property.$ns.uri + property.$ns.local, propertyValues(property)));
+    });
+  };
+  walk({ $$: [Object.values(parsed)[0]] });
+  return properties;
+}
+
+function mergeDescription(existing, description) {
+  const prefixes = {};
+  Array.from(existing.matchAll(/xmlns:([\w.-]+)\s*=\s*["']([^"']*)["']/g)).forEach(([, prefix, uri]) => {
+    const namespace = Object.keys(NAMESPACES).find((key) => NAMESPACES[key] === uri);
+    if (namespace) {
+      prefixes[namespace] = (prefixes[namespace] || []).concat(prefix);
+    }
+  });
+  const [rdf] = prefixes.rdf || [];
+  const close = rdf && existing.lastIndexOf(`</${rdf}:RDF>`);
+  if (!close || close === -1) {
+    return null;
+  }
+
+  // Drop the description written by an earlier run, then every other copy of our properties
+  // and the pointer to extended XMP
+  const previous = new RegExp(`\\s*<${rdf}:Description\\b[^>]*`
+    + `xmlns:[\\w.-]+\\s*=\\s*["']${escapeRegExp(NAMESPACES.dpl)}["']`
+    + `[^>]*?(?:/>|>[\\s\\S]*?</${rdf}:Description>)`, 'g');
+  let packet = existing.slice(0, close).replace(previous, '');
+  [...OWNED_PROPERTIES, ...DROPPED_PROPERTIES].forEach(([namespace, name]) => {
+    (prefixes[namespace] || []).forEach((prefix) => {
+      const qualified = escapeRegExp(`${prefix}:${name}`);
+      packet = packet
+        .replace(new RegExp(`\\s*<${qualified}\\b[^>]*?/>`, 'g'), '')
+        .replace(new RegExp(`\\s*<${qualified}\\b[^>]*>[\\s\\S]*?</${qualified}>`, 'g'), '')
+        .replace(new RegExp(`\\s+${qualified}\\s*=\\s*("[^"]*"|'[^']*')`, 'g'), '');
+    });
+  });
+
+  const ours = rdf === 'rdf' ? description
+    : description.replace(/(<\/?)rdf:/g, `$1${rdf}:`).replace(/ rdf:about=/, ` ${rdf}:about=`);
+  return `${packet.trimEnd()}\n${ours}\n ${existing.slice(close)}`;
+}
+
+function renderDescription(injector, license) {
+  const dpl = (name, value) => `    dpl:${name}="${encodeXML(value)}"`;
+  const alt = (name, value) => [
+    `   <${name}>`,
+    `    <rdf:Alt><rdf:li xml:lang="x-default">${encodeXML(value)}</rdf:li></rdf:Alt>`,
+    `   </${name}>`,
+  ];
+  const webStatement = `https://data-protection.org/verify/${encodeXML(encodeURIComponent(license.hash))}`;
+  const rights = `Copyright ${license.creator}. Protected by Data Protection License ${license.id}.`
+    + ` Hash: ${license.hash}`;
+
+  return [
+    '  <rdf:Description rdf:about=""',
+    `    xmlns:dc="${NAMESPACES.dc}"`,
+    `    xmlns:xmpRights="${NAMESPACES.xmpRights}"`,
+    `    xmlns:plus="${NAMESPACES.plus}"`,
+    `    xmlns:dpl="${NAMESPACES.dpl}"`,
+    '    xmpRights:Marked="True"',
+    `    xmpRights:WebStatement="${webStatement}"`,
+    `    plus:DataMining="${injector.getDataMining(license)}"`,
+    dpl('LicenseId', license.id),
+    dpl('LicenseType', license.type),
+    ...(license.clauses ? [dpl('LicenseClauses', license.clauses.join(','))] : []),
+    dpl('LicenseHash', license.hash),
+    `${dpl('Created', license.createdAt)}>`,
+    '   <dc:creator>',
+    `    <rdf:Seq><rdf:li>${encodeXML(license.creator)}</rdf:li></rdf:Seq>`,
+    '   </dc:creator>',
+    ...alt('dc:rights', rights),
+    ...alt('xmpRights:UsageTerms', injector.licenseTypes.getLicenseText(license)),
+    '  </rdf:Description>',
+  ].join('\n');
+}
+
+/**
+ * Image Metadata Injector
+ * Embeds the license in the XMP packet of JPEG, PNG and WebP files so it
+ * travels with the image: rights and usage terms (IPTC Core / XMP Rights),
+ * the IPTC Data Mining property and the license ID and hash. Files are edited
+ * at the container level, so pixel data is never re-encoded.
+ */
+class ImageMetadataInjector {
+  /**
+   * @param {Object} options - Injector configuration
+   * @param {LicenseTypeRegistry} options.licenseTypes - License type registry (shared default when omitted)
+   * @param {Function} options.sharp - sharp module, used to read formats other than JPEG, PNG and WebP
+   *   (loaded on first use when omitted)
+   */
+  constructor(options = {}) {
+    this.licenseTypes = options.licenseTypes || defaultRegistry;
+    this.sharp = options.sharp || null;
+  }
+
+  /**
+   * Embed license metadata into an image
+   * Existing XMP is kept; only the properties written here are replaced
+   * @param {Buffer|string} input - Image buffer or file path
+   * @param {Object} license - License object
+   * @returns {Promise<Buffer>} Image with the license metadata
+   */
+  async embed(input, license) {
+    const image = Buffer.isBuffer(input) ? input : await fs.readFile(input);
+    const format = this.constructor.detectFormat(image);
+    const existing = extractXMP(image, format);
+    const packet = Buffer.from(this.generateXMP(license, existing), 'utf8');
+
+    switch (format) {
+      case 'jpeg':
+        return writeJPEG(image, packet);
+      case 'png':
+        return writePNG(image, packet);
+      case 'webp':
+        return writeWebP(image, packet);
+      default:
+        throw new Error(`Unsupported image format for embedding: ${format || 'unknown'}`
+          + ' (expected jpeg, png or webp)');
+    }
+  }
+
+  /**
+   * Embed license metadata into an image file
+   * @param {string} filePath - Image path
+   * @param {Object} license - License object
+   * @param {string} outPath - Output path (default: overwrite the input)
+   * @returns {Promise<string>} Path written
+   */
+  async embedFile(filePath, license, outPath = filePath) {
+    await fs.writeFile(outPath, await this.embed(filePath, license));
+    return outPath;
+  }
+
+  /**
+   * XMP packet carrying the license
+   * @param {Object} license - License object
+   * @param {string} existing - XMP packet to merge into (optional)
+   * @returns {string} XMP packet
+   */
+  generateXMP(license, existing = null) {
+    const description = renderDescription(this, license);
+    const merged = existing && mergeDescription(existing, description);
+    if (merged) {
+      return merged;
+    }
+
+    return [
+      '<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+      '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+      ` <rdf:RDF xmlns:rdf="${NAMESPACES.rdf}">`,
+      description,
+      ' </rdf:RDF>',
+      '</x:xmpmeta>',
+      '<?xpacket end="w"?>',
+    ].join('\n');
+  }
+
+  /**
+   * Read the license metadata of an image
+   * JPEG, PNG and WebP are parsed directly; other formats (TIFF, AVIF, HEIF,
+   * GIF...) are read through sharp
+   * @param {Buffer|string} input - Image buffer or file path
+   * @returns {Promise<Object|null>} { format, licenseId, licenseType, clauses, licenseHash, created,
+   *   creator, rights, usageTerms, webStatement, marked, dataMining } or null without XMP
+   */
+  async read(input) {
+    const image = Buffer.isBuffer(input) ? input : await fs.readFile(input);
+    const format = this.constructor.detectFormat(image);
+    let xmp = extractXMP(image, format);
+
+    if (xmp === undefined) {
+      this.sharp = this.sharp || ImageFingerprinter.loadSharp();
+      const metadata = await this.sharp(image).metadata();
+      xmp = metadata.xmp ? metadata.xmp.toString('utf8') : null;
+    }
+    if (!xmp) {
+      return null;
+    }
+
+    const properties = await parseXMP(xmp);
+    const value = (namespace, name) => {
+      const values = properties[NAMESPACES[namespace] + name];
+      return values && values.length > 0 ? values[0] : null;
+    };
+    const clauses = value('dpl', 'LicenseClauses');
+    const marked = value('xmpRights', 'Marked');
+
+    return {
+      format,
+      licenseId: value('dpl', 'LicenseId'),
+      licenseType: value('dpl', 'LicenseType'),
+      ...(clauses ? { clauses: clauses.split(',') } : {}),
+      licenseHash: value('dpl', 'LicenseHash'),
+      created: value('dpl', 'Created'),
+      creator: value('dc', 'creator'),
+      rights: value('dc', 'rights'),
+      usageTerms: value('xmpRights', 'UsageTerms'),
+      webStatement: value('xmpRights', 'WebStatement'),
+      marked: marked === null ? null : marked === 'True',
+      dataMining: value('plus', 'DataMining'),
+    };
+  }
+
+  /**
+   * Check the license metadata of an image
+   * Without a license only the presence of the license ID and hash is checked;
+   * with one, the ID, hash and Data Mining value must match it. Validate the
+   * license itself with LicenseGenerator.validateLicense.
+   * @param {Buffer|string} input - Image buffer or file path
+   * @param {Object} license - Expected license (optional)
+   * @returns {Promise<Object>} { valid, reasons: [{ code, message }], metadata }
+   */
+  async verify(input, license = null) {
+    const metadata = await this.read(input);
+    const reasons = [];
+
+    if (!metadata || (!metadata.licenseId && !metadata.licenseHash)) {
+      reasons.push({ code: 'NO_LICENSE_METADATA', message: 'Image carries no license metadata' });
+      return { valid: false, reasons, metadata };
+    }
+    if (!metadata.licenseId) {
+      reasons.push({ code: 'MISSING_LICENSE_ID', message: 'License ID is missing from the image metadata' });
+    }
+    if (!metadata.licenseHash) {
+      reasons.push({ code: 'MISSING_LICENSE_HASH', message: 'License hash is missing from the image metadata' });
+    }
+
+    if (license) {
+      if (metadata.licenseId && metadata.licenseId !== license.id) {
+        reasons.push({
+          code: 'LICENSE_ID_MISMATCH',
+          message: `Image names license ${metadata.licenseId}, expected ${license.id}`,
+        });
+      }
+      if (metadata.licenseHash && metadata.licenseHash !== license.hash) {
+        reasons.push({
+          code: 'LICENSE_HASH_MISMATCH',
+          message: 'License hash in the image does not match the license',
+        });
+      }
+      const dataMining = this.getDataMining(license);
+      if (metadata.dataMining !== dataMining) {
+        reasons.push({
+          code: 'DATA_MINING_MISMATCH',
+          message: `Data Mining is ${metadata.dataMining || 'not set'}, expected ${dataMining}`,
+        });
+      }
+    }
+
+    return { valid: reasons.length === 0, reasons, metadata };
+  }
+
+  /**
+   * IPTC Data Mining value for a license: prohibited when the license
+   * reserves TDM rights (do-not-train and similar). A license without a
+   * reservation doesn't grant mining outright, so it stays unspecified.
+   * @param {Object} license - License object
+   * @returns {string} PLUS Data Mining vocabulary URI
+   */
+  getDataMining(license) {
+    return this.licenseTypes.reservesTDM(license) ? DATA_MINING.prohibited : DATA_MINING.unspecified;
+  }
+
+  /**
+   * Image format from the file signature
+   * @param {Buffer} image - Image buffer
+   * @returns {string|null} jpeg, png, webp or null
+   */
+  static detectFormat(image) {
+    if (image.length >= 3 && image[0] === 0xff && image[1] === 0xd8 && image[2] === 0xff) {
+      return 'jpeg';
+    }
+    if (image.length >= 8 && image.subarray(0, 8).equals(PNG_SIGNATURE)) {
+      return 'png';
+    }
+    const riff = image.toString('latin1', 0, 4) === 'RIFF' && image.toString('latin1', 8, 12) === 'WEBP';
+    if (image.length >= 12 && riff) {
+      return 'webp';
+    }
+    return null;
+  }
+}
+
+module.exports = ImageMetadataInjector;
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const ImageMetadataInjector = require('./image-metadata-injector');
+const LicenseGenerator = require('../core/license-generator');
+
+// 1x1 and 2x2 images; the foreign-xmp variants carry a packet written the way ExifTool writes it
+const FIXTURES = path.join(__dirname, '__fixtures__');
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name));
+
+const FOREIGN_XMP_FIXTURES = ['pixel-foreign-xmp.jpg', 'pixel-foreign-xmp.png', 'pixel-foreign-xmp.webp'];
+
+/* eslint-disable no-bitwise */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => (buffer.reduce((c, byte) => CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8), 0xffffffff)
+  ^ 0xffffffff) >>> 0;
+/* eslint-enable no-bitwise */
+
+// Container walkers written independently of the injector
+function jpegScan(image) {
+  let offset = 2;
+  while (image[offset + 1] !== 0xda) {
+    offset += 2 + image.readUInt16BE(offset + 2);
+  }
+  return image.subarray(offset);
+}
+
+function jpegXMPSegments(image) {
+  const segments = [];
+  let offset = 2;
+  while (image[offset + 1] !== 0xda) {
+    const payload = image.subarray(offset + 4, offset + 2 + image.readUInt16BE(offset + 2));
+    if (image[offset + 1] === 0xe1 && payload.toString('latin1', 0, 29) === 'http://ns.adobe.com/xap/1.0/\0') {
+      segments.push(payload.subarray(29).toString('utf8'));
+    }
+    offset += 2 + image.readUInt16BE(offset + 2);
+  }
+  return segments;
+}
+
+function pngChunks(image) {
+  const chunks = [];
+  let offset = 8;
+  while (offset < image.length) {
+    const length = image.readUInt32BE(offset);
+    chunks.push({
+      type: image.toString('latin1', offset + 4, offset + 8),
+      data: image.subarray(offset + 8, offset + 8 + length),
+      crcValid: crc32(image.subarray(offset + 4, offset + 8 + length)) === image.readUInt32BE(offset + 8 + length),
+    });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+function webpChunks(image) {
+  const chunks = [];
+  let offset = 12;
+  while (offset < image.length) {
+    const length = image.readUInt32LE(offset + 4);
+    chunks.push({
+      type: image.toString('latin1', offset, offset + 4),
+      data: image.subarray(offset + 8, offset + 8 + length),
+    });
+    offset += 8 + length + (length % 2);
+  }
+  return chunks;
+}
+
+// Image data chunks and the XMP packets of a file, per format
+function inspect(image) {
+  if (image[0] === 0xff) {
+    return { pixels: [jpegScan(image)], packets: jpegXMPSegments(image) };
+  }
+  if (image[0] === 0x89) {
+    const chunks = pngChunks(image);
+    expect(chunks.every((chunk) => chunk.crcValid)).toBe(true);
+    expect(chunks[chunks.length - 1].type).toBe('IEND');
+    const isXMP = (chunk) => chunk.type === 'iTXt' && chunk.data.toString('latin1', 0, 18) === 'XML:com.adobe.xmp\0';
+    return {
+      pixels: chunks.filter((chunk) => ['IHDR', 'IDAT'].includes(chunk.type)).map((chunk) => chunk.data),
+      packets: chunks.filter(isXMP).map((chunk) => chunk.data.subarray(22).toString('utf8')),
+    };
+  }
+  expect(image.readUInt32LE(4)).toBe(image.length - 8);
+  const chunks = webpChunks(image);
+  const packets = chunks.filter((chunk) => chunk.type === 'XMP ').map((chunk) => chunk.data.toString('utf8'));
+  if (packets.length > 0) {
+    // Metadata needs the extended format: VP8X first, with the XMP flag and the 1x1 canvas
+    expect(chunks[0].type).toBe('VP8X');
+    expect(chunks[0].data[0] & 0x04).toBe(0x04); // eslint-disable-line no-bitwise
+    expect(chunks[0].data.readUIntLE(4, 3) + 1).toBe(1);
+    expect(chunks[0].data.readUIntLE(7, 3) + 1).toBe(1);
+  }
+  return {
+    pixels: chunks.filter((chunk) => ['VP8 ', 'VP8L', 'ALPH'].includes(chunk.type)).map((chunk) => chunk.data),
+    packets,
+  };
+}
+
+describe('ImageMetadataInjector', () => {
+  const injector = new ImageMetadataInjector();
+  const license = new LicenseGenerator().generateLicense({
+    type: 'do-not-train',
+    creator: 'Ada "Quotes" <Lovelace> & Co',
+    content: 'Protected photo',
+  });
+
+  describe.each([
+    ['pixel.jpg', 'jpeg'],
+    ['pixel.png', 'png'],
+    ['pixel.webp', 'webp'],
+    ['pixel-lossless.webp', 'webp'],
+    ['pixel-alpha.webp', 'webp'],
+    ...FOREIGN_XMP_FIXTURES.map((name) => [name, path.extname(name) === '.jpg' ? 'jpeg' : path.extname(name).slice(1)]),
+  ])('%s', (name, format) => {
+    const original = fixture(name);
+
+    test('embeds the license and reads it back', async () => {
+      const image = await injector.embed(original, license);
+      const metadata = await injector.read(image);
+
+      expect(metadata).toMatchObject({
+        format,
+        licenseId: license.id,
+        licenseType: 'do-not-train',
+        licenseHash: license.hash,
+        creator: license.creator,
+        marked: true,
+        dataMining: 'http://ns.useplus.org/ldf/vocab/DMI-PROHIBITED',
+      });
+      expect(metadata.rights).toContain(license.id);
+      expect(await injector.verify(image, license)).toMatchObject({ valid: true, reasons: [] });
+    });
+
+    test('leaves the image data untouched and writes one XMP packet', async () => {
+      const image = await injector.embed(original, license);
+      const before = inspect(original);
+      const after = inspect(image);
+
+      expect(after.pixels).toEqual(before.pixels);
+      expect(after.packets).toHaveLength(1);
+    });
+
+    test('embedding again gives the same file', async () => {
+      const image = await injector.embed(original, license);
+      expect((await injector.embed(image, license)).equals(image)).toBe(true);
+    });
+  });
+
+  describe.each(FOREIGN_XMP_FIXTURES)('%s with XMP from another tool', (name) => {
+    test('keeps the other properties and replaces the rights statement', async () => {
+      const original = fixture(name);
+      expect(inspect(original).packets[0]).toContain('All rights reserved by the previous owner');
+
+      const [packet] = inspect(await injector.embed(original, license)).packets;
+      expect(packet).toContain("x:xmptk='Image::ExifTool 12.76'");
+      expect(packet).toContain('Sunset over the bay');
+      expect(packet).toContain('<xmp:CreatorTool>Adobe Photoshop 25.0 (Macintosh)</xmp:CreatorTool>');
+      expect(packet).not.toContain('All rights reserved by the previous owner');
+      expect(packet.match(/<dc:rights>/g)).toHaveLength(1);
+    });
+  });
+
+  test('drops JPEG extended XMP together with the pointer to it', async () => {
+    const app1 = (header, payload) => {
+      const length = Buffer.alloc(4);
+      length.writeUInt16BE(0xffe1, 0);
+      length.writeUInt16BE(2 + header.length + payload.length, 2);
+      return Buffer.concat([length, Buffer.from(header, 'latin1'), payload]);
+    };
+    const guid = '0123456789ABCDEF0123456789ABCDEF';
+    const extension = '<x:xmpmeta xmlns:x="adobe:ns:meta/"/>';
+    const sizes = Buffer.alloc(8);
+    sizes.writeUInt32BE(extension.length, 0);
+    const original = fixture('pixel.jpg');
+    const image = Buffer.concat([
+      original.subarray(0, 2),
+      app1('http://ns.adobe.com/xap/1.0/\0', Buffer.from([
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+        ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+        '  <rdf:Description rdf:about="" xmlns:xmpNote="http://ns.adobe.com/xmp/note/"',
+        `    xmpNote:HasExtendedXMP="${guid}" xmlns:dc="http://purl.org/dc/elements/1.1/" dc:format="image/jpeg"/>`,
+        ' </rdf:RDF>',
+        '</x:xmpmeta>',
+      ].join('\n'))),
+      app1('http://ns.adobe.com/xmp/extension/\0', Buffer.concat([Buffer.from(guid), sizes, Buffer.from(extension)])),
+      original.subarray(2),
+    ]);
+
+    const embedded = await injector.embed(image, license);
+    const [packet] = inspect(embedded).packets;
+
+    expect(embedded.includes('http://ns.adobe.com/xmp/extension/')).toBe(false);
+    expect(packet).not.toContain('HasExtendedXMP');
+    expect(packet).toContain('dc:format="image/jpeg"');
+    expect(inspect(embedded).pixels).toEqual(inspect(original).pixels);
+  });
+
+  test('reads no license from images without XMP', async () => {
+    expect(await injector.read(fixture('pixel.png'))).toBeNull();
+    expect(await injector.verify(fixture('pixel.jpg'))).toMatchObject({
+      valid: false,
+      reasons: [{ code: 'NO_LICENSE_METADATA' }],
+    });
+  });
+
+  test('rejects formats it cannot embed into', async () => {
+    const gif = Buffer.from('R0lGODlhAQABAAAAACw=', 'base64');
+    await expect(injector.embed(gif, license)).rejects.toThrow('Unsupported image format for embedding');
+  });
+
+  test('writes the PNG packet uncompressed', async () => {
+    const [chunk] = pngChunks(await injector.embed(fixture('pixel.png'), license))
+      .filter((entry) => entry.type === 'iTXt');
+    expect(chunk.data[18]).toBe(0);
+    expect(() => zlib.inflateSync(chunk.data.subarray(22))).toThrow();
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Output encoding
+ * License fields such as the creator are user input. Every generated format
+ * has its own metacharacters, so values are encoded for the exact context
+ * they are written into rather than sanitized once up front.
+ */
+
+// C0 controls, DEL and the Unicode line and paragraph separators
+// eslint-disable-next-line no-control-regex
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f\u2028\u2029]/g;
+
+// Characters XML 1.0 does not allow even as character references
+// eslint-disable-next-line no-control-regex
+const INVALID_XML_CHARACTERS = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g;
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+function singleLine(value) {
+  return String(value === undefined || value === null ? '' : value).replace(CONTROL_CHARACTERS, ' ').trim();
+}
+
+/**
+ * Encode a value for HTML text or a quoted attribute value
+ * @param {*} value - Value to encode
+ * @returns {string} Encoded text
+ */
+function encodeHTML(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/[&<>"']/g, (character) => HTML_ENTITIES[character]);
+}
+
+/**
+ * Encode a value for the inside of an HTML comment, which ends at "--"
+ * followed by ">" and cannot safely contain "--" at all
+ * @param {*} value - Value to encode
+ * @returns {string} Encoded text
+ */
+function encodeHTMLComment(value) {
+  return encodeHTML(singleLine(value)).replace(/-(?=-)/g, '-&#45;').replace(/-$/, '&#45;');
+}
+
+/**
+ * Encode a value for XML text or a quoted attribute value (XMP packets)
+ * Line breaks are kept; characters XML can't represent are dropped
+ * @param {*} value - Value to encode
+ * @returns {string} Encoded text
+ */
+function encodeXML(value) {
+  return encodeHTML(value).replace(INVALID_XML_CHARACTERS, '');
+}
+
+/**
+ * Serialize JSON for an inline <script> element
+ * "<", ">" and "&" are written as Unicode escapes so the text can't close
+ * the element or open a comment; line separators are escaped for older parsers
+ * @param {*} value - JSON-compatible value
+ * @param {number} space - Indentation
+ * @returns {string} JSON text
+ */
+function encodeScriptJSON(value, space) {
+  return JSON.stringify(value, null, space)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Encode a value for a line comment (robots.txt, ai.txt, Dockerfile):
+ * line breaks would end the comment and start a directive
+ * @param {*} value - Value to encode
+ * @returns {string} Single-line text
+ */
+function encodeComment(value) {
+  return singleLine(value);
+}
+
+/**
+ * Encode a value for a double-quoted Dockerfile LABEL value
+ * Backslashes and quotes are escaped, "$" is escaped to stop variable
+ * substitution and line breaks (continuations) are removed
+ * @param {*} value - Value to encode
+ * @returns {string} Encoded label value (without the quotes)
+ */
+function encodeDockerLabel(value) {
+  return singleLine(value).replace(/[\\"$]/g, (character) => `\\${character}`);
+}
+
+/**
+ * Encode a value for an HTTP header field value
+ * Line breaks and other controls would split or corrupt the header, and
+ * characters outside printable ASCII are rejected by Node's HTTP stack,
+ * so they are percent-encoded
+ * @param {*} value - Value to encode
+ * @returns {string} Header-safe value
+ */
+function encodeHeaderValue(value) {
+  return singleLine(value).replace(/[^ -~]+/g, (characters) => encodeURIComponent(characters));
+}
+
+/**
+ * Encode a value for inline Markdown text (also llms.txt link text)
+ * @param {*} value - Value to encode
+ * @returns {string} Escaped Markdown
+ */
+function encodeMarkdown(value) {
+  // A backslash makes any ASCII punctuation literal, "<" and "&" included
+  return singleLine(value).replace(/[\\`*_{}[\]()#+!|~<>&]/g, (character) => `\\${character}`);
+}
+
+/**
+ * Encode a URL for a Markdown link target
+ * @param {*} value - URL
+ * @returns {string} Encoded URL
+ */
+function encodeMarkdownURL(value) {
+  return singleLine(value).replace(/[\s()<>]/g, (character) => encodeURIComponent(character));
+}
+
+module.exports = {
+  encodeComment,
+  encodeDockerLabel,
+  encodeHTML,
+  encodeHTMLComment,
+  encodeHeaderValue,
+  encodeMarkdown,
+  encodeMarkdownURL,
+  encodeScriptJSON,
+  encodeXML,
+};
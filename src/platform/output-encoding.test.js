@@ -0,0 +1,165 @@
+const http = require('http');
+const CrossPlatformInjector = require('./cross-platform-injector');
+const { lintRobotsTxt } = require('../core/robots-txt');
+const {
+  encodeComment,
+  encodeDockerLabel,
+  encodeHTML,
+  encodeHTMLComment,
+  encodeHeaderValue,
+  encodeMarkdown,
+  encodeScriptJSON,
+} = require('./output-encoding');
+
+// License fields are user input: each value tries to break out of one output context
+const HOSTILE_VALUES = [
+  'Quote " and \' apostrophe',
+  '</script><script>alert(1)</script>',
+  'Comment --> <!-- --',
+  'Carriage\r\nUser-agent: *\r\nAllow: /',
+  'Line feed\nLABEL evil="1"\nSitemap: https://evil.example/',
+  // eslint-disable-next-line no-template-curly-in-string
+  'Dollar $HOME ${PATH} and backslash \\ \\" end\\',
+  'Markdown [link](https://evil.example) **bold** <b>html</b> & `code`',
+  'Mixed "\'</script>-->\r\n$\\',
+];
+
+const HTML_ENTITIES = {
+  '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'",
+};
+
+const decodeHTML = (text) => text.replace(/&(amp|lt|gt|quot|#39);/g, (entity) => HTML_ENTITIES[entity]);
+const singleLine = (value) => value.replace(/[\r\n]/g, ' ').trim();
+
+const hostileLicense = (value) => ({
+  id: value,
+  type: 'do-not-train',
+  creator: value,
+  content: 'a'.repeat(64),
+  restrictions: {},
+  createdAt: '2026-01-01T00:00:00.000Z',
+  expirationDate: null,
+  version: '2.0.0',
+  issuer: { keyId: 'k'.repeat(32), algorithm: 'Ed25519' },
+  hash: 'b'.repeat(64),
+  signature: 'c2lnbmF0dXJl',
+});
+
+describe('output encoders', () => {
+  test.each(HOSTILE_VALUES)('encodeHTML leaves no markup or quote in %j', (value) => {
+    const encoded = encodeHTML(value);
+    expect(encoded).not.toMatch(/[<>"']/);
+    expect(decodeHTML(encoded)).toBe(value);
+  });
+
+  test.each(HOSTILE_VALUES)('encodeHTMLComment cannot end the comment for %j', (value) => {
+    const encoded = encodeHTMLComment(value);
+    expect(encoded).not.toMatch(/--|[<>\r\n]/);
+    expect(encoded.endsWith('-')).toBe(false);
+  });
+
+  test.each(HOSTILE_VALUES)('encodeScriptJSON cannot close the script element for %j', (value) => {
+    const encoded = encodeScriptJSON({ value });
+    expect(encoded).not.toMatch(/<\/script|<!--|-->/i);
+    expect(JSON.parse(encoded).value).toBe(value);
+  });
+
+  test.each(HOSTILE_VALUES)('encodeComment keeps %j on one line', (value) => {
+    expect(encodeComment(value)).not.toMatch(/[\r\n]/);
+  });
+
+  test.each(HOSTILE_VALUES)('encodeDockerLabel escapes quotes, "$" and backslashes in %j', (value) => {
+    const encoded = encodeDockerLabel(value);
+    expect(encoded).not.toMatch(/[\r\n]/);
+    expect(encoded).toMatch(/^(?:[^"$\\]|\\["$\\])*$/);
+    expect(encoded.replace(/\\(["$\\])/g, '$1')).toBe(singleLine(value));
+  });
+
+  test.each(HOSTILE_VALUES)('encodeHeaderValue is a valid header value for %j', (value) => {
+    expect(() => http.validateHeaderValue('X-Test', encodeHeaderValue(value))).not.toThrow();
+  });
+
+  test.each(HOSTILE_VALUES)('encodeMarkdown escapes markup in %j', (value) => {
+    const encoded = encodeMarkdown(value);
+    expect(encoded).not.toMatch(/[\r\n]/);
+    expect(encoded).not.toMatch(/(^|[^\\])[<>[\]()`*&]/);
+  });
+});
+
+describe('generated license files', () => {
+  const injector = new CrossPlatformInjector();
+
+  describe.each(HOSTILE_VALUES)('with license fields %j', (value) => {
+    const license = hostileLicense(value);
+
+    test('HTML meta tags keep the value inside their attributes', () => {
+      const html = injector.generateHTMLMetaTags(license);
+      const metaTag = /<meta (?:name|property)="([^"<>]*)" content="([^"<>]*)">/g;
+      const tags = Array.from(html.matchAll(metaTag), ([, name, content]) => ({ name, content: decodeHTML(content) }));
+
+      // Nothing but the tags, comments and the JSON-LD script may remain
+      const rest = html.replace(metaTag, '').replace(/<!--[^]*?-->/g, '').replace(/<script[^]*?<\/script>/g, '');
+      expect(rest.trim()).toBe('');
+      expect(tags.find((tag) => tag.name === 'data-protection-creator').content).toBe(value);
+      expect(tags.find((tag) => tag.name === 'data-protection-license-id').content).toBe(value);
+    });
+
+    test('JSON-LD script element parses back to the value', () => {
+      const html = injector.generateHTMLMetaTags(license);
+      const scripts = html.match(/<script type="application\/ld\+json">\n([\s\S]*?)\n<\/script>/g);
+
+      expect(scripts).toHaveLength(1);
+      expect(html.match(/<\/script>/g)).toHaveLength(1);
+      const json = html.split('<script type="application/ld+json">\n')[1].split('\n</script>')[0];
+      expect(JSON.parse(json).creator.name).toBe(value);
+    });
+
+    test('robots.txt comments do not add directives', () => {
+      const robots = injector.generateRobotsTxt(license);
+      const lint = lintRobotsTxt(robots);
+
+      expect(lint.errors).toEqual([]);
+      expect(robots.split('\n').filter((line) => /^(user-agent|allow|disallow|sitemap):/i.test(line)))
+        .toEqual(injector.generateRobotsTxt(hostileLicense('safe')).split('\n')
+          .filter((line) => /^(user-agent|allow|disallow|sitemap):/i.test(line)));
+    });
+
+    test('ai.txt comments do not add directives', () => {
+      const aiTxt = injector.generateAiTxt(license);
+      const safe = injector.generateAiTxt(hostileLicense('safe'));
+      const directives = (text) => text.split('\n').filter((line) => line !== '' && !line.startsWith('#'));
+
+      expect(directives(aiTxt)).toEqual(directives(safe));
+    });
+
+    test('Markdown keeps each field on its bullet line', async () => {
+      const files = await injector.generatePlatformFiles('github', license);
+      const markdown = files['DATA_PROTECTION.md'];
+      const bullets = markdown.split('\n').filter((line) => line.startsWith('- **'));
+
+      expect(bullets).toHaveLength(4);
+      expect(markdown).not.toMatch(/<\/?(script|b)>|\]\(https:\/\/evil/);
+    });
+
+    test('Dockerfile LABEL values stay quoted and free of substitutions', async () => {
+      const files = await injector.generatePlatformFiles('docker', license);
+      const lines = files['Dockerfile.license'].split('\n').filter((line) => line !== '' && !line.startsWith('#'));
+
+      expect(lines.length).toBeGreaterThan(0);
+      lines.forEach((line) => {
+        expect(line).toMatch(/^LABEL [a-z.]+="(?:[^"$\\]|\\["$\\])*"$/);
+      });
+    });
+
+    test('HTTP header values are valid and single-line', () => {
+      const headers = injector.generateHTTPHeaders(license);
+
+      Object.entries(headers).forEach(([name, headerValue]) => {
+        expect(() => http.validateHeaderValue(name, headerValue)).not.toThrow();
+      });
+      expect(headers['X-Data-Protection-Creator']).toBe(singleLine(value));
+      expect(headers['tdm-policy']).toBe(`https://data-protection.org/licenses/${encodeURIComponent(value)}`);
+      expect(headers.Link).toContain(`<${headers['tdm-policy']}>`);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ContentHasher = require('../core/content-hasher');
+const CrossPlatformInjector = require('./cross-platform-injector');
+const { encodeHTMLComment } = require('./output-encoding');
+
+const BLOCK_START = 'data-protection-license:start';
+const BLOCK_END = 'data-protection-license:end';
+const BLOCK_PATTERN = new RegExp(`[ \\t]*<!--\\s*${BLOCK_START}\\b[\\s\\S]*?${BLOCK_END}\\s*-->[ \\t]*\\r?\\n?`, 'g');
+
+// Snippets pasted by hand from generateHTMLMetaTags before blocks were marked
+const UNMARKED_SNIPPET_PATTERN = new RegExp(
+  '[ \\t]*<!-- Data Protection License Meta Tags -->[\\s\\S]*?'
+    + '<meta name="DC\\.rights\\.hash" content="[^"]*">[ \\t]*\\r?\\n?',
+  'g',
+);
+
+const HTML_EXTENSIONS = ['.html', '.htm'];
+
+function renderBlock(crossPlatformInjector, license, options, indent, newline) {
+  const lines = [
+    `<!-- ${BLOCK_START} id=${encodeHTMLComment(license.id)} hash=${encodeHTMLComment(license.hash)} -->`,
+    ...crossPlatformInjector.generateHTMLMetaTags(license, options).trim().split('\n'),
+    `<!-- ${BLOCK_END} -->`,
+  ];
+  return lines.map((line) => (line ? indent + line : line)).join(newline);
+}
+
+function getChildIndent(beforeHead, closingLinePrefix) {
+  const lastLine = beforeHead.split(/\r?\n/).reverse().find((line) => line.trim() !== '');
+  if (lastLine && !/<head\b/i.test(lastLine)) {
+    return lastLine.match(/^[ \t]*/)[0];
+  }
+  return `${closingLinePrefix.match(/^[ \t]*/)[0]}  `;
+}
+
+function matchesPath(pattern, relativePath) {
+  const glob = pattern.replace(/^\.?\//, '').replace(/\/$/, '/**');
+  const segment = (part) => part
+    .split('*')
+    .map((literal) => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^/]*');
+  // "**/" also matches no directory at all
+  const source = glob.split('**/').map((part) => part.split('**').map(segment).join('.*')).join('(?:.*/)?');
+  return new RegExp(`^${source}$`).test(relativePath);
+}
+
+/**
+ * Static Site Injector
+ * Inserts the license meta tags and JSON-LD block into the <head> of existing
+ * pages. The block sits between marker comments carrying the license ID and
+ * hash, so re-running replaces stale blocks and leaves current ones untouched.
+ */
+class StaticSiteInjector {
+  /**
+   * @param {Object} options - Injector configuration
+   * @param {CrossPlatformInjector} options.crossPlatformInjector - Generator of the meta tags
+   * @param {LicenseTypeRegistry} options.licenseTypes - License type registry for a new generator
+   */
+  constructor(options = {}) {
+    this.crossPlatformInjector = options.crossPlatformInjector
+      || new CrossPlatformInjector({ licenseTypes: options.licenseTypes });
+  }
+
+  /**
+   * Insert or update the license block of one page
+   * @param {string} html - Page HTML
+   * @param {Object} license - License object
+   * @param {Object} options - Meta tag options (tdmPolicyUrl)
+   * @returns {Object} { html, status: inserted|updated|unchanged|skipped, reason }
+   */
+  injectHTML(html, license, options = {}) {
+    const newline = html.includes('\r\n') ? '\r\n' : '\n';
+    const marked = [...html.matchAll(BLOCK_PATTERN)];
+    // Marked blocks contain the snippet too; only count copies outside them
+    const unmarked = [...html.matchAll(UNMARKED_SNIPPET_PATTERN)].filter((match) => !marked.some((block) => (
+      match.index >= block.index && match.index < block.index + block[0].length
+    )));
+    const existing = [...marked, ...unmarked].sort((a, b) => a.index - b.index);
+
+    if (existing.length > 0) {
+      const [first] = existing;
+      const indent = first[0].match(/^[ \t]*/)[0];
+      const block = renderBlock(this.crossPlatformInjector, license, options, indent, newline) + newline;
+      let updated = html;
+      // Replace from the end so earlier offsets stay valid; extra copies are dropped
+      existing.slice().reverse().forEach((match) => {
+        const replacement = match === first ? block : '';
+        updated = updated.slice(0, match.index) + replacement + updated.slice(match.index + match[0].length);
+      });
+      return updated === html
+        ? { html, status: 'unchanged', reason: null }
+        : { html: updated, status: 'updated', reason: null };
+    }
+
+    const headClose = html.search(/<\/head\s*>/i);
+    if (headClose !== -1) {
+      const lineStart = html.lastIndexOf('\n', headClose - 1) + 1;
+      const beforeClose = html.slice(lineStart, headClose);
+      const indent = getChildIndent(html.slice(0, lineStart), beforeClose);
+      // Keep </head> on its own line with its original indentation
+      const insertAt = beforeClose.trim() === '' ? lineStart : headClose;
+      const prefix = insertAt === headClose ? newline : '';
+      const block = prefix + renderBlock(this.crossPlatformInjector, license, options, indent, newline) + newline;
+      return { html: html.slice(0, insertAt) + block + html.slice(insertAt), status: 'inserted', reason: null };
+    }
+
+    const opening = html.match(/<head\b[^>]*>/i) || html.match(/<html\b[^>]*>/i);
+    if (!opening) {
+      return { html, status: 'skipped', reason: 'No <head> or <html> element' };
+    }
+
+    const isHead = /^<head/i.test(opening[0]);
+    const insertAt = opening.index + opening[0].length;
+    const block = renderBlock(this.crossPlatformInjector, license, options, '', newline);
+    const inserted = isHead
+      ? `${newline}${block}${newline}`
+      : `${newline}<head>${newline}${block}${newline}</head>${newline}`;
+    return { html: html.slice(0, insertAt) + inserted + html.slice(insertAt), status: 'inserted', reason: null };
+  }
+
+  /**
+   * Rewrite every HTML page under a directory
+   * Pages take the license of the first matching entry of options.licenses,
+   * or options.license; pages without a license are left alone
+   * @param {string} rootDir - Site root
+   * @param {Object} options - Rewrite options
+   * @param {Object} options.license - License for pages without a mapping
+   * @param {Array} options.licenses - Per-path licenses [{ path: glob relative to rootDir, license }]
+   * @param {boolean} options.dryRun - Report changes without writing files
+   * @returns {Promise<Object>} { pages: [{ path, licenseId, status, reason }], summary }
+   */
+  async injectDirectory(rootDir, options = {}) {
+    const files = (await ContentHasher.listFiles(rootDir))
+      .filter((file) => HTML_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+
+    // One page at a time, in listing order
+    const pages = await files.reduce(async (previous, file) => {
+      const done = await previous;
+      const license = StaticSiteInjector.resolveLicense(file, options);
+      if (!license) {
+        return [...done, {
+          path: file, licenseId: null, status: 'skipped', reason: 'No license mapped to this path',
+        }];
+      }
+
+      const filePath = path.join(rootDir, file);
+      const result = this.injectHTML(await fs.readFile(filePath, 'utf8'), license, options);
+      if ((result.status === 'inserted' || result.status === 'updated') && !options.dryRun) {
+        await fs.writeFile(filePath, result.html);
+      }
+      return [...done, {
+        path: file, licenseId: license.id, status: result.status, reason: result.reason,
+      }];
+    }, Promise.resolve([]));
+
+    const count = (status) => pages.filter((page) => page.status === status).length;
+    return {
+      pages,
+      summary: {
+        total: pages.length,
+        inserted: count('inserted'),
+        updated: count('updated'),
+        unchanged: count('unchanged'),
+        skipped: count('skipped'),
+      },
+    };
+  }
+
+  /**
+   * License for a page
+   * Patterns use "*" within a path segment and "**" across segments;
+   * a pattern ending in "/" covers everything below that directory
+   * @param {string} relativePath - POSIX path relative to the site root
+   * @param {Object} options - { license, licenses: [{ path, license }] }
+   * @returns {Object|null} License
+   */
+  static resolveLicense(relativePath, options = {}) {
+    const mapping = (options.licenses || []).find((entry) => matchesPath(entry.path, relativePath));
+    return mapping ? mapping.license : options.license || null;
+  }
+}
+
+module.exports = StaticSiteInjector;
@@ -1,7 +1,10 @@
 const fs = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
-const CrossPlatformInjector = require('./cross-platform-injector');
+const CrossPlatformInjector = require('../platform/cross-platform-injector');
+
+// Signals a website deployment can emit; options.formats selects a subset
+const WEBSITE_FORMATS = ['robots', 'meta', 'headers', 'tdmrep', 'ai-txt', 'llms-txt'];
 
 /**
  * Platform-Specific Deployment Manager
@@ -430,17 +433,28 @@ class WebsiteDeploymentStrategy extends BaseDeploymentStrategy {
   async deploy(context) {
     const { license, options, deploymentId } = context;
     const crossPlatformInjector = new CrossPlatformInjector();
-    
-    const deploymentFiles = {
-      'robots.txt': crossPlatformInjector.generateRobotsTxt(license, options),
-      'license-meta.html': crossPlatformInjector.generateHTMLMetaTags(license),
-      'license-headers.json': JSON.stringify(crossPlatformInjector.generateHTTPHeaders(license), null, 2)
-    };
-
     const outputDir = options.outputDir || './website-deployment';
-    await fs.mkdir(outputDir, { recursive: true });
+    const formats = options.formats || WEBSITE_FORMATS;
+    const unsupported = formats.filter((format) => !WEBSITE_FORMATS.includes(format));
+    if (unsupported.length > 0) {
+      throw new Error(`Unsupported website formats: ${unsupported.join(', ')} (expected ${WEBSITE_FORMATS.join(', ')})`);
+    }
+
+    const robots = formats.includes('robots')
+      ? await this._buildRobotsTxt(crossPlatformInjector, license, options, outputDir)
+      : null;
+    const generators = {
+      robots: () => ({ 'robots.txt': robots.content, 'robots.txt.diff': robots.diff }),
+      meta: () => ({ 'license-meta.html': crossPlatformInjector.generateHTMLMetaTags(license, options) }),
+      headers: () => ({ 'license-headers.json': JSON.stringify(crossPlatformInjector.generateHTTPHeaders(license, options), null, 2) }),
+      tdmrep: () => ({ '.well-known/tdmrep.json': JSON.stringify(crossPlatformInjector.generateTDMRep(license, options), null, 2) }),
+      'ai-txt': () => ({ 'ai.txt': crossPlatformInjector.generateAiTxt(license, options) }),
+      'llms-txt': () => ({ 'llms.txt': crossPlatformInjector.generateLlmsTxt(license, options) })
+    };
+    const deploymentFiles = formats.reduce((files, format) => ({ ...files, ...generators[format]() }), {});
     
     for (const [filename, content] of Object.entries(deploymentFiles)) {
+      await fs.mkdir(path.dirname(path.join(outputDir, filename)), { recursive: true });
       await fs.writeFile(path.join(outputDir, filename), content);
     }
 
@@ -448,11 +462,53 @@ class WebsiteDeploymentStrategy extends BaseDeploymentStrategy {
       deploymentId,
       platform: 'web',
       status: 'deployed',
+      formats,
       deployedFiles: Object.keys(deploymentFiles),
+      ...(robots ? {
+        robots: {
+          merged: robots.merged,
+          addedAgents: robots.addedAgents,
+          updatedAgents: robots.updatedAgents,
+          removedRules: robots.removedRules,
+          lint: robots.lint
+        }
+      } : {}),
       timestamp: new Date().toISOString(),
-      verificationUrl: `${options.baseUrl}/robots.txt`
+      verificationUrl: `${options.baseUrl}/${robots ? 'robots.txt' : Object.keys(deploymentFiles)[0]}`
     };
   }
+
+  // Merge into the site's robots.txt (options.existingRobotsTxt or the one
+  // already in the output directory) rather than overwrite it
+  async _buildRobotsTxt(crossPlatformInjector, license, options, outputDir) {
+    let existing = options.existingRobotsTxt;
+    if (existing === undefined) {
+      try {
+        existing = await fs.readFile(path.join(outputDir, 'robots.txt'), 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+
+    // A file an earlier deployment generated from scratch is generated again for the current license
+    if (existing === undefined || CrossPlatformInjector.isGeneratedRobotsTxt(existing)) {
+      const content = crossPlatformInjector.generateRobotsTxt(license, options);
+      return {
+        merged: false,
+        content,
+        diff: CrossPlatformInjector.diffRobotsTxt(existing || '', content),
+        addedAgents: [],
+        updatedAgents: [],
+        removedRules: [],
+        lint: CrossPlatformInjector.lintRobotsTxt(content)
+      };
+    }
+
+    const result = crossPlatformInjector.mergeRobotsTxt(existing, license);
+    return { merged: true, ...result, lint: CrossPlatformInjector.lintRobotsTxt(result.content) };
+  }
 }
 
 // Additional platform strategies (simplified implementations)